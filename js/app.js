@@ -27,6 +27,12 @@ class App {
             
             // 应用准备就绪
             this.isReady = true;
+
+            // 报告启动时的数据迁移结果
+            this.reportMigration();
+
+            // 恢复上次的页面和被中断的训练
+            this.restoreAppState();
             
             console.log('PelvicFit Mini initialized successfully');
             
@@ -59,9 +65,19 @@ class App {
         }
         
         if (window.storage) {
+            // 启用应用锁时，存储在解锁后才就绪，不设超时
+            moduleLoadPromises.push(window.storage.ready);
             this.modules.storage = window.storage;
         }
         
+        if (window.program) {
+            this.modules.program = window.program;
+        }
+        
+        if (window.reminder) {
+            this.modules.reminder = window.reminder;
+        }
+        
         if (window.exercise) {
             this.modules.exercise = window.exercise;
         }
@@ -103,7 +119,7 @@ class App {
             case 'i18n':
                 return window.i18n && window.i18n.currentLang;
             case 'storage':
-                return window.storage && window.storage.get('initialized');
+                return window.storage && window.storage.isReady;
             case 'exercise':
                 return window.exercise && window.exercise.plans;
             case 'ui':
@@ -200,9 +216,10 @@ class App {
     }
 
     setupPWAEventListeners() {
-        // Service Worker 更新检测
+        // Service Worker 注册和更新检测
         if ('serviceWorker' in navigator) {
             navigator.serviceWorker.addEventListener('message', this.onServiceWorkerMessage.bind(this));
+            this.registerServiceWorker();
         }
         
         // PWA 安装提示
@@ -223,6 +240,16 @@ class App {
             event.returnValue = message;
             return message;
         }
+
+        // 还有写入失败、等待重试的训练记录
+        if (this.modules.storage && this.modules.storage.retryQueue.length > 0) {
+            const message = this.modules.i18n ?
+                this.modules.i18n.t('storage.unsaved_leave') :
+                '还有训练记录未保存，确定要离开吗？';
+            event.preventDefault();
+            event.returnValue = message;
+            return message;
+        }
     }
 
     onUnload() {
@@ -324,10 +351,60 @@ class App {
         window.scrollTo({ top: 0, behavior: 'smooth' });
     }
 
+    registerServiceWorker() {
+        // 新版本激活后刷新页面（仅限用户确认的更新，首次安装接管页面时不刷新）
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.isUpdating) {
+                window.location.reload();
+            }
+        });
+
+        navigator.serviceWorker.register('service-worker.js')
+            .then(registration => {
+                this.swRegistration = registration;
+                console.log('Service Worker registered:', registration.scope);
+
+                // 上次启动时已下载但未激活的新版本
+                this.checkWaitingWorker(registration);
+
+                // 本次启动时下载的新版本：安装完成进入等待状态后再询问
+                registration.addEventListener('updatefound', () => {
+                    const worker = registration.installing;
+                    if (!worker) return;
+                    worker.addEventListener('statechange', () => {
+                        if (worker.state === 'installed') {
+                            this.checkWaitingWorker(registration);
+                        }
+                    });
+                });
+            })
+            .catch(error => {
+                console.warn('Service Worker registration failed:', error);
+            });
+    }
+
+    // 有等待中的新版本时向它询问版本，新版本确认处于等待状态后回复 UPDATE_AVAILABLE
+    // 首次安装时页面没有controller，不提示
+    checkWaitingWorker(registration) {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            registration.waiting.postMessage({ type: 'GET_VERSION' });
+        }
+    }
+
     // PWA 事件处理
     onServiceWorkerMessage(event) {
-        if (event.data && event.data.type === 'UPDATE_AVAILABLE') {
-            this.showUpdateNotification();
+        if (!event.data) return;
+
+        switch (event.data.type) {
+            case 'UPDATE_AVAILABLE':
+                this.showUpdateNotification();
+                break;
+            case 'REMINDER_CLICKED':
+                // 点击提醒通知后回到首页，方便开始训练
+                if (this.modules.exercise && !this.modules.exercise.isActive) {
+                    this.goHome();
+                }
+                break;
         }
     }
 
@@ -345,7 +422,10 @@ class App {
 
     // 应用状态管理
     onAppHidden() {
-        // 应用被隐藏时暂停计时器（如果在锻炼中）
+        // 应用被隐藏时暂停计时器（如果在锻炼中）；启用后台模式时训练继续
+        if (window.backgroundMode && window.backgroundMode.isRunningInBackground()) {
+            return;
+        }
         if (this.modules.exercise && this.modules.exercise.isActive && !this.modules.exercise.isPaused) {
             this.modules.exercise.pause();
             this.backgroundPaused = true;
@@ -372,6 +452,22 @@ class App {
         }
     }
 
+    reportMigration() {
+        const migration = this.modules.storage ? this.modules.storage.lastMigration : null;
+        if (!migration) return;
+
+        if (migration.success) {
+            console.log(`Data migrated from ${migration.from} to ${migration.to}:`, migration.applied);
+            if (migration.applied.length > 0) {
+                this.showToast(window.i18n ? window.i18n.t('migration.done', { version: migration.to }) :
+                    `数据已升级到 ${migration.to} 版本`, 3000);
+            }
+        } else {
+            console.error('Data migration failed:', migration.error);
+            this.showToast(window.i18n ? window.i18n.t('migration.failed') : '数据升级失败，已恢复原有数据', 5000);
+        }
+    }
+
     saveAppState() {
         if (!this.modules.storage) return;
         
@@ -394,6 +490,12 @@ class App {
                 this.modules.ui.navigateTo(appState.currentPage);
             }
         }
+
+        // 上次的训练没有正常结束（页面被关闭或崩溃）
+        const progress = this.modules.exercise ? this.modules.exercise.getSavedProgress() : null;
+        if (progress && this.modules.ui) {
+            this.modules.ui.showResumeDialog(progress);
+        }
     }
 
     // 实用方法
@@ -458,12 +560,24 @@ class App {
                 '应用更新',
                 '发现新版本，是否立即更新？',
                 () => {
-                    window.location.reload();
+                    this.activateUpdate();
                 }
             );
         }
     }
 
+    // 激活等待中的Service Worker，controllerchange后自动刷新
+    activateUpdate() {
+        const waitingWorker = this.swRegistration && this.swRegistration.waiting;
+        if (!waitingWorker) {
+            window.location.reload();
+            return;
+        }
+
+        this.isUpdating = true;
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
     showInstallPrompt() {
         if (this.modules.ui && this.deferredPrompt) {
             this.modules.ui.showDialog(
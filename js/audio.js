@@ -0,0 +1,252 @@
+/**
+ * PelvicFit Mini - 音频引擎模块
+ * 全应用共用一个 AudioContext（浏览器限制同时存在的数量），在用户第一次点击或按键时解锁。
+ * 提示音按主题合成，也可使用 assets/audio/ 中的音频文件；每种提示音可单独设置音量。
+ *
+ * 提示音：start 开始、contract 收缩、step 提升力度（电梯式）、relax 放松、rest 组间休息、
+ * complete 完成、tick 保持收缩时的每秒滴答（可选）
+ */
+
+class AudioEngine {
+    constructor() {
+        this.cues = ['start', 'contract', 'step', 'relax', 'rest', 'complete', 'tick'];
+        this.baseGain = 0.1; // 合成音的基础音量
+        this.fileTheme = 'files';
+        this.fileFormat = 'wav';
+
+        // 合成主题：每个提示音由若干个音组成
+        // { frequency, to（滑音结束频率）, wave, offset（相对开始时间，秒）, length（秒）, gain（相对音量） }
+        this.themes = {
+            // 原有的简单提示音
+            classic: {
+                start: [{ frequency: 800, length: 0.3 }],
+                contract: [{ frequency: 1000, length: 0.3 }],
+                step: [{ frequency: 1200, length: 0.3 }],
+                relax: [{ frequency: 600, length: 0.3 }],
+                rest: [{ frequency: 400, length: 0.3 }],
+                complete: [
+                    { frequency: 800, length: 0.2 },
+                    { frequency: 1000, offset: 0.25, length: 0.2 },
+                    { frequency: 1200, offset: 0.5, length: 0.2 }
+                ],
+                tick: [{ frequency: 1500, length: 0.05, gain: 0.5 }]
+            },
+            // 柔和的钟声（基音加一个泛音，余音较长）
+            chime: {
+                start: [{ frequency: 659, length: 1 }, { frequency: 880, offset: 0.15, length: 1.2 }],
+                contract: [{ frequency: 880, length: 1.2 }, { frequency: 1760, length: 0.8, gain: 0.3 }],
+                step: [{ frequency: 1175, length: 1 }, { frequency: 2350, length: 0.6, gain: 0.3 }],
+                relax: [{ frequency: 659, length: 1.5 }, { frequency: 1318, length: 1, gain: 0.3 }],
+                rest: [{ frequency: 523, length: 2 }, { frequency: 1046, length: 1.2, gain: 0.3 }],
+                complete: [
+                    { frequency: 523, length: 1.5 },
+                    { frequency: 659, offset: 0.2, length: 1.5 },
+                    { frequency: 784, offset: 0.4, length: 1.5 },
+                    { frequency: 1047, offset: 0.6, length: 2 }
+                ],
+                tick: [{ frequency: 2093, length: 0.15, gain: 0.3 }]
+            },
+            // 节拍器的短促滴答声
+            metronome: {
+                start: [{ frequency: 1200, wave: 'square', length: 0.05 }],
+                contract: [{ frequency: 1600, wave: 'square', length: 0.06 }],
+                step: [{ frequency: 1800, wave: 'square', length: 0.05 }],
+                relax: [{ frequency: 800, wave: 'square', length: 0.06 }],
+                rest: [
+                    { frequency: 800, wave: 'square', length: 0.05 },
+                    { frequency: 800, wave: 'square', offset: 0.15, length: 0.05 }
+                ],
+                complete: [
+                    { frequency: 1600, wave: 'square', length: 0.05 },
+                    { frequency: 1600, wave: 'square', offset: 0.15, length: 0.05 },
+                    { frequency: 2000, wave: 'square', offset: 0.3, length: 0.1 }
+                ],
+                tick: [{ frequency: 1200, wave: 'square', length: 0.03, gain: 0.5 }]
+            },
+            // 自然：水滴和鸟鸣（滑音）
+            nature: {
+                start: [{ frequency: 1400, to: 500, length: 0.25 }],
+                contract: [{ frequency: 1200, to: 400, length: 0.25 }],
+                step: [{ frequency: 1600, to: 600, length: 0.2 }],
+                relax: [{ frequency: 500, to: 250, length: 0.6 }],
+                rest: [
+                    { frequency: 2500, to: 3500, length: 0.08 },
+                    { frequency: 2500, to: 3800, offset: 0.12, length: 0.08 }
+                ],
+                complete: [
+                    { frequency: 2500, to: 3500, length: 0.08 },
+                    { frequency: 2800, to: 3800, offset: 0.12, length: 0.08 },
+                    { frequency: 3000, to: 4000, offset: 0.24, length: 0.1 },
+                    { frequency: 1200, to: 400, offset: 0.5, length: 0.3 }
+                ],
+                tick: [{ frequency: 2000, to: 1200, length: 0.05, gain: 0.4 }]
+            }
+        };
+
+        this.context = null;
+        this.buffers = {}; // 音频文件主题已解码的音频，载入失败为null
+        this.loadingBuffers = null;
+
+        this.init();
+    }
+
+    init() {
+        // 浏览器只允许在用户操作后开始播放声音
+        const unlock = () => {
+            if (this.unlock()) {
+                ['pointerdown', 'touchend', 'keydown'].forEach(type => {
+                    document.removeEventListener(type, unlock, true);
+                });
+            }
+        };
+        ['pointerdown', 'touchend', 'keydown'].forEach(type => {
+            document.addEventListener(type, unlock, true);
+        });
+
+        window.addEventListener('settingsChanged', (event) => {
+            if (event.detail.soundTheme === this.fileTheme) {
+                this.loadBuffers();
+            }
+        });
+    }
+
+    isSupported() {
+        return !!(window.AudioContext || window.webkitAudioContext);
+    }
+
+    getContext() {
+        if (!this.context && this.isSupported()) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+        }
+        return this.context;
+    }
+
+    // 在用户操作中创建并恢复音频上下文，播放一段空白音频（iOS需要）
+    unlock() {
+        const context = this.getContext();
+        if (!context) return false;
+
+        if (context.state === 'suspended') {
+            context.resume().catch(() => {});
+        }
+        const source = context.createBufferSource();
+        source.buffer = context.createBuffer(1, 1, 22050);
+        source.connect(context.destination);
+        source.start(0);
+
+        if (this.getTheme() === this.fileTheme) {
+            this.loadBuffers();
+        }
+        return true;
+    }
+
+    // === 设置 ===
+
+    getThemeNames() {
+        return [...Object.keys(this.themes), this.fileTheme];
+    }
+
+    getTheme() {
+        const theme = window.storage ? window.storage.getSetting('soundTheme', 'classic') : 'classic';
+        return this.getThemeNames().includes(theme) ? theme : 'classic';
+    }
+
+    // 每种提示音的音量（0-1），未设置时为1
+    getCueVolume(cue) {
+        const volumes = window.storage ? window.storage.getSetting('cueVolumes', {}) : {};
+        const volume = volumes ? volumes[cue] : undefined;
+        return typeof volume === 'number' ? Math.max(0, Math.min(1, volume)) : 1;
+    }
+
+    // === 播放 ===
+
+    // 在音频时间 time 播放提示音（默认立即），返回音源节点，可用于取消尚未播放的提示音
+    play(cue, time = 0) {
+        const context = this.getContext();
+        const volume = this.getCueVolume(cue);
+        if (!context || volume <= 0) return [];
+
+        if (context.state === 'suspended') {
+            context.resume().catch(() => {});
+        }
+        const start = Math.max(time, context.currentTime);
+        const theme = this.getTheme();
+
+        try {
+            if (theme === this.fileTheme) {
+                const buffer = this.buffers[cue];
+                if (buffer) {
+                    return [this.playBuffer(buffer, start, volume)];
+                }
+                // 文件未载入或不存在时使用合成音
+                if (buffer === undefined) this.loadBuffers();
+                return this.playTones(this.themes.classic[cue], start, volume);
+            }
+            return this.playTones(this.themes[theme][cue], start, volume);
+        } catch (error) {
+            console.warn('Could not play sound:', error);
+            return [];
+        }
+    }
+
+    playTones(tones, start, volume) {
+        return (tones || []).map(tone => {
+            const context = this.context;
+            const time = start + (tone.offset || 0);
+            const peak = this.baseGain * (tone.gain || 1) * volume;
+            const oscillator = context.createOscillator();
+            const gainNode = context.createGain();
+            oscillator.connect(gainNode);
+            gainNode.connect(context.destination);
+
+            oscillator.type = tone.wave || 'sine';
+            oscillator.frequency.setValueAtTime(tone.frequency, time);
+            if (tone.to) {
+                oscillator.frequency.exponentialRampToValueAtTime(tone.to, time + tone.length);
+            }
+
+            // 短暂的起音避免爆音，然后指数衰减
+            gainNode.gain.setValueAtTime(0.0001, time);
+            gainNode.gain.exponentialRampToValueAtTime(peak, time + 0.01);
+            gainNode.gain.exponentialRampToValueAtTime(0.0001, time + tone.length);
+            oscillator.start(time);
+            oscillator.stop(time + tone.length);
+            return oscillator;
+        });
+    }
+
+    playBuffer(buffer, time, volume) {
+        const context = this.context;
+        const source = context.createBufferSource();
+        const gainNode = context.createGain();
+        source.buffer = buffer;
+        source.connect(gainNode);
+        gainNode.connect(context.destination);
+        gainNode.gain.value = volume;
+        source.start(time);
+        return source;
+    }
+
+    // 载入 assets/audio/<提示音>.wav，载入失败的使用经典提示音
+    loadBuffers() {
+        const context = this.getContext();
+        if (!context || this.loadingBuffers) return this.loadingBuffers;
+
+        this.loadingBuffers = Promise.all(this.cues.map(async cue => {
+            try {
+                const response = await fetch(`assets/audio/${cue}.${this.fileFormat}`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const data = await response.arrayBuffer();
+                this.buffers[cue] = await context.decodeAudioData(data);
+            } catch (error) {
+                console.warn(`Audio file for ${cue} not available:`, error);
+                this.buffers[cue] = null;
+            }
+        }));
+        return this.loadingBuffers;
+    }
+}
+
+// 创建全局实例
+window.audioEngine = new AudioEngine();
\ No newline at end of file
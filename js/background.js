@@ -0,0 +1,311 @@
+/**
+ * PelvicFit Mini - 后台训练模块
+ * 启用后锁屏或切换到其他应用时训练继续进行：
+ * - 训练开始或继续时，按阶段时间线（Exercise.buildTimeline）把之后所有的提示音一次性排进音频引擎（audio.js）的时间轴，
+ *   页面在后台不执行脚本时提示音也会按时播放
+ * - 播放一段循环的静音音频，使系统把页面当作媒体播放，在锁屏和通知栏通过 Media Session 显示播放/暂停/停止控制
+ * - 页面在前台时通过 Wake Lock 保持屏幕常亮
+ *
+ * 本模块只监听训练状态事件（exerciseStateChanged），训练逻辑仍由 exercise.js 负责。
+ */
+
+class BackgroundMode {
+    constructor() {
+        this.silentAudio = null; // 保持媒体会话的静音音频
+        this.cues = []; // 已排程的提示音 { node, time }
+        this.scheduled = false;
+        this.wakeLock = null;
+        this.running = false; // 训练是否正在进行（未暂停）
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('exerciseStateChanged', (event) => {
+            this.onStateChanged(event.detail);
+        });
+
+        window.addEventListener('settingsChanged', (event) => {
+            const detail = event.detail;
+            if (detail.backgroundMode !== undefined || detail.soundEnabled !== undefined ||
+                detail.holdTick !== undefined || detail.soundTheme !== undefined || detail.cueVolumes !== undefined) {
+                this.refresh();
+            }
+        });
+
+        // 屏幕常亮在页面隐藏时会被系统释放，回到前台后重新申请
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.running && this.isEnabled()) {
+                this.requestWakeLock();
+            }
+        });
+
+        this.setupMediaSession();
+    }
+
+    isEnabled() {
+        return !!window.storage && window.storage.getSetting('backgroundMode', false);
+    }
+
+    // 页面隐藏时训练是否继续（exercise.js 和 app.js 据此决定是否暂停）
+    isRunningInBackground() {
+        return this.isEnabled() && this.running;
+    }
+
+    // 提示音已排进时间轴时，exercise.js 不再实时播放阶段提示音
+    isScheduled() {
+        return this.scheduled;
+    }
+
+    // === 训练状态 ===
+
+    onStateChanged(state) {
+        const running = state.isActive && !state.isPaused;
+        const wasRunning = this.running;
+        this.running = running;
+
+        if (!this.isEnabled()) {
+            return;
+        }
+
+        if (running && !wasRunning) {
+            this.start();
+        } else if (!running && wasRunning) {
+            // 训练完成时结束提示音已经开始播放，不打断
+            this.stop(state.phase !== 'complete');
+        }
+        this.updateMediaSession(state);
+    }
+
+    // 设置变化后按当前训练状态重新开始或停止
+    refresh() {
+        const exercise = window.exercise;
+        this.stop(true);
+        if (this.isEnabled() && this.running && exercise) {
+            this.start();
+            this.updateMediaSession({ isActive: exercise.isActive, isPaused: exercise.isPaused });
+        } else {
+            this.clearMediaSession();
+        }
+    }
+
+    start() {
+        this.scheduleCues();
+        this.playSilentAudio();
+        if (!document.hidden) {
+            this.requestWakeLock();
+        }
+    }
+
+    // cancelCues 为false时保留已经开始播放的提示音（训练完成时）
+    stop(cancelCues = true) {
+        if (cancelCues) {
+            this.cancelCues();
+        } else {
+            this.cues = [];
+            this.scheduled = false;
+        }
+        if (this.silentAudio) {
+            this.silentAudio.pause();
+        }
+        this.releaseWakeLock();
+    }
+
+    // === 提示音排程 ===
+
+    // 从当前已训练时长开始，把之后每个阶段开始时的提示音、保持收缩时的滴答和结束提示音排进时间轴
+    scheduleCues() {
+        const exercise = window.exercise;
+        const engine = window.audioEngine;
+        this.cancelCues();
+        if (!exercise || !engine || !exercise.soundEnabled || !exercise.timeline.length) return;
+
+        const context = engine.getContext();
+        if (!context) return;
+
+        const elapsed = exercise.getElapsed();
+        const base = context.currentTime - elapsed; // 时间线零点对应的音频时间
+        const schedule = (cue, time) => {
+            if (time <= elapsed) return;
+            engine.play(cue, base + time).forEach(node => {
+                this.cues.push({ node, time: base + time });
+            });
+        };
+
+        exercise.timeline.forEach(entry => {
+            if (entry.duration <= 0) return;
+            const cue = this.getCueType(entry);
+            if (cue) {
+                schedule(cue, entry.start);
+            }
+            if (exercise.holdTick && entry.phase === 'contract') {
+                for (let second = 1; second < entry.duration; second++) {
+                    schedule('tick', entry.start + second);
+                }
+            }
+        });
+
+        schedule('complete', exercise.getTimelineDuration(exercise.timeline));
+        this.scheduled = true;
+    }
+
+    // 与 Exercise.announcePhase() 的提示音一致
+    getCueType(entry) {
+        switch (entry.phase) {
+            case 'contract':
+                return entry.step === 0 ? 'contract' : 'step';
+            case 'relax':
+                return 'relax';
+            case 'rest':
+                return 'rest';
+            default:
+                return null;
+        }
+    }
+
+    // 取消尚未开始播放的提示音
+    cancelCues() {
+        const context = window.audioEngine ? window.audioEngine.context : null;
+        const now = context ? context.currentTime : 0;
+        this.cues.forEach(cue => {
+            if (cue.time > now) {
+                try {
+                    cue.node.stop();
+                    cue.node.disconnect();
+                } catch (error) {
+                    // 已经停止的节点
+                }
+            }
+        });
+        this.cues = [];
+        this.scheduled = false;
+    }
+
+    // === 媒体会话 ===
+
+    // 循环播放一秒的静音WAV，系统据此保持页面的音频会话并显示媒体控制
+    playSilentAudio() {
+        if (!this.silentAudio) {
+            this.silentAudio = new Audio(this.createSilentWav());
+            this.silentAudio.loop = true;
+        }
+        const playing = this.silentAudio.play();
+        if (playing && playing.catch) {
+            playing.catch(error => console.warn('Background audio blocked:', error));
+        }
+    }
+
+    createSilentWav() {
+        const sampleRate = 8000;
+        const samples = sampleRate; // 1秒，8位单声道
+        const buffer = new ArrayBuffer(44 + samples);
+        const view = new DataView(buffer);
+        const writeText = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeText(0, 'RIFF');
+        view.setUint32(4, 36 + samples, true);
+        writeText(8, 'WAVE');
+        writeText(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, 1, true); // 单声道
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate, true);
+        view.setUint16(32, 1, true);
+        view.setUint16(34, 8, true);
+        writeText(36, 'data');
+        view.setUint32(40, samples, true);
+        new Uint8Array(buffer, 44).fill(128); // 8位PCM的静音值
+
+        return URL.createObjectURL(new Blob([buffer], { type: 'audio/wav' }));
+    }
+
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        const handlers = {
+            play: () => window.exercise && window.exercise.resume(),
+            pause: () => window.exercise && window.exercise.pause(),
+            stop: () => window.exercise && window.exercise.stop()
+        };
+        Object.keys(handlers).forEach(action => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handlers[action]);
+            } catch (error) {
+                console.warn(`Media session action ${action} not supported`);
+            }
+        });
+    }
+
+    updateMediaSession(state) {
+        if (!('mediaSession' in navigator)) return;
+        const exercise = window.exercise;
+        if (!state.isActive || !exercise || !exercise.currentPlan) {
+            this.clearMediaSession();
+            return;
+        }
+
+        const plan = exercise.currentPlan;
+        if (window.MediaMetadata) {
+            const title = window.ui ? window.ui.getSessionPlanLabel({
+                plan: plan.isCustom ? 'custom' : plan.name,
+                planTitle: plan.title || null,
+                programId: plan.programId || null,
+                programWeek: plan.programWeek || null
+            }) : plan.name;
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title,
+                artist: 'PelvicFit Mini',
+                artwork: [{ src: 'assets/icons/icon-512x512.png', sizes: '512x512', type: 'image/png' }]
+            });
+        }
+        navigator.mediaSession.playbackState = state.isPaused ? 'paused' : 'playing';
+
+        // 锁屏界面显示训练总时长和当前位置
+        if (navigator.mediaSession.setPositionState) {
+            try {
+                navigator.mediaSession.setPositionState({
+                    duration: exercise.getTimelineDuration(exercise.timeline),
+                    position: Math.min(exercise.getElapsed(), exercise.getTimelineDuration(exercise.timeline)),
+                    playbackRate: 1
+                });
+            } catch (error) {
+                console.warn('Could not set media position:', error);
+            }
+        }
+    }
+
+    clearMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+        navigator.mediaSession.metadata = null;
+        navigator.mediaSession.playbackState = 'none';
+    }
+
+    // === 屏幕常亮 ===
+
+    async requestWakeLock() {
+        if (!('wakeLock' in navigator) || this.wakeLock) return;
+        try {
+            this.wakeLock = await navigator.wakeLock.request('screen');
+            this.wakeLock.addEventListener('release', () => {
+                this.wakeLock = null;
+            });
+        } catch (error) {
+            console.warn('Wake lock not available:', error);
+        }
+    }
+
+    releaseWakeLock() {
+        if (this.wakeLock) {
+            this.wakeLock.release().catch(() => {});
+            this.wakeLock = null;
+        }
+    }
+}
+
+// 创建全局实例
+window.backgroundMode = new BackgroundMode();
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * PelvicFit Mini - 加密模块
+ * 基于WebCrypto的AES-GCM加密和密钥派生（PBKDF2 / HKDF），用于应用锁和本地数据加密
+ */
+
+class CryptoUtils {
+    constructor() {
+        this.pbkdf2Iterations = 600000; // PBKDF2-SHA256迭代次数（OWASP 2023建议值）；已保存的配置记录各自的次数
+        this.saltLength = 16;
+        this.ivLength = 12; // AES-GCM推荐的IV长度
+    }
+
+    isSupported() {
+        return !!(window.crypto && window.crypto.subtle && window.isSecureContext !== false);
+    }
+
+    randomBytes(length) {
+        return window.crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    // === 编码 ===
+
+    toBase64(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // === 密钥 ===
+
+    // 生成随机数据密钥（可导出，以便用不同的解锁方式分别包装）
+    generateDataKey() {
+        return window.crypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // 从密码派生包装密钥（PBKDF2-SHA256）
+    async deriveKeyFromPassphrase(passphrase, salt, iterations = this.pbkdf2Iterations) {
+        const material = await window.crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return window.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+        );
+    }
+
+    // 从高熵密钥材料派生包装密钥（HKDF-SHA256，用于WebAuthn PRF输出）
+    async deriveKeyFromSecret(secret, salt) {
+        const material = await window.crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+        return window.crypto.subtle.deriveKey(
+            { name: 'HKDF', salt, info: new TextEncoder().encode('pelvicfit-data-key'), hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    // 用包装密钥加密数据密钥，返回 { iv, data }（base64）
+    async wrapKey(dataKey, wrappingKey) {
+        const iv = this.randomBytes(this.ivLength);
+        const wrapped = await window.crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: 'AES-GCM', iv });
+        return { iv: this.toBase64(iv), data: this.toBase64(wrapped) };
+    }
+
+    // 解开数据密钥；包装密钥错误（如密码错误）时抛出异常
+    unwrapKey(wrapped, wrappingKey) {
+        return window.crypto.subtle.unwrapKey(
+            'raw',
+            this.fromBase64(wrapped.data),
+            wrappingKey,
+            { name: 'AES-GCM', iv: this.fromBase64(wrapped.iv) },
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // === 加密数据 ===
+
+    // 加密字节数据，返回 { iv, data }（base64）
+    async encryptBytes(key, bytes) {
+        const iv = this.randomBytes(this.ivLength);
+        const encrypted = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+        return { iv: this.toBase64(iv), data: this.toBase64(encrypted) };
+    }
+
+    async decryptBytes(key, payload) {
+        const decrypted = await window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(payload.iv) },
+            key,
+            this.fromBase64(payload.data)
+        );
+        return new Uint8Array(decrypted);
+    }
+
+    // 加密任意可JSON序列化的值，返回 { iv, data }（base64）
+    encryptJSON(key, value) {
+        return this.encryptBytes(key, new TextEncoder().encode(JSON.stringify(value)));
+    }
+
+    async decryptJSON(key, payload) {
+        return JSON.parse(new TextDecoder().decode(await this.decryptBytes(key, payload)));
+    }
+}
+
+// 创建全局实例
+window.cryptoUtils = new CryptoUtils();
\ No newline at end of file
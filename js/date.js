@@ -0,0 +1,77 @@
+/**
+ * PelvicFit Mini - 日期模块
+ * 按本地日历日计算训练日期，支持自定义每天的开始时间（凌晨分界）
+ */
+
+class DateUtils {
+    constructor() {
+        this.MS_PER_DAY = 24 * 60 * 60 * 1000;
+        this.DEFAULT_DAY_BOUNDARY = 0; // 默认午夜为一天的开始
+    }
+
+    // 每天的开始时间（小时），在此之前的训练算作前一天
+    getDayBoundaryHour() {
+        if (!window.storage) return this.DEFAULT_DAY_BOUNDARY;
+        const hour = parseInt(window.storage.getSetting('dayBoundaryHour', this.DEFAULT_DAY_BOUNDARY));
+        return hour >= 0 && hour < 12 ? hour : this.DEFAULT_DAY_BOUNDARY;
+    }
+
+    // 按本地日期格式化为 YYYY-MM-DD（不考虑分界时间）
+    formatLocalDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // 时间点所属的训练日（YYYY-MM-DD）
+    toDateString(date = new Date()) {
+        const shifted = new Date(date.getTime() - this.getDayBoundaryHour() * 60 * 60 * 1000);
+        return this.formatLocalDate(shifted);
+    }
+
+    // 今天的训练日
+    today() {
+        return this.toDateString(new Date());
+    }
+
+    // 当前UTC偏移（分钟，东八区为480）
+    getUtcOffset(date = new Date()) {
+        return -date.getTimezoneOffset();
+    }
+
+    // 按记录时的UTC偏移计算时间戳所属的训练日
+    fromTimestamp(timestamp, utcOffset = null) {
+        if (utcOffset === null || utcOffset === undefined) {
+            return this.toDateString(new Date(timestamp));
+        }
+
+        const shifted = new Date(timestamp + utcOffset * 60 * 1000 -
+            this.getDayBoundaryHour() * 60 * 60 * 1000);
+        return shifted.toISOString().split('T')[0];
+    }
+
+    // 解析 YYYY-MM-DD 为本地日期（取中午，避免夏令时影响）
+    parse(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day, 12);
+    }
+
+    // 日期加减天数
+    addDays(dateStr, days) {
+        const date = this.parse(dateStr);
+        date.setDate(date.getDate() + days);
+        return this.formatLocalDate(date);
+    }
+
+    // 两个日期相差的天数（to - from）
+    diffDays(from, to) {
+        const toUTC = (dateStr) => {
+            const [year, month, day] = dateStr.split('-').map(Number);
+            return Date.UTC(year, month - 1, day);
+        };
+        return Math.round((toUTC(to) - toUTC(from)) / this.MS_PER_DAY);
+    }
+}
+
+// 创建全局实例
+window.dateUtils = new DateUtils();
\ No newline at end of file
@@ -0,0 +1,300 @@
+/**
+ * PelvicFit Mini - 训练记录存储后端
+ * 优先使用IndexedDB按条保存训练记录（按日期建索引），不可用时回退到localStorage
+ * 所有后端提供相同的异步接口：
+ * init / getAll / getRange / put / putMany / delete / deleteMany / replaceAll / clear
+ * 启用应用锁后，IndexedDB中的记录由 EncryptedSessionBackend 加密保存
+ */
+
+// IndexedDB后端：每条训练记录单独保存，按日期索引查询
+class IndexedDBSessionBackend {
+    constructor() {
+        this.type = 'indexeddb';
+        this.dbName = 'pelvicfit';
+        this.dbVersion = 1;
+        this.storeName = 'sessions';
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    init() {
+        return new Promise((resolve, reject) => {
+            let request;
+            try {
+                request = indexedDB.open(this.dbName, this.dbVersion);
+            } catch (error) {
+                // 部分浏览器的隐私模式下直接抛出异常
+                reject(error);
+                return;
+            }
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('date', 'date', { unique: false });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // 其他标签页升级数据库时关闭连接，避免阻塞
+                this.db.onversionchange = () => this.db.close();
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+        });
+    }
+
+    // 在一个事务中执行操作，事务完成后返回结果
+    transaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            const store = tx.objectStore(this.storeName);
+            let result;
+            const request = operation(store);
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async getAll() {
+        const sessions = await this.transaction('readonly', store => store.getAll());
+        return this.sortSessions(sessions || []);
+    }
+
+    // 按日期索引查询范围内的记录（包含首尾）
+    async getRange(startDate, endDate) {
+        const range = IDBKeyRange.bound(startDate, endDate);
+        const sessions = await this.transaction('readonly', store => store.index('date').getAll(range));
+        return this.sortSessions(sessions || []);
+    }
+
+    put(session) {
+        return this.transaction('readwrite', store => store.put(session));
+    }
+
+    putMany(sessions) {
+        return this.transaction('readwrite', store => {
+            sessions.forEach(session => store.put(session));
+        });
+    }
+
+    delete(sessionId) {
+        return this.transaction('readwrite', store => store.delete(sessionId));
+    }
+
+    deleteMany(sessionIds) {
+        return this.transaction('readwrite', store => {
+            sessionIds.forEach(sessionId => store.delete(sessionId));
+        });
+    }
+
+    // 替换全部记录（同一事务内完成，失败时不会只写入一半）
+    replaceAll(sessions) {
+        return this.transaction('readwrite', store => {
+            store.clear();
+            sessions.forEach(session => store.put(session));
+        });
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+
+    // 按时间顺序返回，与localStorage中保存的顺序一致
+    sortSessions(sessions) {
+        return sessions.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    }
+}
+
+// localStorage后端：所有记录保存为一个数组（旧版本的格式）
+// 读取是同步的（启用应用锁时读取内存中解密后的数据），连续多次写入不会相互覆盖；
+// 写入等待保存完成（加密写入是异步的），失败时reject
+class LocalStorageSessionBackend {
+    constructor(storage) {
+        this.type = 'localstorage';
+        this.storage = storage;
+        this.key = 'sessions';
+    }
+
+    init() {
+        return Promise.resolve(this);
+    }
+
+    getAll() {
+        return this.run(() => this.read());
+    }
+
+    getRange(startDate, endDate) {
+        return this.run(() => this.read().filter(session => {
+            return session.date >= startDate && session.date <= endDate;
+        }));
+    }
+
+    put(session) {
+        return this.putMany([session]);
+    }
+
+    putMany(sessions) {
+        return this.run(() => {
+            const byId = new Map(this.read().map(session => [session.id, session]));
+            sessions.forEach(session => byId.set(session.id, session));
+            return this.write([...byId.values()]);
+        });
+    }
+
+    delete(sessionId) {
+        return this.deleteMany([sessionId]);
+    }
+
+    deleteMany(sessionIds) {
+        return this.run(() => {
+            const ids = new Set(sessionIds);
+            return this.write(this.read().filter(session => !ids.has(session.id)));
+        });
+    }
+
+    replaceAll(sessions) {
+        return this.run(() => this.write(sessions));
+    }
+
+    clear() {
+        return this.run(() => {
+            this.storage.remove(this.key);
+        });
+    }
+
+    read() {
+        return this.storage.get(this.key, []);
+    }
+
+    // 写入失败（如空间不足）时reject，由调用方处理
+    async write(sessions) {
+        if (!await this.storage.setAndWait(this.key, sessions)) {
+            throw new Error('Could not write sessions');
+        }
+    }
+
+    run(operation) {
+        try {
+            return Promise.resolve(operation());
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+}
+
+// 加密后端：包装另一个后端，每条记录只保留id，其余内容用数据密钥加密
+// 加密后不能按日期索引查询，范围查询改为解密全部记录后筛选
+class EncryptedSessionBackend {
+    constructor(backend, key) {
+        this.backend = backend;
+        this.type = backend.type;
+        this.key = key;
+        this.queue = Promise.resolve(); // 加密是异步的，按调用顺序依次写入
+    }
+
+    init() {
+        return Promise.resolve(this);
+    }
+
+    async getAll() {
+        const records = await this.backend.getAll();
+        const sessions = await Promise.all(records.map(record => this.decrypt(record)));
+        return sessions.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    }
+
+    async getRange(startDate, endDate) {
+        const sessions = await this.getAll();
+        return sessions.filter(session => session.date >= startDate && session.date <= endDate);
+    }
+
+    put(session) {
+        return this.putMany([session]);
+    }
+
+    putMany(sessions) {
+        return this.enqueue(async () => {
+            const records = await Promise.all(sessions.map(session => this.encrypt(session)));
+            return this.backend.putMany(records);
+        });
+    }
+
+    delete(sessionId) {
+        return this.enqueue(() => this.backend.delete(sessionId));
+    }
+
+    deleteMany(sessionIds) {
+        return this.enqueue(() => this.backend.deleteMany(sessionIds));
+    }
+
+    replaceAll(sessions) {
+        return this.enqueue(async () => {
+            const records = await Promise.all(sessions.map(session => this.encrypt(session)));
+            return this.backend.replaceAll(records);
+        });
+    }
+
+    clear() {
+        return this.enqueue(() => this.backend.clear());
+    }
+
+    async encrypt(session) {
+        return { id: session.id, encrypted: await window.cryptoUtils.encryptJSON(this.key, session) };
+    }
+
+    // 启用加密前写入的明文记录原样返回
+    decrypt(record) {
+        return record.encrypted ? window.cryptoUtils.decryptJSON(this.key, record.encrypted) : record;
+    }
+
+    enqueue(operation) {
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+}
+
+class SessionDB {
+    // 打开可用的后端：IndexedDB打开失败时回退到localStorage
+    async open(storage) {
+        if (IndexedDBSessionBackend.isSupported()) {
+            try {
+                return await new IndexedDBSessionBackend().init();
+            } catch (error) {
+                console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+            }
+        }
+        return this.openLocalStorage(storage);
+    }
+
+    openLocalStorage(storage) {
+        return new LocalStorageSessionBackend(storage).init();
+    }
+
+    // 为IndexedDB后端加上加密层（localStorage后端由Storage整体加密）
+    encrypt(backend, key) {
+        if (backend instanceof EncryptedSessionBackend) {
+            backend = backend.backend;
+        }
+        return backend.type === 'indexeddb' ? new EncryptedSessionBackend(backend, key) : backend;
+    }
+
+    // 去掉加密层
+    decrypt(backend) {
+        return backend instanceof EncryptedSessionBackend ? backend.backend : backend;
+    }
+}
+
+// 创建全局实例
+window.sessionDB = new SessionDB();
\ No newline at end of file
@@ -9,14 +9,34 @@ class Exercise {
         this.isActive = false;
         this.isPaused = false;
         this.currentPhase = 'prepare'; // prepare, contract, relax, rest, complete
-        this.currentSet = 1;
+        this.currentSet = 1; // 当前段落序号（经典计划中每组即一个段落）
         this.currentRep = 1;
-        this.timer = null;
+        this.currentStep = 0; // 当前收缩力度档位（电梯式训练）
+        this.frame = null; // requestAnimationFrame 句柄
         this.startTime = null;
         this.pausedTime = 0;
 
-        // 当前训练计划
+        // 计时引擎：按预先计算的阶段时间线和单调时钟 performance.now() 计算当前状态，不累积误差
+        this.prepareTime = 3; // 准备时间（秒）
+        this.timeline = []; // 各阶段的起止时间（秒，不含暂停）
+        this.phaseIndex = -1; // 当前阶段在时间线中的位置
+        this.activeElapsed = 0; // 本次运行之前已训练的时长（毫秒）
+        this.runStart = null; // 本次运行开始的 performance.now()，暂停时为null
+
+        // 当前训练计划及其段落
         this.currentPlan = null;
+        this.segments = [];
+
+        // 进行中训练的快照（页面被意外关闭后用于恢复）
+        this.progressKey = 'activeExercise';
+
+        // 段落类型默认参数
+        // hold: 慢速保持收缩；quick: 快速收缩（quick flick）；elevator: 分级力度的电梯式收缩
+        this.segmentTypes = {
+            hold: { contractTime: 5, relaxTime: 5, reps: 10, restTime: 30, intensities: [100] },
+            quick: { contractTime: 1, relaxTime: 1, reps: 10, restTime: 30, intensities: [100] },
+            elevator: { contractTime: 2, relaxTime: 6, reps: 5, restTime: 30, intensities: [25, 50, 75, 100] }
+        };
         
         // 预设训练计划
         this.plans = {
@@ -43,12 +63,23 @@ class Exercise {
                 sets: 4,
                 repsPerSet: 20,
                 restTime: 60
+            },
+            mixed: {
+                name: 'mixed',
+                segments: [
+                    { type: 'hold', contractTime: 5, relaxTime: 5, reps: 8, restTime: 30 },
+                    { type: 'quick', reps: 10, restTime: 30 },
+                    { type: 'elevator', reps: 4, restTime: 30 },
+                    { type: 'hold', contractTime: 8, relaxTime: 8, reps: 5 }
+                ]
             }
         };
 
         // 音频和震动设置
         this.soundEnabled = true;
         this.vibrationEnabled = true;
+        this.holdTick = false; // 保持收缩时每秒滴答
+        this.backgroundTimer = null; // 后台模式下页面隐藏时的低频计时
         
         // 绑定方法
         this.tick = this.tick.bind(this);
@@ -68,6 +99,7 @@ class Exercise {
         if (window.storage) {
             this.soundEnabled = window.storage.getSetting('soundEnabled', true);
             this.vibrationEnabled = window.storage.getSetting('vibrationEnabled', true);
+            this.holdTick = window.storage.getSetting('holdTick', false);
         }
     }
 
@@ -80,67 +112,218 @@ class Exercise {
             if (event.detail.vibrationEnabled !== undefined) {
                 this.vibrationEnabled = event.detail.vibrationEnabled;
             }
+            if (event.detail.holdTick !== undefined) {
+                this.holdTick = event.detail.holdTick;
+            }
         });
 
-        // 监听页面可见性变化（防止后台计时不准）
+        // 监听页面可见性变化（后台不会触发动画帧）
         document.addEventListener('visibilitychange', () => {
-            if (document.hidden && this.isActive && !this.isPaused) {
-                // 页面被隐藏时记录时间
-                this.backgroundTime = Date.now();
+            if (this.isBackgroundMode()) {
+                this.handleBackgroundVisibility();
+            } else if (document.hidden && this.isActive && !this.isPaused) {
+                // 页面被隐藏时记录时间，并保存进度（之后页面可能被系统关闭）
+                this.backgroundTime = performance.now();
+                this.saveProgress();
             } else if (!document.hidden && this.backgroundTime) {
                 // 页面重新显示时调整计时
-                const backgroundDuration = Date.now() - this.backgroundTime;
+                const backgroundDuration = performance.now() - this.backgroundTime;
                 this.adjustForBackground(backgroundDuration);
                 this.backgroundTime = null;
             }
         });
     }
 
+    // 后台模式是否在训练中生效（见 background.js）
+    isBackgroundMode() {
+        return !!window.backgroundMode && window.backgroundMode.isRunningInBackground();
+    }
+
+    // 后台模式：页面隐藏时训练继续，提示音已排进音频时间轴
+    // 浏览器在后台会限制定时器频率，这里只用于更新阶段、保存进度和在结束时保存记录
+    handleBackgroundVisibility() {
+        clearInterval(this.backgroundTimer);
+        this.backgroundTimer = null;
+
+        if (document.hidden) {
+            // 页面可能在后台被系统关闭
+            this.saveProgress();
+            this.backgroundTimer = setInterval(() => {
+                this.stopTimer();
+                this.tick();
+                if (!this.isActive || this.isPaused) {
+                    clearInterval(this.backgroundTimer);
+                    this.backgroundTimer = null;
+                }
+            }, 1000);
+        } else {
+            this.startTimer();
+        }
+    }
+
     // 调整后台时间
     adjustForBackground(backgroundDuration) {
-        // 如果后台时间过长（超过5秒），暂停训练
+        // 如果后台时间过长（超过5秒），从进入后台的时刻暂停，后台期间不计入训练
+        // 较短时继续训练，时间线按实际经过的时间直接跳到当前阶段
         if (backgroundDuration > 5000) {
-            this.pause();
+            this.pause(this.backgroundTime);
             this.showMessage(window.i18n ? window.i18n.t('exercise.paused') : '训练已暂停');
         }
     }
 
-    // 获取训练计划
+    // 获取训练计划（预设计划、已保存的自定义计划或训练方案的今日计划）
     getPlan(planName) {
-        return this.plans[planName] || null;
+        if (planName === 'program') {
+            return window.program ? window.program.getTodayPlan() : null;
+        }
+        return this.getAllPlans()[planName] || null;
+    }
+
+    // 获取已保存的自定义计划（以id为键，保持用户排序）
+    getCustomPlans() {
+        const customPlans = {};
+        if (window.storage) {
+            window.storage.getCustomPlans().forEach(plan => {
+                customPlans[plan.id] = { ...plan, name: plan.id, isCustom: true };
+            });
+        }
+        return customPlans;
     }
 
     // 获取所有计划
     getAllPlans() {
-        return this.plans;
+        return { ...this.plans, ...this.getCustomPlans() };
+    }
+
+    // 获取计划的段落列表
+    // 带segments的计划按段落执行；经典计划（contractTime/relaxTime/sets/repsPerSet）每组转换为一个hold段落
+    getSegments(plan) {
+        if (!plan) return [];
+
+        if (Array.isArray(plan.segments) && plan.segments.length > 0) {
+            return plan.segments.map(segment => this.normalizeSegment(segment));
+        }
+
+        const segments = [];
+        for (let i = 0; i < (plan.sets || 1); i++) {
+            segments.push(this.normalizeSegment({
+                type: 'hold',
+                contractTime: plan.contractTime,
+                relaxTime: plan.relaxTime,
+                reps: plan.repsPerSet,
+                restTime: plan.restTime
+            }));
+        }
+        return segments;
+    }
+
+    // 补全段落的默认参数
+    normalizeSegment(segment) {
+        const defaults = this.segmentTypes[segment.type] || this.segmentTypes.hold;
+        return {
+            ...defaults,
+            ...segment,
+            type: this.segmentTypes[segment.type] ? segment.type : 'hold',
+            intensities: Array.isArray(segment.intensities) && segment.intensities.length > 0 ?
+                segment.intensities : defaults.intensities
+        };
+    }
+
+    // 单次重复时长（秒）= 每个力度档位的收缩时间 + 放松时间
+    getRepTime(segment) {
+        return segment.contractTime * segment.intensities.length + segment.relaxTime;
     }
 
     // 计算训练计划总时长（分钟）
     calculatePlanDuration(plan) {
         if (!plan) return 0;
-        
-        // 单次重复时间 = 收缩时间 + 放松时间
-        const singleRepTime = plan.contractTime + plan.relaxTime;
-        
-        // 单组时间 = 单次重复时间 × 每组重复次数
-        const singleSetTime = singleRepTime * plan.repsPerSet;
-        
-        // 总训练时间 = 单组时间 × 组数
-        const totalExerciseTime = singleSetTime * plan.sets;
-        
-        // 总休息时间 = 组间休息时间 × (组数 - 1)
-        const totalRestTime = plan.restTime * (plan.sets - 1);
-        
-        // 准备时间
-        const prepareTime = 3;
-        
-        // 总时长（秒）
-        const totalSeconds = prepareTime + totalExerciseTime + totalRestTime;
+
+        // 总时长（秒）= 准备时间 + 各段落训练时间 + 段落间休息时间
+        const totalSeconds = this.getTimelineDuration(this.buildTimeline(this.getSegments(plan)));
         
         // 转换为分钟并四舍五入
         return Math.round(totalSeconds / 60);
     }
 
+    // === 时间线 ===
+
+    // 预先计算整个训练的阶段时间线，每项为一个阶段：
+    // { phase, start, end, duration, set, rep, step }，时间为从训练开始起的秒数（不含暂停）
+    buildTimeline(segments) {
+        const timeline = [];
+        let time = 0;
+        const add = (phase, duration, set, rep, step = 0) => {
+            timeline.push({ phase, start: time, end: time + duration, duration, set, rep, step });
+            time += duration;
+        };
+
+        add('prepare', this.prepareTime, 1, 1);
+        segments.forEach((segment, index) => {
+            const set = index + 1;
+            for (let rep = 1; rep <= segment.reps; rep++) {
+                // 电梯式训练每个力度档位是一个收缩阶段
+                segment.intensities.forEach((intensity, step) => {
+                    add('contract', segment.contractTime, set, rep, step);
+                });
+                add('relax', segment.relaxTime, set, rep);
+            }
+
+            // 段落间休息（最后一个段落之后不休息），休息时已指向下一段落
+            if (index < segments.length - 1 && segment.restTime > 0) {
+                add('rest', segment.restTime, set + 1, 1);
+            }
+        });
+        return timeline;
+    }
+
+    getTimelineDuration(timeline) {
+        return timeline.length > 0 ? timeline[timeline.length - 1].end : 0;
+    }
+
+    // 时间线上某一时刻的训练状态（纯函数，不读写实例状态）
+    // elapsed 为已训练的秒数（不含暂停），可以是小数；到达总时长时 complete 为true
+    stateAt(timeline, elapsed) {
+        const time = Math.max(0, elapsed);
+        const total = this.getTimelineDuration(timeline);
+        if (time >= total) {
+            const last = timeline[timeline.length - 1];
+            return {
+                index: timeline.length,
+                phase: 'complete',
+                set: last ? last.set + 1 : 1,
+                rep: 1,
+                step: 0,
+                duration: 0,
+                timeRemaining: 0,
+                complete: true
+            };
+        }
+
+        // 二分查找第一个结束时间晚于 time 的阶段（时长为0的阶段会被跳过）
+        let low = 0;
+        let high = timeline.length - 1;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (timeline[mid].end <= time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        const entry = timeline[low];
+        return {
+            index: low,
+            phase: entry.phase,
+            set: entry.set,
+            rep: entry.rep,
+            step: entry.step,
+            duration: entry.duration,
+            timeRemaining: entry.end - time,
+            complete: false
+        };
+    }
+
     // 获取计划显示信息
     getPlanInfo(planName) {
         const plan = this.getPlan(planName);
@@ -158,9 +341,9 @@ class Exercise {
             return false;
         }
 
-        // 设置训练计划
+        // 设置训练计划（未保存的一次性计划统一命名为custom）
         if (customPlan) {
-            this.currentPlan = { ...customPlan, name: 'custom' };
+            this.currentPlan = { ...customPlan, name: 'custom', isCustom: true };
         } else {
             this.currentPlan = this.getPlan(planName);
         }
@@ -170,22 +353,24 @@ class Exercise {
             return false;
         }
 
+        this.segments = this.getSegments(this.currentPlan);
+        this.timeline = this.buildTimeline(this.segments);
+
         // 初始化状态
         this.isActive = true;
         this.isPaused = false;
-        this.currentPhase = 'prepare';
-        this.currentSet = 1;
-        this.currentRep = 1;
         this.startTime = Date.now();
         this.pausedTime = 0;
-        this.phaseStartTime = Date.now();
-        this.phaseTimeRemaining = 3; // 3秒准备时间
+        this.activeElapsed = 0;
+        this.runStart = performance.now();
+        this.applyState(this.stateAt(this.timeline, 0));
 
         // 开始计时器
         this.startTimer();
         
         // 更新UI
         this.updateUI();
+        this.saveProgress();
         
         // 播放开始音效
         this.playSound('start');
@@ -193,121 +378,136 @@ class Exercise {
         return true;
     }
 
-    // 开始计时器
+    // 开始计时器（每个动画帧按时间线计算一次状态）
     startTimer() {
-        if (this.timer) {
-            clearInterval(this.timer);
+        this.stopTimer();
+        this.frame = requestAnimationFrame(this.tick);
+    }
+
+    stopTimer() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
         }
+    }
 
-        this.timer = setInterval(this.tick, 100); // 每100ms更新一次
+    // 已训练的秒数（不含暂停）
+    getElapsed(now = performance.now()) {
+        const running = this.runStart !== null ? now - this.runStart : 0;
+        return (this.activeElapsed + running) / 1000;
     }
 
     // 计时器回调
-    tick() {
+    tick(now = performance.now()) {
+        this.frame = null;
         if (!this.isActive || this.isPaused) {
             return;
         }
 
-        const now = Date.now();
-        this.phaseTimeRemaining = Math.max(0, 
-            this.getPhaseTime() - Math.floor((now - this.phaseStartTime) / 1000)
-        );
+        const state = this.stateAt(this.timeline, this.getElapsed(now));
+        if (state.complete) {
+            this.applyState(state);
+            this.completeExercise();
+            return;
+        }
+
+        if (state.index !== this.phaseIndex) {
+            // 进入新阶段（页面短暂在后台时可能一次跨过多个阶段，只提示当前阶段）
+            this.applyState(state);
+            this.announcePhase();
+            this.updateUI();
+            this.saveProgress();
+        } else {
+            // 保持收缩时每过一秒滴答一次
+            if (Math.ceil(state.timeRemaining) < Math.ceil(this.phaseTimeRemaining)) {
+                this.tickSecond();
+            }
+            this.phaseTimeRemaining = state.timeRemaining;
+        }
 
         // 更新UI
         this.updateTimer();
+        this.frame = requestAnimationFrame(this.tick);
+    }
 
-        // 检查阶段是否结束
-        if (this.phaseTimeRemaining <= 0) {
-            this.nextPhase();
-        }
+    // 把时间线状态应用到当前训练
+    applyState(state) {
+        this.phaseIndex = state.index;
+        this.currentPhase = state.phase;
+        this.currentSet = state.set;
+        this.currentRep = state.rep;
+        this.currentStep = state.step;
+        this.phaseTimeRemaining = state.timeRemaining;
+    }
+
+    // 获取当前段落
+    getCurrentSegment() {
+        return this.segments[this.currentSet - 1] || null;
+    }
+
+    // 获取当前收缩力度（百分比）
+    getCurrentIntensity() {
+        const segment = this.getCurrentSegment();
+        if (!segment || this.currentPhase !== 'contract') return null;
+        return segment.intensities[this.currentStep] || 100;
     }
 
     // 获取当前阶段的时间
     getPhaseTime() {
-        switch (this.currentPhase) {
-            case 'prepare':
-                return 3;
-            case 'contract':
-                return this.currentPlan.contractTime;
-            case 'relax':
-                return this.currentPlan.relaxTime;
-            case 'rest':
-                return this.currentPlan.restTime;
-            default:
-                return 0;
-        }
+        const entry = this.timeline[this.phaseIndex];
+        return entry && this.currentPhase !== 'complete' ? entry.duration : 0;
     }
 
-    // 进入下一阶段
-    nextPhase() {
+    // 进入新阶段时的音效和震动（后台模式已排程提示音时不再实时播放）
+    announcePhase() {
+        const scheduled = window.backgroundMode && window.backgroundMode.isScheduled();
+        const sound = (type) => {
+            if (!scheduled) this.playSound(type);
+        };
+
         switch (this.currentPhase) {
-            case 'prepare':
-                this.currentPhase = 'contract';
-                this.playSound('contract');
-                this.vibrate(200);
-                break;
-                
             case 'contract':
-                this.currentPhase = 'relax';
-                this.playSound('relax');
-                this.vibrate(100);
+                // 电梯式训练提升到下一力度档位时使用较短的提示
+                sound(this.currentStep === 0 ? 'contract' : 'step');
+                this.vibrate(this.currentStep === 0 ? 200 : 100);
                 break;
-                
             case 'relax':
-                this.currentRep++;
-                if (this.currentRep <= this.currentPlan.repsPerSet) {
-                    // 继续下一个重复
-                    this.currentPhase = 'contract';
-                    this.playSound('contract');
-                    this.vibrate(200);
-                } else {
-                    // 完成一组
-                    this.currentSet++;
-                    this.currentRep = 1;
-                    
-                    if (this.currentSet <= this.currentPlan.sets) {
-                        // 组间休息
-                        this.currentPhase = 'rest';
-                        this.playSound('rest');
-                        this.vibrate([100, 100, 100]);
-                    } else {
-                        // 训练完成
-                        this.completeExercise();
-                        return;
-                    }
-                }
+                sound('relax');
+                this.vibrate(100);
                 break;
-                
             case 'rest':
-                this.currentPhase = 'contract';
-                this.playSound('contract');
-                this.vibrate(200);
+                sound('rest');
+                this.vibrate([100, 100, 100]);
                 break;
         }
+    }
 
-        // 重置阶段时间
-        this.phaseStartTime = Date.now();
-        this.phaseTimeRemaining = this.getPhaseTime();
-        
-        // 更新UI
-        this.updateUI();
+    // 后台模式已把滴答排进音频时间轴时不再实时播放
+    tickSecond() {
+        if (this.holdTick && this.currentPhase === 'contract' &&
+            !(window.backgroundMode && window.backgroundMode.isScheduled())) {
+            this.playSound('tick');
+        }
     }
 
-    // 暂停训练
-    pause() {
+    // 暂停训练（at 为暂停时刻的 performance.now()，默认现在）
+    pause(at = performance.now()) {
         if (!this.isActive || this.isPaused) {
             return false;
         }
 
         this.isPaused = true;
         this.pauseStartTime = Date.now();
-        
-        if (this.timer) {
-            clearInterval(this.timer);
-            this.timer = null;
-        }
+        this.stopTimer();
+
+        // 固定已训练时长，并按暂停时刻更新状态
+        this.activeElapsed = this.getElapsed(at) * 1000;
+        this.runStart = null;
+        this.applyState(this.stateAt(this.timeline, this.activeElapsed / 1000));
 
         this.updateUI();
+        this.updateTimer();
+        this.saveProgress();
         return true;
     }
 
@@ -325,13 +525,19 @@ class Exercise {
             this.pauseStartTime = null;
         }
 
-        // 调整阶段开始时间
-        this.phaseStartTime = Date.now() - (this.getPhaseTime() - this.phaseTimeRemaining) * 1000;
+        // 从暂停时的已训练时长继续，不需要重新计算阶段时间
+        this.runStart = performance.now();
         
         // 重新开始计时器
         this.startTimer();
         
         this.updateUI();
+        this.saveProgress();
+
+        // 通过锁屏的媒体控制继续时页面仍在后台，不会触发动画帧，改用后台计时
+        if (document.hidden && this.isBackgroundMode()) {
+            this.handleBackgroundVisibility();
+        }
         return true;
     }
 
@@ -354,17 +560,20 @@ class Exercise {
     completeExercise() {
         this.currentPhase = 'complete';
         this.isActive = false;
-        
-        if (this.timer) {
-            clearInterval(this.timer);
-            this.timer = null;
-        }
+        this.stopTimer();
+
+        // 训练时长以时间线总时长为准
+        this.activeElapsed = this.getTimelineDuration(this.timeline) * 1000;
+        this.runStart = null;
 
         // 播放完成音效
-        this.playSound('complete');
+        if (!window.backgroundMode || !window.backgroundMode.isScheduled()) {
+            this.playSound('complete');
+        }
         this.vibrate([200, 100, 200, 100, 200]);
 
         // 保存训练记录
+        this.clearProgress();
         this.saveSession(true);
 
         // 更新UI
@@ -381,100 +590,173 @@ class Exercise {
         this.currentPhase = 'prepare';
         this.currentSet = 1;
         this.currentRep = 1;
+        this.currentStep = 0;
         this.startTime = null;
         this.pausedTime = 0;
         this.phaseTimeRemaining = 0;
-        
-        if (this.timer) {
-            clearInterval(this.timer);
-            this.timer = null;
-        }
+        this.phaseIndex = -1;
+        this.activeElapsed = 0;
+        this.runStart = null;
+        this.stopTimer();
 
+        this.clearProgress();
         this.updateUI();
     }
 
-    // 保存训练记录
-    saveSession(completed) {
+    // 保存训练记录（date 为空时记在今天）
+    saveSession(completed, date = null) {
         if (!this.currentPlan || !window.storage) {
             return;
         }
 
         const totalDuration = this.getTotalDuration();
+        const firstSegment = this.segments[0] || {};
+        const totalReps = this.getTotalReps();
+
+        // 最长的单次收缩（各段落的收缩时间可能不同；未完成时只算已经开始的收缩）
+        const elapsed = completed ? Infinity : this.getElapsed();
+        const holds = this.timeline
+            .filter(entry => entry.phase === 'contract' && entry.start < elapsed)
+            .map(entry => this.segments[entry.set - 1].contractTime);
+
         const sessionData = {
-            plan: this.currentPlan.name,
+            date,
+            plan: this.currentPlan.isCustom ? 'custom' : this.currentPlan.name,
+            customPlanId: this.currentPlan.isCustom && this.currentPlan.id ? this.currentPlan.id : null,
+            planTitle: this.currentPlan.title || null,
+            programId: this.currentPlan.programId || null,
+            programWeek: this.currentPlan.programWeek || null,
             duration: Math.floor(totalDuration / 1000), // 转换为秒
-            contractTime: this.currentPlan.contractTime,
-            relaxTime: this.currentPlan.relaxTime,
-            sets: this.currentPlan.sets,
-            repetitions: this.currentPlan.repsPerSet,
+            contractTime: holds.length > 0 ? Math.max(...holds) : firstSegment.contractTime,
+            relaxTime: firstSegment.relaxTime,
+            sets: this.segments.length,
+            repetitions: this.currentPlan.repsPerSet || Math.round(totalReps / this.segments.length), // 每组（段落）平均次数
+            totalReps: totalReps,
             completed: completed,
-            completedSets: completed ? this.currentPlan.sets : Math.max(0, this.currentSet - 1),
-            completedReps: completed ? this.currentPlan.repsPerSet * this.currentPlan.sets : 
-                          (this.currentSet - 1) * this.currentPlan.repsPerSet + Math.max(0, this.currentRep - 1)
+            completedSets: completed ? this.segments.length : Math.max(0, this.currentSet - 1),
+            completedReps: completed ? totalReps : this.getCompletedReps()
         };
 
         window.storage.saveSession(sessionData);
     }
 
+    // === 中断恢复 ===
+
+    // 保存进行中训练的快照（开始、每次阶段变化、暂停和继续时）
+    saveProgress() {
+        if (!this.isActive || !this.currentPlan || !window.storage) {
+            return;
+        }
+
+        const now = Date.now();
+        const pausedTime = this.pausedTime + (this.isPaused && this.pauseStartTime ? now - this.pauseStartTime : 0);
+        window.storage.set(this.progressKey, {
+            plan: this.currentPlan, // 完整计划（一次性自定义计划没有保存）
+            date: window.dateUtils.today(),
+            phase: this.currentPhase,
+            currentSet: this.currentSet,
+            currentRep: this.currentRep,
+            currentStep: this.currentStep,
+            elapsed: Math.round(this.getElapsed() * 1000), // 已训练时长（毫秒，不含暂停），恢复时据此在时间线上定位
+            pausedTime,
+            savedAt: now
+        });
+    }
+
+    clearProgress() {
+        if (window.storage) {
+            window.storage.remove(this.progressKey);
+        }
+    }
+
+    // 获取上次被中断的训练；没有、刚开始就中断或快照无效时返回null
+    getSavedProgress() {
+        const progress = window.storage ? window.storage.get(this.progressKey) : null;
+        if (!progress || !progress.plan || this.isActive) {
+            return null;
+        }
+
+        const timeline = this.buildTimeline(this.getSegments(progress.plan));
+        const valid = typeof progress.elapsed === 'number' &&
+            !this.stateAt(timeline, progress.elapsed / 1000).complete;
+        const hasProgress = progress.currentSet > 1 || progress.currentRep > 1;
+        if (!valid || !hasProgress) {
+            this.clearProgress();
+            return null;
+        }
+        return progress;
+    }
+
+    // 同一天内中断的训练可以继续，跨天的只能记为未完成
+    canResume(progress) {
+        return progress.date === window.dateUtils.today();
+    }
+
+    // 按快照恢复训练状态
+    applyProgress(progress) {
+        this.currentPlan = progress.plan;
+        this.segments = this.getSegments(progress.plan);
+        this.timeline = this.buildTimeline(this.segments);
+        this.isActive = true;
+        this.activeElapsed = progress.elapsed;
+        this.runStart = null;
+        this.pausedTime = progress.pausedTime || 0;
+        this.startTime = Date.now() - this.activeElapsed - this.pausedTime;
+        this.applyState(this.stateAt(this.timeline, this.activeElapsed / 1000));
+    }
+
+    // 从中断处继续：恢复为暂停状态，用户准备好后点击继续
+    resumeSavedProgress(progress) {
+        if (this.isActive) {
+            return false;
+        }
+
+        this.applyProgress(progress);
+        this.isPaused = true;
+        this.pauseStartTime = Date.now();
+        this.updateUI();
+        this.updateTimer();
+        return true;
+    }
+
+    // 把中断的训练记为未完成的训练记录（记在训练当天）
+    logSavedProgress(progress) {
+        if (this.isActive) {
+            return false;
+        }
+
+        this.applyProgress(progress);
+        this.saveSession(false, progress.date);
+        this.reset();
+        return true;
+    }
+
+    // 获取计划的总重复次数
+    getTotalReps() {
+        return this.segments.reduce((sum, segment) => sum + segment.reps, 0);
+    }
+
+    // 获取已完成的重复次数
+    getCompletedReps() {
+        const finishedSegmentReps = this.segments.slice(0, this.currentSet - 1)
+            .reduce((sum, segment) => sum + segment.reps, 0);
+        return finishedSegmentReps + Math.max(0, this.currentRep - 1);
+    }
+
     // 获取总训练时长
     getTotalDuration() {
         if (!this.startTime) {
             return 0;
         }
-        return Date.now() - this.startTime - this.pausedTime;
+        return Math.round(this.getElapsed() * 1000);
     }
 
-    // 播放音效
+    // 播放音效（共用的音频引擎，见 audio.js）
     playSound(type) {
-        if (!this.soundEnabled) {
+        if (!this.soundEnabled || !window.audioEngine) {
             return;
         }
-
-        // 使用Web Audio API或简单的beep音效
-        try {
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const oscillator = audioContext.createOscillator();
-            const gainNode = audioContext.createGain();
-
-            oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
-
-            // 根据类型设置不同频率
-            const frequencies = {
-                start: 800,
-                contract: 1000,
-                relax: 600,
-                rest: 400,
-                complete: [800, 1000, 1200]
-            };
-
-            const freq = frequencies[type];
-            
-            if (Array.isArray(freq)) {
-                // 播放音序
-                freq.forEach((f, index) => {
-                    setTimeout(() => {
-                        const osc = audioContext.createOscillator();
-                        const gain = audioContext.createGain();
-                        osc.connect(gain);
-                        gain.connect(audioContext.destination);
-                        osc.frequency.value = f;
-                        gain.gain.setValueAtTime(0.1, audioContext.currentTime);
-                        gain.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.2);
-                        osc.start(audioContext.currentTime);
-                        osc.stop(audioContext.currentTime + 0.2);
-                    }, index * 250);
-                });
-            } else {
-                oscillator.frequency.value = freq || 800;
-                gainNode.gain.setValueAtTime(0.1, audioContext.currentTime);
-                gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.3);
-                oscillator.start(audioContext.currentTime);
-                oscillator.stop(audioContext.currentTime + 0.3);
-            }
-        } catch (error) {
-            console.warn('Could not play sound:', error);
-        }
+        window.audioEngine.play(type);
     }
 
     // 震动反馈
@@ -511,9 +793,13 @@ class Exercise {
                 isPaused: this.isPaused,
                 phase: this.currentPhase,
                 currentSet: this.currentSet,
-                totalSets: this.currentPlan ? this.currentPlan.sets : 0,
+                totalSets: this.segments.length,
                 currentRep: this.currentRep,
-                totalReps: this.currentPlan ? this.currentPlan.repsPerSet : 0,
+                currentStep: this.currentStep,
+                totalReps: this.getCurrentSegment() ? this.getCurrentSegment().reps : 0,
+                isRoutine: !!(this.currentPlan && Array.isArray(this.currentPlan.segments)),
+                segmentType: this.getCurrentSegment() ? this.getCurrentSegment().type : null,
+                intensity: this.getCurrentIntensity(),
                 timeRemaining: this.phaseTimeRemaining,
                 totalPhaseTime: this.getPhaseTime()
             }
@@ -531,16 +817,23 @@ class Exercise {
         }));
     }
 
-    // 获取总体进度
+    // 获取总体进度（按重复次数计算，当前重复按已用时间折算）
     getProgress() {
-        if (!this.currentPlan) {
-            return 0;
+        const segment = this.getCurrentSegment();
+        if (!this.currentPlan || !segment) {
+            return this.currentPhase === 'complete' ? 1 : 0;
         }
 
-        const totalReps = this.currentPlan.sets * this.currentPlan.repsPerSet;
-        const completedReps = (this.currentSet - 1) * this.currentPlan.repsPerSet + (this.currentRep - 1);
-        const currentRepProgress = this.currentPhase === 'contract' || this.currentPhase === 'relax' ? 
-                                   (this.getPhaseTime() - this.phaseTimeRemaining) / this.getPhaseTime() : 0;
+        const totalReps = this.getTotalReps();
+        const completedReps = this.getCompletedReps();
+        const phaseElapsed = this.getPhaseTime() - this.phaseTimeRemaining;
+        let repElapsed = 0;
+        if (this.currentPhase === 'contract') {
+            repElapsed = this.currentStep * segment.contractTime + phaseElapsed;
+        } else if (this.currentPhase === 'relax') {
+            repElapsed = segment.intensities.length * segment.contractTime + phaseElapsed;
+        }
+        const currentRepProgress = repElapsed / this.getRepTime(segment);
         
         return Math.min((completedReps + currentRepProgress) / totalReps, 1);
     }
@@ -553,6 +846,8 @@ class Exercise {
             currentPhase: this.currentPhase,
             currentSet: this.currentSet,
             currentRep: this.currentRep,
+            currentStep: this.currentStep,
+            segment: this.getCurrentSegment(),
             timeRemaining: this.phaseTimeRemaining,
             totalPhaseTime: this.getPhaseTime(),
             progress: this.getProgress(),
@@ -0,0 +1,406 @@
+/**
+ * PelvicFit Mini - 应用锁模块
+ * 可选的PIN/密码锁，支持WebAuthn平台验证器（需要PRF扩展）解锁；
+ * 启用后本地数据用随机数据密钥加密，数据密钥分别由PIN和生物识别派生的密钥包装保存
+ */
+
+class AppLock {
+    constructor() {
+        // 能读取本机存储的人可以离线穷举PIN，安全性只取决于PIN的长度和PBKDF2的迭代次数
+        this.minPinLength = 6;
+        // 输错后的等待只用于防止拿到手机的人在锁屏上反复尝试，不是安全边界（计数以明文保存，可被清除）
+        this.maxAttempts = 5; // 连续输错超过次数后暂停尝试
+        this.lockoutSeconds = 30; // 暂停时间，之后每次输错翻倍
+        this.autoLockOptions = [0, 1, 5, 15, 30]; // 分钟，0为仅在重新打开应用时锁定
+        this.lastActivity = Date.now();
+        this.checkInterval = null;
+
+        this.init();
+    }
+
+    init() {
+        // 页面渲染前先显示锁屏
+        if (window.storage.isLocked()) {
+            this.showLockScreen();
+        }
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setupLockScreen());
+        } else {
+            this.setupLockScreen();
+        }
+
+        // 记录用户操作时间，用于自动锁定
+        ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => {
+                this.lastActivity = Date.now();
+            }, { passive: true });
+        });
+
+        // 回到前台时检查是否已超过自动锁定时间
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.checkAutoLock();
+            }
+        });
+
+        this.checkInterval = setInterval(() => this.checkAutoLock(), 30000);
+    }
+
+    // === 配置 ===
+
+    getConfig() {
+        return window.storage.get('lock', null);
+    }
+
+    isEnabled() {
+        return window.storage.isEncryptionEnabled();
+    }
+
+    isSupported() {
+        return window.cryptoUtils.isSupported();
+    }
+
+    getAutoLockMinutes() {
+        const config = this.getConfig();
+        return config ? config.autoLockMinutes || 0 : 0;
+    }
+
+    setAutoLockMinutes(minutes) {
+        const config = this.getConfig();
+        if (!config) return false;
+        return window.storage.set('lock', { ...config, autoLockMinutes: minutes });
+    }
+
+    // 设备是否有可用的平台验证器（指纹、面容等）
+    async isBiometricAvailable() {
+        if (!window.PublicKeyCredential || !navigator.credentials ||
+            !PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable) {
+            return false;
+        }
+        try {
+            return await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    hasBiometric() {
+        const config = this.getConfig();
+        return !!(config && config.webauthn);
+    }
+
+    // === 启用和关闭 ===
+
+    // 启用应用锁：生成数据密钥，用PIN派生的密钥包装后加密全部数据
+    async enable(pin, options = {}) {
+        const crypto = window.cryptoUtils;
+        const salt = crypto.randomBytes(crypto.saltLength);
+        const wrappingKey = await crypto.deriveKeyFromPassphrase(pin, salt);
+        const dataKey = await crypto.generateDataKey();
+
+        const config = {
+            enabled: true,
+            version: 1,
+            salt: crypto.toBase64(salt),
+            iterations: crypto.pbkdf2Iterations,
+            wrappedKey: await crypto.wrapKey(dataKey, wrappingKey),
+            autoLockMinutes: options.autoLockMinutes !== undefined ? options.autoLockMinutes : 5,
+            failedAttempts: 0,
+            lockedUntil: 0,
+            webauthn: null,
+            createdAt: Date.now()
+        };
+
+        await window.storage.enableEncryption(dataKey, config);
+
+        if (options.biometric) {
+            try {
+                await this.enableBiometric();
+            } catch (error) {
+                // 生物识别设置失败不影响PIN锁
+                console.warn('Biometric unlock setup failed:', error);
+                return { biometric: false };
+            }
+        }
+        return { biometric: this.hasBiometric() };
+    }
+
+    // 关闭应用锁：需要当前PIN，数据恢复为明文保存
+    async disable(pin) {
+        await this.verifyPin(pin);
+        await window.storage.disableEncryption();
+    }
+
+    // === 解锁 ===
+
+    // 用PIN解开数据密钥；PIN错误时抛出 wrong_pin，尝试过多时抛出 too_many_attempts
+    async verifyPin(pin) {
+        const config = this.getConfig();
+        if (!config) throw new Error('not_enabled');
+
+        const remaining = this.getLockoutRemaining();
+        if (remaining > 0) {
+            const error = new Error('too_many_attempts');
+            error.seconds = remaining;
+            throw error;
+        }
+
+        const crypto = window.cryptoUtils;
+        try {
+            const wrappingKey = await crypto.deriveKeyFromPassphrase(pin, crypto.fromBase64(config.salt), config.iterations);
+            const dataKey = await crypto.unwrapKey(config.wrappedKey, wrappingKey);
+            this.recordAttempt(true);
+            return dataKey;
+        } catch (error) {
+            this.recordAttempt(false);
+            throw new Error('wrong_pin');
+        }
+    }
+
+    async unlockWithPin(pin) {
+        const dataKey = await this.verifyPin(pin);
+        await window.storage.unlock(dataKey);
+        this.onUnlocked();
+    }
+
+    async unlockWithBiometric() {
+        const config = this.getConfig();
+        if (!config || !config.webauthn) throw new Error('biometric_unavailable');
+
+        const crypto = window.cryptoUtils;
+        const secret = await this.evaluatePrf(config.webauthn.credentialId, crypto.fromBase64(config.webauthn.prfSalt));
+        const wrappingKey = await crypto.deriveKeyFromSecret(secret, crypto.fromBase64(config.webauthn.salt));
+        const dataKey = await crypto.unwrapKey(config.webauthn.wrappedKey, wrappingKey);
+        await window.storage.unlock(dataKey);
+        this.onUnlocked();
+    }
+
+    // 记录输入结果，连续输错时按次数延长等待时间
+    recordAttempt(success) {
+        const config = this.getConfig();
+        if (!config) return;
+
+        if (success) {
+            config.failedAttempts = 0;
+            config.lockedUntil = 0;
+        } else {
+            config.failedAttempts = (config.failedAttempts || 0) + 1;
+            if (config.failedAttempts >= this.maxAttempts) {
+                const seconds = this.lockoutSeconds * Math.pow(2, config.failedAttempts - this.maxAttempts);
+                config.lockedUntil = Date.now() + Math.min(seconds, 15 * 60) * 1000;
+            }
+        }
+        window.storage.set('lock', config);
+    }
+
+    // 还需等待的秒数
+    getLockoutRemaining() {
+        const config = this.getConfig();
+        if (!config || !config.lockedUntil) return 0;
+        return Math.max(0, Math.ceil((config.lockedUntil - Date.now()) / 1000));
+    }
+
+    // === WebAuthn ===
+
+    // 注册平台验证器并用PRF输出派生的密钥包装数据密钥
+    // 只有支持PRF扩展时才能真正加密，否则不启用生物识别解锁
+    async enableBiometric() {
+        if (!window.storage.dataKey) throw new Error('locked');
+
+        const crypto = window.cryptoUtils;
+        const prfSalt = crypto.randomBytes(32);
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                challenge: crypto.randomBytes(32),
+                rp: { name: 'PelvicFit Mini' },
+                user: {
+                    id: crypto.randomBytes(16),
+                    name: 'PelvicFit Mini',
+                    displayName: 'PelvicFit Mini'
+                },
+                pubKeyCredParams: [
+                    { type: 'public-key', alg: -7 },
+                    { type: 'public-key', alg: -257 }
+                ],
+                authenticatorSelection: {
+                    authenticatorAttachment: 'platform',
+                    userVerification: 'required',
+                    residentKey: 'discouraged'
+                },
+                timeout: 60000,
+                extensions: { prf: { eval: { first: prfSalt } } }
+            }
+        });
+
+        const results = credential.getClientExtensionResults();
+        if (!results.prf || !results.prf.enabled) {
+            throw new Error('prf_unsupported');
+        }
+
+        const credentialId = crypto.toBase64(credential.rawId);
+        // 部分浏览器注册时不返回PRF结果，需要再验证一次
+        const secret = results.prf.results && results.prf.results.first ?
+            results.prf.results.first : await this.evaluatePrf(credentialId, prfSalt);
+
+        const salt = crypto.randomBytes(crypto.saltLength);
+        const wrappingKey = await crypto.deriveKeyFromSecret(secret, salt);
+        const webauthn = {
+            credentialId,
+            prfSalt: crypto.toBase64(prfSalt),
+            salt: crypto.toBase64(salt),
+            wrappedKey: await crypto.wrapKey(window.storage.dataKey, wrappingKey)
+        };
+
+        window.storage.set('lock', { ...this.getConfig(), webauthn });
+    }
+
+    disableBiometric() {
+        const config = this.getConfig();
+        if (!config) return false;
+        return window.storage.set('lock', { ...config, webauthn: null });
+    }
+
+    // 通过验证器计算PRF输出
+    // 没有服务器验证签名：安全性来自只有验证器能计算出的PRF输出
+    async evaluatePrf(credentialId, prfSalt) {
+        const crypto = window.cryptoUtils;
+        const assertion = await navigator.credentials.get({
+            publicKey: {
+                challenge: crypto.randomBytes(32),
+                allowCredentials: [{ type: 'public-key', id: crypto.fromBase64(credentialId) }],
+                userVerification: 'required',
+                timeout: 60000,
+                extensions: { prf: { eval: { first: prfSalt } } }
+            }
+        });
+
+        const results = assertion.getClientExtensionResults();
+        if (!results.prf || !results.prf.results || !results.prf.results.first) {
+            throw new Error('prf_unsupported');
+        }
+        return results.prf.results.first;
+    }
+
+    // === 锁定 ===
+
+    // 立即锁定：重新加载页面，清除内存中的密钥和已渲染的数据
+    lock() {
+        if (!this.isEnabled()) return;
+        window.location.reload();
+    }
+
+    checkAutoLock() {
+        const minutes = this.getAutoLockMinutes();
+        if (!this.isEnabled() || window.storage.isLocked() || minutes <= 0) return;
+        if (Date.now() - this.lastActivity < minutes * 60 * 1000) return;
+
+        // 训练进行中、还有未保存的记录或正在设备间传输时不锁定
+        if (window.exercise && window.exercise.isActive) return;
+        if (window.storage.retryQueue.length > 0) return;
+        if (window.transfer && window.transfer.isActive()) return;
+        if (window.peerSync && window.peerSync.isActive()) return;
+
+        this.lock();
+    }
+
+    // === 锁屏 ===
+
+    setupLockScreen() {
+        const form = document.getElementById('lock-screen-form');
+        const biometricBtn = document.getElementById('lock-screen-biometric');
+
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitPin();
+            });
+        }
+        if (biometricBtn) {
+            biometricBtn.addEventListener('click', () => this.submitBiometric());
+        }
+    }
+
+    showLockScreen() {
+        const screen = document.getElementById('lock-screen');
+        const biometricBtn = document.getElementById('lock-screen-biometric');
+        document.body.classList.add('locked');
+        if (screen) {
+            screen.style.display = 'flex';
+        }
+        if (biometricBtn) {
+            biometricBtn.style.display = this.hasBiometric() ? '' : 'none';
+        }
+    }
+
+    hideLockScreen() {
+        const screen = document.getElementById('lock-screen');
+        document.body.classList.remove('locked');
+        if (screen) {
+            screen.style.display = 'none';
+        }
+    }
+
+    async submitPin() {
+        const input = document.getElementById('lock-screen-pin');
+        if (!input || !input.value) return;
+
+        this.setLockScreenBusy(true);
+        try {
+            await this.unlockWithPin(input.value);
+        } catch (error) {
+            this.showLockScreenError(error);
+        }
+        input.value = '';
+        this.setLockScreenBusy(false);
+    }
+
+    async submitBiometric() {
+        this.setLockScreenBusy(true);
+        try {
+            await this.unlockWithBiometric();
+        } catch (error) {
+            console.warn('Biometric unlock failed:', error);
+            this.showLockScreenError(new Error('biometric_failed'));
+        }
+        this.setLockScreenBusy(false);
+    }
+
+    onUnlocked() {
+        this.lastActivity = Date.now();
+        this.showLockScreenError(null);
+        this.hideLockScreen();
+    }
+
+    setLockScreenBusy(busy) {
+        document.querySelectorAll('#lock-screen button').forEach(button => {
+            button.disabled = busy;
+        });
+    }
+
+    showLockScreenError(error) {
+        const errorEl = document.getElementById('lock-screen-error');
+        if (!errorEl) return;
+        errorEl.textContent = error ? this.getErrorMessage(error) : '';
+    }
+
+    getErrorMessage(error) {
+        const i18n = window.i18n;
+        switch (error.message) {
+            case 'wrong_pin':
+                return i18n ? i18n.t('lock.errors.wrong_pin') : 'PIN或密码错误';
+            case 'too_many_attempts':
+                return i18n ? i18n.t('lock.errors.too_many_attempts', { seconds: error.seconds }) :
+                    `尝试次数过多，请 ${error.seconds} 秒后再试`;
+            case 'biometric_failed':
+                return i18n ? i18n.t('lock.errors.biometric_failed') : '验证未通过，请使用PIN解锁';
+            case 'prf_unsupported':
+                return i18n ? i18n.t('lock.errors.prf_unsupported') : '此设备或浏览器不支持用指纹或面容加密数据';
+            default:
+                return i18n ? i18n.t('lock.errors.failed') : '操作失败，请重试';
+        }
+    }
+}
+
+// 创建全局实例
+window.appLock = new AppLock();
\ No newline at end of file
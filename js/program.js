@@ -0,0 +1,166 @@
+/**
+ * PelvicFit Mini - 训练方案模块
+ * 多周渐进式训练方案，根据完成记录自动升级
+ */
+
+class Program {
+    constructor() {
+        // 预设训练方案
+        // rules 中每项参数按 start + step × floor(level / every) 增长，不超过 max
+        // 在当前周完成 sessionsToLevelUp 个不同日期的训练后自动进入下一周
+        this.programs = {
+            foundation: {
+                id: 'foundation',
+                weeks: 6,
+                sessionsToLevelUp: 5,
+                rules: {
+                    contractTime: { start: 3, step: 1, max: 8 },
+                    relaxTime: { start: 3, step: 1, max: 8 },
+                    repsPerSet: { start: 8, step: 2, max: 15 },
+                    sets: { start: 2, step: 1, every: 2, max: 4 },
+                    restTime: { start: 30, step: 5, max: 45 }
+                }
+            },
+            endurance: {
+                id: 'endurance',
+                weeks: 8,
+                sessionsToLevelUp: 5,
+                rules: {
+                    contractTime: { start: 5, step: 1, max: 10 },
+                    relaxTime: { start: 5, step: 1, max: 10 },
+                    repsPerSet: { start: 10, step: 1, max: 15 },
+                    sets: { start: 3, step: 1, every: 3, max: 5 },
+                    restTime: { start: 45, step: 0 }
+                }
+            }
+        };
+    }
+
+    // 获取所有方案
+    getAllPrograms() {
+        return this.programs;
+    }
+
+    getProgramDefinition(programId) {
+        return this.programs[programId] || null;
+    }
+
+    // 获取当前参加的方案 { programId, startDate, startedAt }
+    getEnrollment() {
+        if (!window.storage) return null;
+        const enrollment = window.storage.get('program');
+        return enrollment && this.programs[enrollment.programId] ? enrollment : null;
+    }
+
+    // 参加方案（会替换当前方案，进度从第1周开始）
+    enroll(programId) {
+        if (!this.programs[programId] || !window.storage) {
+            return false;
+        }
+
+        const enrollment = {
+            programId,
+            startDate: window.dateUtils.today(),
+            startedAt: Date.now()
+        };
+
+        const success = window.storage.set('program', enrollment);
+        if (success) {
+            this.dispatchChange();
+        }
+        return success;
+    }
+
+    // 退出当前方案（训练记录保留）
+    leave() {
+        if (!window.storage) return false;
+        const success = window.storage.remove('program');
+        if (success) {
+            this.dispatchChange();
+        }
+        return success;
+    }
+
+    // 计算规则在指定级别（从0开始）下的取值
+    getRuleValue(rule, level) {
+        const value = rule.start + rule.step * Math.floor(level / (rule.every || 1));
+        return rule.max !== undefined ? Math.min(value, rule.max) : value;
+    }
+
+    // 生成指定周的训练计划（week从1开始）
+    getWeekPlan(programId, week) {
+        const program = this.programs[programId];
+        if (!program) return null;
+
+        const level = Math.min(Math.max(week, 1), program.weeks) - 1;
+        const plan = {
+            name: 'program',
+            programId,
+            programWeek: level + 1
+        };
+
+        Object.keys(program.rules).forEach(key => {
+            plan[key] = this.getRuleValue(program.rules[key], level);
+        });
+
+        return plan;
+    }
+
+    // 根据已完成的方案训练计算当前进度
+    getProgress() {
+        const enrollment = this.getEnrollment();
+        if (!enrollment) return null;
+
+        const program = this.programs[enrollment.programId];
+        const sessions = window.storage.getSessions()
+            .filter(session => session.completed &&
+                session.programId === enrollment.programId &&
+                session.timestamp >= enrollment.startedAt)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        // 按时间顺序回放训练记录：当前周内完成足够的训练日后升级
+        let level = 0;
+        let daysAtLevel = new Set();
+        sessions.forEach(session => {
+            if (level >= program.weeks || session.programWeek !== level + 1) {
+                return;
+            }
+            daysAtLevel.add(session.date);
+            if (daysAtLevel.size >= program.sessionsToLevelUp) {
+                level++;
+                daysAtLevel = new Set();
+            }
+        });
+
+        const today = window.dateUtils.today();
+        const isFinished = level >= program.weeks;
+
+        return {
+            programId: enrollment.programId,
+            startDate: enrollment.startDate,
+            week: Math.min(level + 1, program.weeks),
+            totalWeeks: program.weeks,
+            sessionsThisWeek: isFinished ? program.sessionsToLevelUp : daysAtLevel.size,
+            sessionsToLevelUp: program.sessionsToLevelUp,
+            totalSessions: sessions.length,
+            doneToday: sessions.some(session => session.date === today),
+            isFinished
+        };
+    }
+
+    // 获取今天应进行的训练计划
+    getTodayPlan() {
+        const progress = this.getProgress();
+        if (!progress) return null;
+        return this.getWeekPlan(progress.programId, progress.week);
+    }
+
+    dispatchChange() {
+        window.dispatchEvent(new CustomEvent('programChanged', {
+            detail: { progress: this.getProgress() }
+        }));
+    }
+}
+
+// 创建全局实例
+window.program = new Program();
\ No newline at end of file
@@ -0,0 +1,388 @@
+/**
+ * PelvicFit Mini - 二维码生成模块
+ * 字节模式、纠错等级M的二维码编码（版本1-40），用于设备间传输数据
+ */
+
+class QREncoder {
+    constructor() {
+        // 纠错等级M：每块的纠错码字数和纠错块数（按版本，下标0不使用）
+        this.eccCodewordsPerBlock = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+            26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+        this.numErrorCorrectionBlocks = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+            17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+        this.formatBits = 0; // 纠错等级M的格式信息位
+    }
+
+    // 编码文本，返回模块矩阵（true为深色）
+    encode(text) {
+        const data = Array.from(new TextEncoder().encode(text));
+        const version = this.chooseVersion(data.length);
+        const codewords = this.addEccAndInterleave(this.encodeData(data, version), version);
+
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        const qr = { version, size, modules, isFunction };
+
+        this.drawFunctionPatterns(qr);
+        this.drawCodewords(qr, codewords);
+
+        // 选择惩罚分最低的掩码
+        let bestMask = 0;
+        let minPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(qr, mask);
+            this.drawFormatBits(qr, mask);
+            const penalty = this.getPenaltyScore(qr);
+            if (penalty < minPenalty) {
+                bestMask = mask;
+                minPenalty = penalty;
+            }
+            this.applyMask(qr, mask); // 异或两次即撤销
+        }
+        this.applyMask(qr, bestMask);
+        this.drawFormatBits(qr, bestMask);
+
+        return modules;
+    }
+
+    // 在画布上绘制二维码（四周留4个模块的空白）
+    drawToCanvas(canvas, text, pixelSize = 512) {
+        const modules = this.encode(text);
+        const border = 4;
+        const count = modules.length + border * 2;
+        const scale = Math.max(1, Math.floor(pixelSize / count));
+
+        canvas.width = count * scale;
+        canvas.height = count * scale;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#000000';
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) {
+                    ctx.fillRect((x + border) * scale, (y + border) * scale, scale, scale);
+                }
+            });
+        });
+        return modules.length;
+    }
+
+    // === 数据编码 ===
+
+    getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    getNumDataCodewords(version) {
+        return Math.floor(this.getNumRawDataModules(version) / 8) -
+            this.eccCodewordsPerBlock[version] * this.numErrorCorrectionBlocks[version];
+    }
+
+    // 能容纳数据的最小版本
+    chooseVersion(byteLength) {
+        for (let version = 1; version <= 40; version++) {
+            const countBits = version <= 9 ? 8 : 16;
+            if (4 + countBits + byteLength * 8 <= this.getNumDataCodewords(version) * 8) {
+                return version;
+            }
+        }
+        throw new Error('Data too long for a QR code');
+    }
+
+    // 字节模式数据段，补齐到数据码字长度
+    encodeData(data, version) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        append(0x4, 4);
+        append(data.length, version <= 9 ? 8 : 16);
+        data.forEach(byte => append(byte, 8));
+
+        const capacity = this.getNumDataCodewords(version) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+        return codewords;
+    }
+
+    // 分块计算纠错码并交错排列
+    addEccAndInterleave(data, version) {
+        const numBlocks = this.numErrorCorrectionBlocks[version];
+        const blockEccLength = this.eccCodewordsPerBlock[version];
+        const rawCodewords = Math.floor(this.getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = this.reedSolomonDivisor(blockEccLength);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+            const ecc = this.reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) {
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // 短块中占位的0不输出
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    // GF(2^8) 乘法（模 0x11D）
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // === 绘制 ===
+
+    setFunctionModule(qr, x, y, dark) {
+        qr.modules[y][x] = dark;
+        qr.isFunction[y][x] = true;
+    }
+
+    getAlignmentPatternPositions(version) {
+        if (version === 1) return [];
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    drawFunctionPatterns(qr) {
+        const { size, version } = qr;
+
+        // 定时图形
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(qr, 6, i, i % 2 === 0);
+            this.setFunctionModule(qr, i, 6, i % 2 === 0);
+        }
+
+        // 三个定位图形（含分隔符）
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const xx = x + dx;
+                    const yy = y + dy;
+                    if (xx >= 0 && xx < size && yy >= 0 && yy < size) {
+                        this.setFunctionModule(qr, xx, yy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // 校正图形（跳过与定位图形重叠的三个角）
+        const positions = this.getAlignmentPatternPositions(version);
+        const count = positions.length;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === count - 1) || (i === count - 1 && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(qr, x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // 先占位格式信息，再绘制版本信息
+        this.drawFormatBits(qr, 0);
+        this.drawVersion(qr);
+    }
+
+    drawFormatBits(qr, mask) {
+        const { size } = qr;
+        const data = (this.formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        // 左上角
+        for (let i = 0; i <= 5; i++) {
+            this.setFunctionModule(qr, 8, i, bit(i));
+        }
+        this.setFunctionModule(qr, 8, 7, bit(6));
+        this.setFunctionModule(qr, 8, 8, bit(7));
+        this.setFunctionModule(qr, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunctionModule(qr, 14 - i, 8, bit(i));
+        }
+
+        // 右上角和左下角
+        for (let i = 0; i < 8; i++) {
+            this.setFunctionModule(qr, size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunctionModule(qr, 8, size - 15 + i, bit(i));
+        }
+        this.setFunctionModule(qr, 8, size - 8, true); // 固定的深色模块
+    }
+
+    drawVersion(qr) {
+        const { size, version } = qr;
+        if (version < 7) return;
+
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(qr, a, b, dark);
+            this.setFunctionModule(qr, b, a, dark);
+        }
+    }
+
+    // 按之字形从右下角开始填入数据码字
+    drawCodewords(qr, codewords) {
+        const { size } = qr;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+                        qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(qr, mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        const condition = conditions[mask];
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (!qr.isFunction[y][x] && condition(x, y)) {
+                    qr.modules[y][x] = !qr.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // 掩码惩罚分（连续同色、2×2色块、类定位图形、深浅比例）
+    getPenaltyScore(qr) {
+        const { size, modules } = qr;
+        let penalty = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i].map(dark => (dark ? '1' : '0')).join(''));
+            lines.push(modules.map(row => (row[i] ? '1' : '0')).join(''));
+        }
+        lines.forEach(line => {
+            (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+                penalty += run.length - 2;
+            });
+            const finderLike = line.match(/(?=(10111010000|00001011101))/g);
+            penalty += (finderLike ? finderLike.length : 0) * 40;
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += Math.ceil(Math.abs(dark * 20 - total * 10) / total - 1) * 10;
+        return penalty;
+    }
+}
+
+// 创建全局实例
+window.qrEncoder = new QREncoder();
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * PelvicFit Mini - 训练提醒模块
+ * 每日多时段提醒，通过Service Worker发送通知，无通知权限时使用应用内横幅
+ */
+
+class Reminder {
+    constructor() {
+        this.checkInterval = null;
+        this.scheduleDays = 7; // 提前调度的天数
+
+        this.init();
+    }
+
+    init() {
+        // 提醒相关设置变化时重新调度
+        window.addEventListener('settingsChanged', (event) => {
+            const keys = Object.keys(event.detail || {});
+            if (keys.some(key => key.startsWith('reminder'))) {
+                this.schedule();
+            }
+        });
+
+        // 完成训练后取消今天剩余的提醒
+        window.addEventListener('sessionSaved', () => {
+            this.schedule();
+        });
+
+        window.addEventListener('languageChanged', () => {
+            this.schedule();
+        });
+
+        // 训练记录载入后重新判断今天是否已完成
+        window.addEventListener('storageReady', () => {
+            this.schedule();
+        });
+
+        // 回到前台时检查错过的提醒
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.checkDue();
+            }
+        });
+
+        // 等待i18n初始化完成，保证通知文本已翻译
+        if (window.i18n && !window.i18n.isInitialized) {
+            window.addEventListener('i18nReady', () => this.schedule());
+        } else {
+            this.schedule();
+        }
+    }
+
+    // 获取提醒设置（兼容旧版单一reminderTime）
+    getConfig() {
+        const storage = window.storage;
+        if (!storage) {
+            return { enabled: false, times: [], weekdays: [], skipIfDone: true };
+        }
+
+        const times = storage.getSetting('reminderTimes', null) ||
+            [storage.getSetting('reminderTime', '09:00')];
+
+        return {
+            enabled: storage.getSetting('reminderEnabled', false),
+            times: [...new Set(times)].sort(),
+            weekdays: storage.getSetting('reminderDays', [0, 1, 2, 3, 4, 5, 6]),
+            skipIfDone: storage.getSetting('reminderSkipIfDone', true)
+        };
+    }
+
+    // 今天是否已完成训练（按训练日，与 dateUtils.today() 使用同一分界时间）
+    isDoneToday() {
+        if (!window.storage) return false;
+        const today = window.dateUtils.today();
+        return window.storage.getSessionsByDate(today).some(session => session.completed);
+    }
+
+    // 计算接下来几天的提醒时间点
+    getUpcoming(from = new Date()) {
+        const config = this.getConfig();
+        if (!config.enabled || config.times.length === 0) return [];
+
+        // 分界时间之前的提醒属于前一个训练日
+        const doneDay = config.skipIfDone && this.isDoneToday() ? window.dateUtils.today() : null;
+        const reminders = [];
+
+        for (let dayOffset = 0; dayOffset < this.scheduleDays; dayOffset++) {
+            const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + dayOffset);
+            if (!config.weekdays.includes(day.getDay())) continue;
+
+            config.times.forEach(time => {
+                const [hours, minutes] = time.split(':').map(Number);
+                const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+                const trainingDay = window.dateUtils.toDateString(at);
+                if (at.getTime() > from.getTime() && trainingDay !== doneDay) {
+                    reminders.push({
+                        id: `${trainingDay}T${time}`,
+                        time: at.getTime()
+                    });
+                }
+            });
+        }
+
+        return reminders;
+    }
+
+    // === 通知权限 ===
+
+    isNotificationSupported() {
+        return 'Notification' in window && 'serviceWorker' in navigator;
+    }
+
+    getPermission() {
+        return this.isNotificationSupported() ? Notification.permission : 'unsupported';
+    }
+
+    async requestPermission() {
+        if (!this.isNotificationSupported()) {
+            return 'unsupported';
+        }
+
+        try {
+            const permission = await Notification.requestPermission();
+            this.schedule();
+            return permission;
+        } catch (error) {
+            console.warn('Notification permission request failed:', error);
+            return this.getPermission();
+        }
+    }
+
+    // === 调度 ===
+
+    // 把提醒计划发送给Service Worker，并启动应用内检查
+    async schedule() {
+        const config = this.getConfig();
+        this.startInAppCheck(config.enabled);
+
+        if (this.getPermission() !== 'granted') {
+            this.checkDue();
+            return;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            const worker = registration.active;
+            if (!worker) return;
+
+            worker.postMessage({
+                type: 'SCHEDULE_REMINDERS',
+                reminders: this.getUpcoming(),
+                title: window.i18n ? window.i18n.t('reminder.notification_title') : 'PelvicFit Mini',
+                body: window.i18n ? window.i18n.t('reminder.notification_body') : '该做今天的盆底肌训练了',
+                icon: 'assets/icons/icon-192x192.png'
+            });
+
+            // 支持时注册周期性后台同步，让Service Worker定期检查到期提醒
+            if (config.enabled && 'periodicSync' in registration) {
+                registration.periodicSync.register('pelvicfit-reminders', {
+                    minInterval: 60 * 60 * 1000
+                }).catch(error => console.warn('Periodic sync unavailable:', error));
+            }
+        } catch (error) {
+            console.warn('Could not schedule reminders:', error);
+        }
+    }
+
+    startInAppCheck(enabled) {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+
+        if (enabled) {
+            this.checkInterval = setInterval(() => this.checkDue(), 30000);
+        }
+    }
+
+    // 应用内检查：有通知权限时让Service Worker显示到期的通知（已显示的不会重复），
+    // 否则在今天已到时间且未处理的提醒上显示横幅。
+    // Service Worker 只在启动、收到消息和周期性同步时检查，不能替代这里的定时检查
+    checkDue(now = new Date()) {
+        const config = this.getConfig();
+        if (!config.enabled) return;
+        if (!config.weekdays.includes(now.getDay())) return;
+        if (config.skipIfDone && this.isDoneToday()) return;
+
+        if (this.getPermission() === 'granted') {
+            this.notifyWorker();
+            return;
+        }
+
+        // 只看属于当前训练日的提醒，分界时间之前已提醒过的不会在新的训练日再次出现
+        const today = window.dateUtils.toDateString(now);
+        const state = window.storage.get('reminderState', {});
+        const handled = state.date === today ? state.handled || [] : [];
+        const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+
+        const due = config.times.filter(time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            const at = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
+            return time <= currentTime && !handled.includes(time) && window.dateUtils.toDateString(at) === today;
+        });
+        if (due.length === 0) return;
+
+        // 同一天内错过的多个提醒只显示一次横幅
+        window.storage.set('reminderState', { date: today, handled: [...handled, ...due] });
+        window.dispatchEvent(new CustomEvent('reminderDue', {
+            detail: { time: due[due.length - 1] }
+        }));
+    }
+
+    async notifyWorker() {
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.active) {
+                registration.active.postMessage({ type: 'CHECK_REMINDERS' });
+            }
+        } catch (error) {
+            console.warn('Could not check reminders:', error);
+        }
+    }
+}
+
+// 创建全局实例
+window.reminder = new Reminder();
\ No newline at end of file
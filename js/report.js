@@ -0,0 +1,95 @@
+/**
+ * PelvicFit Mini - 训练报告模块
+ * 根据本地训练记录生成可打印的进度报告（完全在设备上生成）
+ */
+
+class Report {
+    constructor() {
+        this.defaultDays = 28; // 默认报告周期（4周）
+    }
+
+    // 日期字符串加减天数（YYYY-MM-DD）
+    addDays(dateStr, days) {
+        return window.dateUtils.addDays(dateStr, days);
+    }
+
+    // 两个日期之间的天数（包含首尾）
+    countDays(startDate, endDate) {
+        return window.dateUtils.diffDays(startDate, endDate) + 1;
+    }
+
+    // 默认周期：截至今天的最近4周
+    getDefaultPeriod() {
+        const endDate = window.dateUtils.today();
+        return {
+            startDate: this.addDays(endDate, -(this.defaultDays - 1)),
+            endDate
+        };
+    }
+
+    // 计算日期列表中的最长连续天数
+    getLongestStreak(dates) {
+        const sorted = [...new Set(dates)].sort();
+        let longest = 0;
+        let current = 0;
+        sorted.forEach((date, index) => {
+            current = index > 0 && this.addDays(sorted[index - 1], 1) === date ? current + 1 : 1;
+            longest = Math.max(longest, current);
+        });
+        return longest;
+    }
+
+    // 生成报告数据
+    async generate(startDate, endDate) {
+        const storage = window.storage;
+        const stats = storage.getStats();
+        const sessions = (await storage.getSessionsInRange(startDate, endDate))
+            .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+        const completed = sessions.filter(session => session.completed);
+
+        const days = this.countDays(startDate, endDate);
+        const trainingDates = [...new Set(completed.map(session => session.date))];
+
+        // 只统计实际完成过收缩的记录
+        const holds = sessions
+            .filter(session => session.completedReps > 0)
+            .map(session => session.contractTime || 0);
+
+        // 按7天分段统计，第一段从周期开始日算起
+        const weeks = [];
+        for (let offset = 0; offset < days; offset += 7) {
+            const weekStart = this.addDays(startDate, offset);
+            const weekEnd = this.addDays(startDate, Math.min(offset + 6, days - 1));
+            const weekSessions = sessions.filter(session => session.date >= weekStart && session.date <= weekEnd);
+            weeks.push({
+                startDate: weekStart,
+                endDate: weekEnd,
+                sessions: weekSessions.filter(session => session.completed).length,
+                trainingDays: new Set(weekSessions.filter(session => session.completed).map(session => session.date)).size,
+                contractions: weekSessions.reduce((sum, session) => sum + (session.completedReps || 0), 0)
+            });
+        }
+
+        return {
+            startDate,
+            endDate,
+            days,
+            generatedAt: Date.now(),
+            totalSessions: sessions.length,
+            completedSessions: completed.length,
+            trainingDays: trainingDates.length,
+            adherence: days > 0 ? Math.round(trainingDates.length / days * 100) : 0,
+            totalContractions: sessions.reduce((sum, session) => sum + (session.completedReps || 0), 0),
+            totalDuration: sessions.reduce((sum, session) => sum + (session.duration || 0), 0), // 秒
+            longestHold: holds.length > 0 ? Math.max(...holds) : 0,
+            longestStreak: this.getLongestStreak(trainingDates),
+            currentStreak: stats.currentStreak || 0,
+            maxStreak: stats.maxStreak || 0,
+            weeks,
+            sessions
+        };
+    }
+}
+
+// 创建全局实例
+window.report = new Report();
\ No newline at end of file
@@ -6,18 +6,93 @@
 class Storage {
     constructor() {
         this.prefix = 'pelvicfit_';
-        this.version = '1.0.0';
-        this.init();
+        this.version = '1.1.0';
+        this.migrationDataKeys = ['settings', 'stats', 'sessions', 'customPlans', 'program'];
+        this.syncKeys = ['customPlans', 'program']; // 设备同步时按写入时间整体合并的数据（设置按项合并）
+        // 只属于本设备的设置（扬声器、可用的声音、后台播放能力因设备而异），不参与同步
+        this.deviceSettings = ['soundEnabled', 'vibrationEnabled', 'soundTheme', 'cueVolumes', 'holdTick',
+            'backgroundMode', 'voiceLevel', 'voiceURI', 'voiceRate', 'voiceVolume'];
+        this.lastMigration = null; // 最近一次迁移的结果
+        this.sessions = []; // 训练记录的内存缓存，供同步读取；修改时写入存储后端
+        this.sessionBackend = null; // 训练记录存储后端（IndexedDB / localStorage）
+        this.retryQueue = []; // 写入失败、等待重试的训练记录id（记录内容另存在 pendingSessions，重新打开应用后继续重试）
+        this.retryInterval = null;
+        this.quotaWarningRatio = 0.8; // 用量超过80%时提醒
+        this.quotaCriticalRatio = 0.95;
+        this.localStorageQuota = 5 * 1024 * 1024; // localStorage上限（按字符数估算，多数浏览器约为5MB）
+        this.quotaStatus = null; // 最近一次的用量检查结果
+        // 启用应用锁后其余数据加密保存；这些数据在解锁前就需要读取，保持明文
+        this.plainKeys = ['initialized', 'version', 'settings', 'settingsTimestamps', 'lock', 'language', 'reminderState'];
+        this.dataKey = null; // 应用锁的数据密钥（解锁后才有）
+        this.memory = {}; // 加密数据解密后的内容
+        this.writeQueue = Promise.resolve(); // 加密写入按调用顺序依次完成
+        this.pendingWrites = {}; // 已开始加密、尚未写入的数据（每个键只保留最新的一次）
+        this.resolveUnlock = null;
+        this.isReady = false;
+        this.ready = this.init();
     }
 
-    init() {
+    async init() {
+        // 页面隐藏或关闭后可能被系统直接结束，立即写入已加密完成的数据（如训练进度），不等待排在前面的写入
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.flushWrites();
+            }
+        });
+        window.addEventListener('pagehide', () => this.flushWrites());
+
         // 检查是否为首次使用
         if (!this.get('initialized')) {
             this.initializeData();
         }
 
+        // 启用应用锁时，等待解锁后再载入数据
+        if (this.isLocked()) {
+            await new Promise(resolve => {
+                this.resolveUnlock = resolve;
+            });
+        }
+
+        // 打开训练记录存储并载入记录
+        await this.openSessionBackend();
+        await this.restorePendingSessions();
+
         // 检查数据版本并迁移（如果需要）
-        this.checkVersion();
+        await this.checkVersion();
+
+        this.isReady = true;
+        window.dispatchEvent(new CustomEvent('storageReady', {
+            detail: { backend: this.sessionBackend.type }
+        }));
+
+        this.checkQuota();
+    }
+
+    // 打开训练记录存储后端
+    // 首次使用IndexedDB时，把localStorage中的记录迁移过去（只执行一次，完成后删除旧数据）
+    async openSessionBackend() {
+        try {
+            this.sessionBackend = await window.sessionDB.open(this);
+            if (this.dataKey) {
+                this.sessionBackend = window.sessionDB.encrypt(this.sessionBackend, this.dataKey);
+            }
+
+            const legacySessions = this.get('sessions');
+            if (this.sessionBackend.type === 'indexeddb' && Array.isArray(legacySessions)) {
+                const sessions = legacySessions
+                    .filter(session => session && typeof session === 'object')
+                    .map(session => session.id ? session : { ...session, id: this.generateId() });
+                await this.sessionBackend.putMany(sessions);
+                this.remove('sessions');
+            }
+
+            this.sessions = await this.sessionBackend.getAll();
+        } catch (error) {
+            // 迁移或读取失败时继续使用localStorage，旧数据保持不变
+            console.error('Session store error, using localStorage:', error);
+            this.sessionBackend = await window.sessionDB.openLocalStorage(this);
+            this.sessions = await this.sessionBackend.getAll();
+        }
     }
 
     // 初始化默认数据
@@ -26,8 +101,19 @@ class Storage {
             language: 'zh',
             soundEnabled: true,
             vibrationEnabled: true,
-            reminderTime: '09:00',
-            reminderEnabled: false
+            soundTheme: 'classic', // 提示音主题（见 audio.js）
+            cueVolumes: {}, // 每种提示音的音量（0-1），未设置为1
+            holdTick: false, // 保持收缩时每秒滴答
+            backgroundMode: false, // 锁屏时继续训练（见 background.js）
+            voiceLevel: 'off', // 语音指导：off / phase / countdown / full（见 voice.js）
+            voiceURI: '', // 为空时使用系统默认声音
+            voiceRate: 1,
+            voiceVolume: 1,
+            reminderEnabled: false,
+            reminderTimes: ['09:00'], // 每天可设置多个提醒时间
+            reminderDays: [0, 1, 2, 3, 4, 5, 6], // 提醒的星期（0为周日）
+            reminderSkipIfDone: true, // 当天已完成训练则不再提醒
+            dayBoundaryHour: 0 // 每天的开始时间（小时），之前的训练算作前一天
         };
 
         const defaultStats = {
@@ -40,35 +126,403 @@ class Storage {
             lastSessionDate: null
         };
 
-        this.set('settings', defaultSettings);
+        // 默认数据的写入时间记为0，设备同步时不会覆盖另一台设备上用户修改过的数据
+        this.set('settings', defaultSettings, 0);
         this.set('stats', defaultStats);
-        this.set('sessions', []);
+        this.set('customPlans', [], 0);
         this.set('initialized', true);
         this.set('version', this.version);
     }
 
     // 检查版本并执行数据迁移
-    checkVersion() {
+    async checkVersion() {
+        // 早期版本迁移时写入localStorage的完整备份（从未删除，占用双倍空间）
+        if (localStorage.getItem(this.prefix + 'migrationBackup') !== null) {
+            localStorage.removeItem(this.prefix + 'migrationBackup');
+        }
+
         const storedVersion = this.get('version');
-        if (storedVersion !== this.version) {
-            this.migrateData(storedVersion, this.version);
+        if (storedVersion === this.version) return;
+
+        // 数据来自更新版本的应用时不做处理，避免覆盖
+        if (storedVersion && this.compareVersions(storedVersion, this.version) > 0) {
+            console.warn(`Stored data version ${storedVersion} is newer than ${this.version}`);
+            return;
+        }
+
+        const result = await this.migrateData(storedVersion, this.version);
+        if (result.success) {
             this.set('version', this.version);
         }
     }
 
-    // 数据迁移（未来版本使用）
-    migrateData(fromVersion, toVersion) {
+    // 迁移步骤，按版本顺序排列
+    // 每一步接收上一版本的数据快照（settings/stats/sessions/customPlans/program），返回新版本的数据
+    // 步骤不能直接读写存储，以便导入旧备份时复用
+    getMigrations() {
+        return [
+            {
+                version: '1.1.0',
+                description: 'local calendar dates and utcOffset for sessions',
+                migrate: (data) => {
+                    const program = data.program && data.program.startedAt ?
+                        { ...data.program, startDate: window.dateUtils.fromTimestamp(data.program.startedAt) } :
+                        data.program;
+                    return {
+                        ...data,
+                        sessions: this.migrateSessionDates(data.sessions || []),
+                        program
+                    };
+                }
+            }
+        ];
+    }
+
+    // 依次执行 fromVersion（不含）到 toVersion（含）之间的迁移步骤
+    // 返回 { data, applied }；某一步出错时抛出异常，错误信息包含出错的版本
+    runMigrations(data, fromVersion, toVersion = this.version) {
+        const from = fromVersion || '1.0.0';
+        const steps = this.getMigrations()
+            .filter(step => this.compareVersions(step.version, from) > 0 &&
+                this.compareVersions(step.version, toVersion) <= 0)
+            .sort((a, b) => this.compareVersions(a.version, b.version));
+
+        let current = data;
+        const applied = [];
+        steps.forEach(step => {
+            try {
+                current = step.migrate(current);
+            } catch (error) {
+                const stepError = new Error(`Migration to ${step.version} failed: ${error.message}`);
+                stepError.version = step.version;
+                stepError.applied = applied;
+                throw stepError;
+            }
+            applied.push(step.version);
+        });
+
+        return { data: current, applied };
+    }
+
+    // 迁移本地数据：先备份，迁移失败时回滚，并记录结果
+    // 备份只保存在内存中：写入localStorage会使用量翻倍，空间不足时迁移每次启动都会失败
+    async migrateData(fromVersion, toVersion) {
         console.log(`Migrating data from ${fromVersion} to ${toVersion}`);
-        // 这里实现数据迁移逻辑
+
+        const result = {
+            from: fromVersion || '1.0.0',
+            to: toVersion,
+            date: Date.now(),
+            success: false,
+            applied: [],
+            error: null
+        };
+
+        const backup = this.createBackup();
+        try {
+            const snapshot = {};
+            this.migrationDataKeys.forEach(key => {
+                snapshot[key] = key === 'sessions' ? this.getSessions() : this.get(key);
+            });
+
+            const migrated = this.runMigrations(snapshot, fromVersion, toVersion);
+            await this.replaceSessions(migrated.data.sessions || []);
+            for (const key of this.migrationDataKeys.filter(key => key !== 'sessions')) {
+                if (migrated.data[key] === null || migrated.data[key] === undefined) {
+                    this.remove(key);
+                } else {
+                    await this.setOrThrow(key, migrated.data[key]);
+                }
+            }
+
+            result.applied = migrated.applied;
+            result.success = true;
+            this.recalculateStats();
+        } catch (error) {
+            console.error('Data migration failed, restoring backup:', error);
+            result.applied = error.applied || [];
+            result.error = error.message;
+            await this.restoreBackup(backup);
+        }
+
+        this.lastMigration = result;
+        this.logMigration(result);
+        return result;
+    }
+
+    // 备份所有应用数据（原始字符串，启用应用锁时为密文）
+    createBackup() {
+        const backup = {};
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(this.prefix)) {
+                backup[key] = localStorage.getItem(key);
+            }
+        }
+
+        // 训练记录可能保存在IndexedDB中，统一按原格式从缓存备份
+        backup[this.prefix + 'sessions'] = JSON.stringify({ value: this.getSessions(), timestamp: Date.now() });
+        return backup;
+    }
+
+    // 从备份恢复所有应用数据
+    async restoreBackup(backup) {
+        try {
+            const entries = { ...backup };
+            const sessionsKey = this.prefix + 'sessions';
+            const sessions = sessionsKey in entries ? JSON.parse(entries[sessionsKey]).value || [] : null;
+            delete entries[sessionsKey];
+
+            Object.keys(localStorage)
+                .filter(key => key.startsWith(this.prefix) && !(key in entries) && key !== sessionsKey)
+                .forEach(key => localStorage.removeItem(key));
+            Object.keys(entries).forEach(key => {
+                localStorage.setItem(key, entries[key]);
+            });
+            if (this.dataKey) {
+                await this.loadEncryptedValues();
+            }
+
+            // 训练记录通过存储后端恢复（IndexedDB或加密时不能直接写localStorage）
+            if (sessions && this.sessionBackend) {
+                await this.replaceSessions(sessions);
+            }
+            return true;
+        } catch (error) {
+            console.error('Restore backup error:', error);
+            return false;
+        }
+    }
+
+    // 保存迁移记录（最多保留10条）
+    logMigration(result) {
+        const log = this.get('migrationLog', []);
+        log.push(result);
+        this.set('migrationLog', log.slice(-10));
+    }
+
+    // 写入失败时抛出异常（用于迁移等需要回滚的操作）
+    async setOrThrow(key, value) {
+        if (!await this.setAndWait(key, value)) {
+            throw new Error(`Could not write "${key}"`);
+        }
+    }
+
+    // 旧记录的日期是UTC日期：按时间戳重新计算本地日期
+    // 旧记录没有保存UTC偏移，只能按当前设备的偏移计算
+    migrateSessionDates(sessions) {
+        return sessions.map(session => {
+            if (!session || session.utcOffset !== undefined || !session.timestamp) {
+                return session;
+            }
+            const utcOffset = window.dateUtils.getUtcOffset(new Date(session.timestamp));
+            // 手动补记的记录日期由用户选择，不重新计算
+            const date = session.source === 'manual' ?
+                session.date : window.dateUtils.fromTimestamp(session.timestamp, utcOffset);
+            return { ...session, date, utcOffset };
+        });
+    }
+
+    // === 应用锁加密 ===
+
+    // 是否启用了应用锁（数据加密保存）
+    isEncryptionEnabled() {
+        const lock = this.get('lock');
+        return !!(lock && lock.enabled);
+    }
+
+    // 已启用应用锁但尚未解锁
+    isLocked() {
+        return this.isEncryptionEnabled() && !this.dataKey;
+    }
+
+    shouldEncrypt(key) {
+        return !this.plainKeys.includes(key) && this.isEncryptionEnabled();
+    }
+
+    // 解锁：用数据密钥解密数据后继续初始化
+    async unlock(dataKey) {
+        this.dataKey = dataKey;
+        try {
+            await this.loadEncryptedValues();
+        } catch (error) {
+            this.dataKey = null;
+            throw error;
+        }
+
+        if (this.resolveUnlock) {
+            this.resolveUnlock();
+            this.resolveUnlock = null;
+        }
+    }
+
+    // 解密localStorage中的数据到内存（启用加密前写入的明文原样读取）
+    async loadEncryptedValues() {
+        const memory = {};
+        const keys = Object.keys(localStorage).filter(key => key.startsWith(this.prefix));
+        for (const fullKey of keys) {
+            const key = fullKey.slice(this.prefix.length);
+            if (this.plainKeys.includes(key)) continue;
+
+            let parsed;
+            try {
+                parsed = JSON.parse(localStorage.getItem(fullKey));
+            } catch (error) {
+                continue;
+            }
+            if (!parsed || typeof parsed !== 'object') continue;
+
+            memory[key] = parsed.encrypted ?
+                await window.cryptoUtils.decryptJSON(this.dataKey, parsed.encrypted) : parsed.value;
+        }
+        this.memory = memory;
+    }
+
+    // 启用加密：先保存应用锁配置，再把现有数据全部加密重写
+    async enableEncryption(dataKey, lockConfig) {
+        const values = {};
+        Object.keys(localStorage)
+            .filter(fullKey => fullKey.startsWith(this.prefix))
+            .map(fullKey => fullKey.slice(this.prefix.length))
+            .filter(key => !this.plainKeys.includes(key))
+            .forEach(key => {
+                const value = this.get(key);
+                if (value !== null && value !== undefined) {
+                    values[key] = value;
+                }
+            });
+
+        if (!this.set('lock', lockConfig)) {
+            throw new Error('Could not write lock config');
+        }
+        this.dataKey = dataKey;
+        this.memory = {};
+        Object.keys(values).forEach(key => this.setEncrypted(key, values[key]));
+
+        this.sessionBackend = window.sessionDB.encrypt(this.sessionBackend, dataKey);
+        if (this.isIndexedDB()) {
+            await this.sessionBackend.replaceAll(this.sessions);
+        }
+        await this.writeQueue;
+    }
+
+    // 关闭加密：先以明文重写全部数据，最后删除应用锁配置
+    async disableEncryption() {
+        await this.writeQueue;
+        const values = { ...this.memory };
+        Object.keys(values).forEach(key => {
+            if (!this.setPlain(key, values[key])) {
+                throw new Error(`Could not write "${key}"`);
+            }
+        });
+
+        const backend = window.sessionDB.decrypt(this.sessionBackend);
+        if (backend.type === 'indexeddb') {
+            await backend.replaceAll(this.sessions);
+        }
+
+        this.remove('lock');
+        this.sessionBackend = backend;
+        this.dataKey = null;
+        this.memory = {};
+        this.pendingWrites = {};
+    }
+
+    // 加密写入：先更新内存，立即开始加密，按调用顺序写入localStorage
+    // 页面已隐藏时加密完成后直接写入（WebCrypto只有异步接口，无法同步写入）
+    // 返回值只表示已开始写入，需要知道写入结果时使用 setAndWait()
+    setEncrypted(key, value, timestamp = Date.now()) {
+        return this.writeEncrypted(key, value, timestamp) !== null;
+    }
+
+    // 开始加密写入，返回写入localStorage完成的Promise（写入失败时reject）；未解锁时返回null
+    writeEncrypted(key, value, timestamp = Date.now()) {
+        if (!this.dataKey) {
+            console.warn(`Storage is locked, cannot write "${key}"`);
+            return null;
+        }
+
+        this.memory[key] = value;
+        const dataKey = this.dataKey;
+        const pending = {
+            dataKey,
+            timestamp,
+            encrypting: window.cryptoUtils.encryptJSON(dataKey, value)
+        };
+        if (this.pendingWrites[key]) {
+            this.pendingWrites[key].supersededBy = pending;
+        }
+        this.pendingWrites[key] = pending;
+        const written = this.enqueueWrite(dataKey, () => this.commitWrite(key, pending));
+        if (document.hidden) {
+            this.commitWrite(key, pending).catch(error => console.error('Encrypted write error:', error));
+        }
+        return written;
+    }
+
+    // 写入加密结果，同一次写入只执行一次（排队和页面隐藏时的提前写入得到同一结果）
+    // 之后又有新的写入时改为写入最新的数据，结果以最新的写入为准；已删除或数据密钥已变化时跳过
+    commitWrite(key, pending) {
+        if (!pending.committed) {
+            pending.committed = pending.encrypting.then(encrypted => {
+                if (this.dataKey !== pending.dataKey) return;
+                if (this.pendingWrites[key] !== pending) {
+                    return pending.supersededBy ? this.commitWrite(key, pending.supersededBy) : undefined;
+                }
+                delete this.pendingWrites[key];
+                localStorage.setItem(this.prefix + key, JSON.stringify({ encrypted, timestamp: pending.timestamp }));
+            });
+        }
+        return pending.committed;
+    }
+
+    // 不按顺序等待，每项数据加密完成后立即写入
+    flushWrites() {
+        Object.keys(this.pendingWrites).forEach(key => {
+            this.commitWrite(key, this.pendingWrites[key]).catch(error => console.error('Encrypted write error:', error));
+        });
+        return this.writeQueue;
+    }
+
+    // 数据密钥已变化（如清除数据后）时跳过排队中的写入
+    // 返回这次操作的结果（失败时reject）；队列本身在出错后继续执行
+    enqueueWrite(dataKey, operation) {
+        const result = this.writeQueue.then(() => (this.dataKey === dataKey ? operation() : null));
+        this.writeQueue = result.catch(error => console.error('Encrypted write error:', error));
+        return result;
+    }
+
+    // 写入并等待保存到localStorage，返回是否成功
+    // 启用应用锁时 set() 在加密前就返回，写入失败（如空间不足）只能从这里得知
+    async setAndWait(key, value, timestamp = Date.now()) {
+        if (!this.shouldEncrypt(key)) {
+            return this.set(key, value, timestamp);
+        }
+
+        const written = this.writeEncrypted(key, value, timestamp);
+        if (!written) return false;
+        try {
+            await written;
+            return true;
+        } catch (error) {
+            return false;
+        }
     }
 
-    // 通用存储方法
-    set(key, value) {
+    // 通用存储方法（timestamp 默认为当前时间，同步时保留另一台设备的写入时间）
+    set(key, value, timestamp = Date.now()) {
+        if (this.shouldEncrypt(key)) {
+            return this.setEncrypted(key, value, timestamp);
+        }
+        return this.setPlain(key, value, timestamp);
+    }
+
+    setPlain(key, value, timestamp = Date.now()) {
         try {
             const fullKey = this.prefix + key;
             const data = {
                 value: value,
-                timestamp: Date.now()
+                timestamp
             };
             localStorage.setItem(fullKey, JSON.stringify(data));
             return true;
@@ -80,6 +534,10 @@ class Storage {
 
     // 通用读取方法
     get(key, defaultValue = null) {
+        if (this.shouldEncrypt(key)) {
+            return this.memory[key] !== undefined ? this.memory[key] : defaultValue;
+        }
+
         try {
             const fullKey = this.prefix + key;
             const data = localStorage.getItem(fullKey);
@@ -94,8 +552,25 @@ class Storage {
         }
     }
 
+    // 获取数据的写入时间（加密数据的时间戳同样以明文保存）
+    getTimestamp(key) {
+        try {
+            const data = localStorage.getItem(this.prefix + key);
+            return data ? JSON.parse(data).timestamp || 0 : 0;
+        } catch (error) {
+            return 0;
+        }
+    }
+
     // 删除数据
     remove(key) {
+        if (this.shouldEncrypt(key) && this.dataKey) {
+            delete this.memory[key];
+            delete this.pendingWrites[key];
+            this.enqueueWrite(this.dataKey, () => localStorage.removeItem(this.prefix + key));
+            return true;
+        }
+
         try {
             const fullKey = this.prefix + key;
             localStorage.removeItem(fullKey);
@@ -113,6 +588,18 @@ class Storage {
                 key.startsWith(this.prefix)
             );
             keys.forEach(key => localStorage.removeItem(key));
+
+            // 清除数据同时关闭应用锁
+            this.dataKey = null;
+            this.memory = {};
+            this.pendingWrites = {};
+            if (this.sessionBackend) {
+                this.sessionBackend = window.sessionDB.decrypt(this.sessionBackend);
+            }
+
+            this.sessions = [];
+            this.clearRetryQueue();
+            this.persistSessions(backend => backend.clear());
             return true;
         } catch (error) {
             console.error('Storage clear error:', error);
@@ -129,6 +616,7 @@ class Storage {
     updateSettings(newSettings) {
         const currentSettings = this.getSettings();
         const updatedSettings = { ...currentSettings, ...newSettings };
+        this.touchSettings(Object.keys(newSettings));
         return this.set('settings', updatedSettings);
     }
 
@@ -140,41 +628,159 @@ class Storage {
     setSetting(key, value) {
         const settings = this.getSettings();
         settings[key] = value;
+        this.touchSettings([key]);
         return this.set('settings', settings);
     }
 
+    // 每项设置的修改时间，设备同步时按项合并
+    getSettingTimestamps() {
+        const timestamps = this.get('settingsTimestamps', null);
+        if (timestamps) return timestamps;
+
+        // 旧版本没有按项记录，沿用整个设置的写入时间（默认设置为0）
+        const timestamp = this.getTimestamp('settings');
+        const result = {};
+        Object.keys(this.getSettings()).forEach(key => {
+            result[key] = timestamp;
+        });
+        return result;
+    }
+
+    touchSettings(keys, timestamp = Date.now()) {
+        const timestamps = this.getSettingTimestamps();
+        keys.forEach(key => {
+            timestamps[key] = timestamp;
+        });
+        this.set('settingsTimestamps', timestamps);
+    }
+
+    // === 自定义计划相关方法 ===
+
+    // 获取所有已保存的自定义计划（按用户排序）
+    getCustomPlans() {
+        return this.get('customPlans', []);
+    }
+
+    // 获取指定的自定义计划
+    getCustomPlan(planId) {
+        return this.getCustomPlans().find(plan => plan.id === planId) || null;
+    }
+
+    // 保存自定义计划（有id则更新，否则新建）
+    saveCustomPlan(planData) {
+        const plans = this.getCustomPlans();
+        const now = Date.now();
+        const index = planData.id ? plans.findIndex(plan => plan.id === planData.id) : -1;
+
+        const plan = {
+            id: index >= 0 ? planData.id : this.generateId(),
+            title: (planData.title || '').trim(),
+            contractTime: planData.contractTime || 3,
+            relaxTime: planData.relaxTime || 3,
+            sets: planData.sets || 1,
+            repsPerSet: planData.repsPerSet || 10,
+            restTime: planData.restTime || 30,
+            createdAt: index >= 0 ? plans[index].createdAt : now,
+            updatedAt: now
+        };
+
+        if (index >= 0) {
+            plans[index] = plan;
+        } else {
+            plans.push(plan);
+        }
+
+        return this.set('customPlans', plans) ? plan : null;
+    }
+
+    // 复制自定义计划（副本插入在原计划之后）
+    duplicateCustomPlan(planId, titleSuffix = ' (2)') {
+        const plans = this.getCustomPlans();
+        const index = plans.findIndex(plan => plan.id === planId);
+        if (index < 0) return null;
+
+        const now = Date.now();
+        const copy = {
+            ...plans[index],
+            id: this.generateId(),
+            title: plans[index].title + titleSuffix,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        plans.splice(index + 1, 0, copy);
+        return this.set('customPlans', plans) ? copy : null;
+    }
+
+    // 删除自定义计划（已有训练记录保留计划名称）
+    deleteCustomPlan(planId) {
+        const plans = this.getCustomPlans();
+        const filteredPlans = plans.filter(plan => plan.id !== planId);
+        if (filteredPlans.length === plans.length) return false;
+        return this.set('customPlans', filteredPlans);
+    }
+
+    // 移动自定义计划位置（offset: -1 上移，1 下移）
+    moveCustomPlan(planId, offset) {
+        const plans = this.getCustomPlans();
+        const index = plans.findIndex(plan => plan.id === planId);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= plans.length) return false;
+
+        const [plan] = plans.splice(index, 1);
+        plans.splice(target, 0, plan);
+        return this.set('customPlans', plans);
+    }
+
     // === 训练记录相关方法 ===
 
     // 保存训练记录
     saveSession(sessionData) {
-        const sessions = this.getSessions();
+        const today = window.dateUtils.today();
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(sessionData.date || '') ? sessionData.date : today;
         const session = {
             id: this.generateId(),
-            date: new Date().toISOString().split('T')[0], // YYYY-MM-DD
-            timestamp: Date.now(),
+            date, // 本地训练日 YYYY-MM-DD
+            // 补记的过往训练没有实际时间，记为当天中午
+            timestamp: date === today ? Date.now() : window.dateUtils.parse(date).getTime(),
+            utcOffset: window.dateUtils.getUtcOffset(), // 记录时的UTC偏移（分钟）
+            source: sessionData.source || 'timer', // timer 计时训练 / manual 手动补记
             plan: sessionData.plan || 'custom',
+            customPlanId: sessionData.customPlanId || null, // 来源的已保存自定义计划
+            planTitle: sessionData.planTitle || null,
+            programId: sessionData.programId || null, // 所属训练方案及周数
+            programWeek: sessionData.programWeek || null,
             duration: sessionData.duration || 0, // 秒
             contractTime: sessionData.contractTime || 3,
             relaxTime: sessionData.relaxTime || 3,
             sets: sessionData.sets || 1,
             repetitions: sessionData.repetitions || 1,
+            totalReps: sessionData.totalReps || (sessionData.sets || 1) * (sessionData.repetitions || 1),
             completed: sessionData.completed || false,
             completedSets: sessionData.completedSets || 0,
             completedReps: sessionData.completedReps || 0
         };
 
-        sessions.push(session);
-        this.set('sessions', sessions);
+        this.sessions.push(session);
+        this.storeSession(session).then(() => this.checkQuota());
+
+        // 更新统计数据（补记过往日期时需要重新计算连续天数）
+        if (date === today) {
+            this.updateStats(session);
+        } else {
+            this.recalculateStats();
+        }
 
-        // 更新统计数据
-        this.updateStats(session);
+        window.dispatchEvent(new CustomEvent('sessionSaved', {
+            detail: { session }
+        }));
 
         return session;
     }
 
-    // 获取所有训练记录
+    // 获取所有训练记录（来自内存缓存）
     getSessions() {
-        return this.get('sessions', []);
+        return [...this.sessions];
     }
 
     // 获取指定日期的训练记录
@@ -183,25 +789,193 @@ class Storage {
         return sessions.filter(session => session.date === date);
     }
 
-    // 获取日期范围内的训练记录
-    getSessionsInRange(startDate, endDate) {
-        const sessions = this.getSessions();
-        return sessions.filter(session => {
+    // 获取日期范围内的训练记录（按日期索引查询，异步）
+    async getSessionsInRange(startDate, endDate) {
+        if (this.sessionBackend) {
+            try {
+                return await this.sessionBackend.getRange(startDate, endDate);
+            } catch (error) {
+                console.error('Session range query error:', error);
+            }
+        }
+        return this.getSessions().filter(session => {
             return session.date >= startDate && session.date <= endDate;
         });
     }
 
+    // 获取单条训练记录
+    getSession(sessionId) {
+        return this.getSessions().find(session => session.id === sessionId) || null;
+    }
+
+    // 更新训练记录（修正记录、备注和标签）
+    updateSession(sessionId, changes) {
+        const index = this.sessions.findIndex(session => session.id === sessionId);
+        if (index < 0) return null;
+
+        // 只允许修改用户可编辑的字段
+        const editable = ['date', 'duration', 'completed', 'completedSets', 'completedReps', 'notes', 'tags'];
+        const session = { ...this.sessions[index] };
+        editable.forEach(key => {
+            if (changes[key] !== undefined) {
+                session[key] = changes[key];
+            }
+        });
+        session.updatedAt = Date.now();
+
+        this.sessions[index] = session;
+        this.storeSession(session);
+
+        // 重新计算统计数据
+        this.recalculateStats();
+        return session;
+    }
+
     // 删除训练记录
     deleteSession(sessionId) {
-        const sessions = this.getSessions();
-        const filteredSessions = sessions.filter(session => session.id !== sessionId);
-        this.set('sessions', filteredSessions);
+        this.sessions = this.sessions.filter(session => session.id !== sessionId);
+        this.persistSessions(backend => backend.delete(sessionId));
+        this.removeFromRetryQueue([sessionId]);
+
+        // 记录删除标记，设备同步时另一台设备上的同一记录也会被删除
+        this.addDeletionMarks([sessionId]);
         
         // 重新计算统计数据
         this.recalculateStats();
         return true;
     }
 
+    // 记录删除标记（同一记录只保留最新的一个）
+    addDeletionMarks(ids, deletedAt = Date.now()) {
+        const idSet = new Set(ids);
+        const deleted = this.get('deletedSessions', []).filter(mark => !idSet.has(mark.id));
+        ids.forEach(id => deleted.push({ id, deletedAt }));
+        this.set('deletedSessions', deleted);
+    }
+
+    // 导入（恢复）的记录不再按之前的删除标记删除
+    clearDeletionMarks(ids) {
+        const idSet = new Set(ids);
+        const deleted = this.get('deletedSessions', []);
+        const remaining = deleted.filter(mark => !idSet.has(mark.id));
+        if (remaining.length !== deleted.length) {
+            this.set('deletedSessions', remaining);
+        }
+    }
+
+    // 替换全部训练记录（写入失败时抛出异常，缓存保持不变）
+    async replaceSessions(sessions) {
+        await this.sessionBackend.replaceAll(sessions);
+        this.sessions = [...sessions];
+    }
+
+    // 把训练记录的修改写入存储后端（缓存已先更新）
+    persistSessions(operation) {
+        if (!this.sessionBackend) return Promise.resolve(false);
+        return operation(this.sessionBackend)
+            .then(() => true)
+            .catch(error => {
+                console.error('Session write error:', error);
+                return false;
+            });
+    }
+
+    // 写入单条训练记录，失败（如空间不足）时加入重试队列，记录仍保留在缓存中
+    async storeSession(session) {
+        const saved = await this.persistSessions(backend => backend.put(session));
+        if (!saved) {
+            this.queueRetry(session.id);
+        } else if (this.retryQueue.includes(session.id)) {
+            // 等待重试的记录这次保存成功，其余记录也立即重试
+            await this.retryPendingSessions();
+        }
+        return saved;
+    }
+
+    queueRetry(sessionId) {
+        if (!this.retryQueue.includes(sessionId)) {
+            this.retryQueue.push(sessionId);
+        }
+        this.savePendingSessions();
+        if (!this.retryInterval) {
+            this.retryInterval = setInterval(() => this.retryPendingSessions(), 30000);
+        }
+
+        window.dispatchEvent(new CustomEvent('storageWriteFailed', {
+            detail: { pending: this.retryQueue.length }
+        }));
+    }
+
+    // 重新写入队列中的训练记录，返回仍未保存的数量
+    async retryPendingSessions() {
+        if (this.retryQueue.length === 0) return 0;
+
+        // 已删除的记录不再写入；修改过的记录写入最新内容
+        const ids = [...this.retryQueue];
+        const sessions = this.sessions.filter(session => ids.includes(session.id));
+        if (sessions.length > 0 && !await this.persistSessions(backend => backend.putMany(sessions))) {
+            return this.retryQueue.length;
+        }
+
+        this.removeFromRetryQueue(ids);
+        if (this.retryQueue.length === 0) {
+            this.clearRetryQueue();
+            window.dispatchEvent(new CustomEvent('storageWriteRecovered', {
+                detail: { saved: sessions.length }
+            }));
+        }
+        return this.retryQueue.length;
+    }
+
+    clearRetryQueue() {
+        this.retryQueue = [];
+        this.savePendingSessions();
+        if (this.retryInterval) {
+            clearInterval(this.retryInterval);
+            this.retryInterval = null;
+        }
+    }
+
+    // 已删除或已保存的记录移出重试队列
+    removeFromRetryQueue(ids) {
+        const count = this.retryQueue.length;
+        this.retryQueue = this.retryQueue.filter(id => !ids.includes(id));
+        if (this.retryQueue.length !== count) {
+            this.savePendingSessions();
+        }
+    }
+
+    // 把等待重试的记录单独保存（体积小，存储后端写满时通常仍能写入），页面关闭后不会丢失
+    savePendingSessions() {
+        const pending = this.sessions.filter(session => this.retryQueue.includes(session.id));
+        if (pending.length > 0) {
+            this.set('pendingSessions', pending);
+        } else if (this.get('pendingSessions') !== null) {
+            this.remove('pendingSessions');
+        }
+    }
+
+    // 启动时放回上次未能保存的记录并重新写入，仍失败的继续排队重试
+    async restorePendingSessions() {
+        const pending = this.get('pendingSessions', []);
+        if (!Array.isArray(pending) || pending.length === 0) return;
+
+        const byId = new Map(this.sessions.map(session => [session.id, session]));
+        const restored = pending.filter(session => session && typeof session === 'object' && session.id);
+        restored.forEach(session => byId.set(session.id, session));
+        this.sessions = [...byId.values()].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+        for (const session of restored) {
+            await this.storeSession(session);
+        }
+        this.savePendingSessions();
+    }
+
+    // 训练记录是否保存在IndexedDB中
+    isIndexedDB() {
+        return !!this.sessionBackend && this.sessionBackend.type === 'indexeddb';
+    }
+
     // === 统计数据相关方法 ===
 
     getStats() {
@@ -210,22 +984,22 @@ class Storage {
 
     updateStats(session) {
         const stats = this.getStats();
-        const today = new Date().toISOString().split('T')[0];
+        const today = session.date;
 
         // 更新基本统计
         if (session.completed) {
             stats.totalSessions = (stats.totalSessions || 0) + 1;
             stats.totalDuration = (stats.totalDuration || 0) + session.duration;
 
+            // 更新连续天数（需要在更新最后训练日期之前计算）
+            this.updateStreakDays(stats, today);
+
             // 更新日期
             if (!stats.firstSessionDate) {
                 stats.firstSessionDate = today;
             }
             stats.lastSessionDate = today;
 
-            // 更新连续天数
-            this.updateStreakDays(stats, today);
-
             // 检查成就
             this.checkAchievements(stats);
         }
@@ -242,9 +1016,7 @@ class Storage {
             stats.currentStreak = 1;
             stats.maxStreak = 1;
         } else {
-            const lastDateTime = new Date(lastDate);
-            const todayTime = new Date(today);
-            const diffDays = Math.floor((todayTime - lastDateTime) / (24 * 60 * 60 * 1000));
+            const diffDays = window.dateUtils.diffDays(lastDate, today);
 
             if (diffDays === 1) {
                 // 连续的下一天
@@ -305,9 +1077,7 @@ class Storage {
         let tempStreak = 1;
 
         for (let i = 1; i < uniqueDates.length; i++) {
-            const prevDate = new Date(uniqueDates[i - 1]);
-            const currentDate = new Date(uniqueDates[i]);
-            const diffDays = Math.floor((currentDate - prevDate) / (24 * 60 * 60 * 1000));
+            const diffDays = window.dateUtils.diffDays(uniqueDates[i - 1], uniqueDates[i]);
 
             if (diffDays === 1) {
                 tempStreak++;
@@ -320,17 +1090,15 @@ class Storage {
         maxStreak = Math.max(maxStreak, tempStreak);
 
         // 计算当前连续天数（从最后一天往前计算）
-        const today = new Date().toISOString().split('T')[0];
+        const today = window.dateUtils.today();
         const lastDate = uniqueDates[uniqueDates.length - 1];
-        const daysSinceLastSession = Math.floor((new Date(today) - new Date(lastDate)) / (24 * 60 * 60 * 1000));
+        const daysSinceLastSession = window.dateUtils.diffDays(lastDate, today);
 
         if (daysSinceLastSession <= 1) {
             // 计算到最后一天的连续天数
             let streak = 1;
             for (let i = uniqueDates.length - 2; i >= 0; i--) {
-                const prevDate = new Date(uniqueDates[i]);
-                const nextDate = new Date(uniqueDates[i + 1]);
-                const diffDays = Math.floor((nextDate - prevDate) / (24 * 60 * 60 * 1000));
+                const diffDays = window.dateUtils.diffDays(uniqueDates[i], uniqueDates[i + 1]);
                 if (diffDays === 1) {
                     streak++;
                 } else {
@@ -410,52 +1178,591 @@ class Storage {
             exportDate: new Date().toISOString(),
             settings: this.getSettings(),
             stats: this.getStats(),
-            sessions: this.getSessions()
+            sessions: this.getSessions(),
+            customPlans: this.getCustomPlans(),
+            program: this.get('program')
         };
 
         return data;
     }
 
+    // 归档分两步：先下载备份文件，用户确认文件已保存后再从本设备删除
+    // （浏览器不告知下载是否成功，独立运行的PWA中下载可能被拦截）
+
+    // 归档第一步：把指定日期之前的训练记录下载为备份文件，返回归档记录的id
+    // 归档文件与导出格式相同，可通过导入（合并）恢复
+    exportArchive(beforeDate) {
+        const archived = this.sessions.filter(session => session.date < beforeDate);
+        if (archived.length === 0) return [];
+
+        const data = { ...this.exportData(), sessions: archived };
+        this.downloadFile(JSON.stringify(data, null, 2), `pelvicfit_archive_before_${beforeDate}.json`, 'application/json');
+        return archived.map(session => session.id);
+    }
+
+    // 归档第二步：从本设备删除已归档的记录，返回删除的记录数
+    async deleteArchivedSessions(ids) {
+        const idSet = new Set(ids);
+        const archived = this.sessions.filter(session => idSet.has(session.id)).map(session => session.id);
+        if (archived.length === 0) return 0;
+
+        await this.sessionBackend.deleteMany(archived);
+        this.sessions = this.sessions.filter(session => !idSet.has(session.id));
+        this.removeFromRetryQueue(archived);
+        // 与删除一样记录删除标记，否则设备同步时会从另一台设备同步回来
+        this.addDeletionMarks(archived);
+        this.recalculateStats();
+
+        // 释放空间后重试未保存的记录
+        await this.retryPendingSessions();
+        this.checkQuota();
+        return archived.length;
+    }
+
     // 导出为JSON文件
     exportToFile() {
         const data = this.exportData();
         const jsonString = JSON.stringify(data, null, 2);
-        const blob = new Blob([jsonString], { type: 'application/json' });
+        this.downloadFile(jsonString, `pelvicfit_data_${window.dateUtils.today()}.json`, 'application/json');
+        return true;
+    }
+
+    // 导出为加密的JSON文件（AES-GCM，密钥由密码经PBKDF2派生）
+    async exportEncryptedToFile(password) {
+        const backup = await this.encryptBackup(this.exportData(), password);
+        this.downloadFile(JSON.stringify(backup, null, 2), `pelvicfit_backup_encrypted_${window.dateUtils.today()}.json`, 'application/json');
+        return true;
+    }
+
+    // 加密备份文件格式：导出数据整体加密，只有格式信息和密钥参数为明文
+    // compress 为true时先gzip压缩再加密（密文无法再压缩，用于二维码传输等对大小敏感的场合）
+    async encryptBackup(data, password, compress = false) {
+        const crypto = window.cryptoUtils;
+        const salt = crypto.randomBytes(crypto.saltLength);
+        const key = await crypto.deriveKeyFromPassphrase(password, salt);
+        const backup = {
+            format: 'pelvicfit-encrypted-backup',
+            formatVersion: 1,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: crypto.pbkdf2Iterations, salt: crypto.toBase64(salt) }
+        };
+
+        if (compress && this.isCompressionSupported()) {
+            const compressed = await this.compress(new TextEncoder().encode(JSON.stringify(data)));
+            backup.compression = 'gzip';
+            backup.cipher = { name: 'AES-GCM', ...await crypto.encryptBytes(key, compressed) };
+        } else {
+            backup.cipher = { name: 'AES-GCM', ...await crypto.encryptJSON(key, data) };
+        }
+        return backup;
+    }
+
+    isEncryptedBackup(data) {
+        return !!data && typeof data === 'object' && data.format === 'pelvicfit-encrypted-backup' &&
+            !!data.kdf && !!data.cipher;
+    }
+
+    // 解密备份文件；密码错误或文件损坏时抛出 wrong_password
+    async decryptBackup(backup, password) {
+        if (backup.formatVersion !== 1 || backup.kdf.name !== 'PBKDF2' || backup.cipher.name !== 'AES-GCM' ||
+            (backup.compression && backup.compression !== 'gzip')) {
+            throw new Error('unsupported_version');
+        }
+        if (backup.compression && !this.isCompressionSupported()) {
+            throw new Error('unsupported');
+        }
+
+        const crypto = window.cryptoUtils;
+        let decrypted;
+        try {
+            const key = await crypto.deriveKeyFromPassphrase(password, crypto.fromBase64(backup.kdf.salt), backup.kdf.iterations);
+            decrypted = await crypto.decryptBytes(key, backup.cipher);
+        } catch (error) {
+            throw new Error('wrong_password');
+        }
+
+        if (backup.compression) {
+            decrypted = await this.decompress(decrypted);
+        }
+        return JSON.parse(new TextDecoder().decode(decrypted));
+    }
+
+    // === 压缩（gzip） ===
+
+    isCompressionSupported() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    async compress(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    async decompress(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // 获取要导出的训练记录（日期范围可选，按时间排序）
+    async getSessionsForExport(startDate = null, endDate = null) {
+        const sessions = startDate || endDate ?
+            await this.getSessionsInRange(startDate || '0000-00-00', endDate || '9999-12-31') :
+            this.getSessions();
+        return [...sessions].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    }
+
+    // 导出为CSV（每条训练记录一行）
+    async exportToCSV(startDate = null, endDate = null) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const header = ['date', 'time', 'plan', 'duration_seconds', 'completed_sets', 'total_sets',
+            'completed_reps', 'total_reps', 'status', 'source'];
+        const sessions = await this.getSessionsForExport(startDate, endDate);
+        const rows = sessions.map(session => {
+            const time = session.timestamp ? new Date(session.timestamp).toTimeString().slice(0, 5) : '';
+            return [
+                session.date,
+                time,
+                session.planTitle || session.plan,
+                session.duration,
+                session.completedSets,
+                session.sets,
+                session.completedReps,
+                session.totalReps || session.sets * session.repetitions,
+                session.completed ? 'completed' : 'incomplete',
+                session.source || 'timer'
+            ].map(escape).join(',');
+        });
+
+        // 加BOM，保证表格软件正确识别UTF-8中文
+        const csv = '\uFEFF' + [header.join(','), ...rows].join('\r\n');
+        this.downloadFile(csv, `pelvicfit_sessions_${this.getExportRangeLabel(startDate, endDate)}.csv`, 'text/csv;charset=utf-8');
+        return rows.length;
+    }
+
+    // 导出为ICS日历（每条训练记录一个事件）
+    async exportToICS(startDate = null, endDate = null) {
+        const formatUTC = (time) => new Date(time).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+        const escape = (text) => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;')
+            .replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+        const now = formatUTC(Date.now());
+
+        const sessions = await this.getSessionsForExport(startDate, endDate);
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//PelvicFit Mini//Training History//EN',
+            'CALSCALE:GREGORIAN'
+        ];
+
+        sessions.forEach(session => {
+            const status = session.completed ? 'completed' : 'incomplete';
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${session.id}@pelvicfit`,
+                `DTSTAMP:${now}`
+            );
+
+            // 旧记录没有时间戳时使用全天事件
+            if (session.timestamp) {
+                const end = session.timestamp;
+                const start = end - (session.duration || 0) * 1000;
+                lines.push(`DTSTART:${formatUTC(start)}`, `DTEND:${formatUTC(end)}`);
+            } else {
+                lines.push(`DTSTART;VALUE=DATE:${session.date.replace(/-/g, '')}`);
+            }
+
+            lines.push(
+                `SUMMARY:${escape(`PelvicFit: ${session.planTitle || session.plan}`)}`,
+                `DESCRIPTION:${escape(`Sets: ${session.completedSets}/${session.sets}\nReps: ${session.completedReps}/${session.totalReps || session.sets * session.repetitions}\nStatus: ${status}`)}`,
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        this.downloadFile(lines.join('\r\n') + '\r\n', `pelvicfit_sessions_${this.getExportRangeLabel(startDate, endDate)}.ics`, 'text/calendar;charset=utf-8');
+        return sessions.length;
+    }
+
+    getExportRangeLabel(startDate, endDate) {
+        if (!startDate && !endDate) {
+            return window.dateUtils.today();
+        }
+        return `${startDate || 'start'}_${endDate || 'end'}`;
+    }
+
+    // 触发浏览器下载
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
-        
+
         const link = document.createElement('a');
         link.href = url;
-        link.download = `pelvicfit_data_${new Date().toISOString().split('T')[0]}.json`;
+        link.download = filename;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
-        
+
         URL.revokeObjectURL(url);
-        return true;
     }
 
-    // 导入数据（未来功能）
-    importData(data) {
+    // 校验导入文件（exportData() 生成的格式）
+    // 返回 { valid, error }，error 为 invalid_format / unsupported_version / invalid_sessions
+    validateImportData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { valid: false, error: 'invalid_format' };
+        }
+        if (typeof data.version !== 'string' || !/^\d+\.\d+\.\d+$/.test(data.version) ||
+            !data.settings || typeof data.settings !== 'object') {
+            return { valid: false, error: 'invalid_format' };
+        }
+        // 不支持由更新版本应用导出的数据
+        if (this.compareVersions(data.version, this.version) > 0) {
+            return { valid: false, error: 'unsupported_version' };
+        }
+        if (!Array.isArray(data.sessions)) {
+            return { valid: false, error: 'invalid_sessions' };
+        }
+        return { valid: true, error: null };
+    }
+
+    // 单条训练记录是否有效
+    isValidSession(session) {
+        return !!session && typeof session === 'object' &&
+            typeof session.id === 'string' && session.id.length > 0 &&
+            typeof session.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(session.date);
+    }
+
+    // === 导入和同步数据的规范化 ===
+    // 备份文件和其他设备发来的数据不可信，写入前逐字段转换类型，无法识别的字段丢弃
+    // （数字、布尔值和标签会直接用于界面显示和统计）
+
+    // 规范化单条训练记录，无效（缺少id或日期）时返回null
+    normalizeSession(session) {
+        if (!this.isValidSession(session)) return null;
+
+        const normalized = { id: session.id, date: session.date };
+        // 旧记录可能没有时间戳和UTC偏移，保持缺省
+        const timestamp = this.toCount(session.timestamp, null);
+        if (timestamp !== null) normalized.timestamp = timestamp;
+        const utcOffset = this.toNumber(session.utcOffset);
+        if (utcOffset !== null) normalized.utcOffset = utcOffset;
+
+        const sets = this.toCount(session.sets, 1);
+        const repetitions = this.toCount(session.repetitions, 1);
+        Object.assign(normalized, {
+            source: session.source === 'manual' ? 'manual' : 'timer',
+            plan: this.toText(session.plan) || 'custom',
+            customPlanId: this.toText(session.customPlanId),
+            planTitle: this.toText(session.planTitle),
+            programId: this.toText(session.programId),
+            programWeek: this.toCount(session.programWeek, null),
+            duration: this.toCount(session.duration, 0),
+            contractTime: this.toCount(session.contractTime, 3),
+            relaxTime: this.toCount(session.relaxTime, 3),
+            sets,
+            repetitions,
+            totalReps: this.toCount(session.totalReps, sets * repetitions),
+            completed: session.completed === true,
+            completedSets: this.toCount(session.completedSets, 0),
+            completedReps: this.toCount(session.completedReps, 0)
+        });
+
+        if (session.notes !== undefined) normalized.notes = this.toText(session.notes) || '';
+        if (session.tags !== undefined) normalized.tags = this.toTags(session.tags);
+        const updatedAt = this.toCount(session.updatedAt, null);
+        if (updatedAt !== null) normalized.updatedAt = updatedAt;
+        return normalized;
+    }
+
+    // 规范化训练记录列表，丢弃无效记录
+    normalizeSessions(sessions) {
+        return (Array.isArray(sessions) ? sessions : [])
+            .map(session => this.normalizeSession(session))
+            .filter(session => session !== null);
+    }
+
+    // 规范化自定义计划列表，与 saveCustomPlan() 的字段相同；缺少id或id重复的计划丢弃
+    normalizePlans(plans) {
+        const ids = new Set();
+        return (Array.isArray(plans) ? plans : []).filter(plan => {
+            if (!plan || typeof plan !== 'object' || typeof plan.id !== 'string' || !plan.id || ids.has(plan.id)) {
+                return false;
+            }
+            ids.add(plan.id);
+            return true;
+        }).map(plan => ({
+            id: plan.id,
+            title: (this.toText(plan.title) || '').trim(),
+            contractTime: this.toCount(plan.contractTime, 0) || 3,
+            relaxTime: this.toCount(plan.relaxTime, 0) || 3,
+            sets: this.toCount(plan.sets, 0) || 1,
+            repsPerSet: this.toCount(plan.repsPerSet, 0) || 10,
+            restTime: this.toCount(plan.restTime, 0) || 30,
+            createdAt: this.toCount(plan.createdAt, 0),
+            updatedAt: this.toCount(plan.updatedAt, 0)
+        }));
+    }
+
+    // 有限数字（允许数字字符串），否则返回null
+    toNumber(value) {
+        if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+            value = Number(value);
+        }
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    // 非负数字，无效时返回 fallback
+    toCount(value, fallback) {
+        const number = this.toNumber(value);
+        return number !== null && number >= 0 ? number : fallback;
+    }
+
+    toText(value) {
+        return typeof value === 'string' ? value : null;
+    }
+
+    // 标签为去重的非空字符串数组；字符串按逗号拆分（与编辑对话框相同）
+    toTags(value) {
+        const tags = typeof value === 'string' ? value.split(/[,，]/) : (Array.isArray(value) ? value : []);
+        return [...new Set(tags
+            .filter(tag => typeof tag === 'string' || typeof tag === 'number')
+            .map(tag => String(tag).trim())
+            .filter(tag => tag.length > 0))];
+    }
+
+    // 导入预览：记录数量、日期范围和与本地数据的冲突
+    previewImport(data) {
+        const validSessions = this.normalizeSessions(data.sessions);
+        const localById = new Map(this.getSessions().map(session => [session.id, session]));
+        const dates = validSessions.map(session => session.date).sort();
+
+        let duplicates = 0;
+        let conflicts = 0;
+        validSessions.forEach(session => {
+            const local = localById.get(session.id);
+            if (local) {
+                duplicates++;
+                if (JSON.stringify(this.normalizeSession(local)) !== JSON.stringify(session)) {
+                    conflicts++;
+                }
+            }
+        });
+
+        return {
+            version: data.version,
+            exportDate: data.exportDate || null,
+            sessionCount: validSessions.length,
+            invalidCount: data.sessions.length - validSessions.length,
+            startDate: dates[0] || null,
+            endDate: dates[dates.length - 1] || null,
+            duplicates, // 本地已有相同id的记录
+            conflicts, // 相同id但内容不同（合并时保留本地记录）
+            newSessions: validSessions.length - duplicates,
+            localSessionCount: localById.size
+        };
+    }
+
+    // 导入数据
+    // mode: 'replace' 替换全部数据；'merge' 按id去重合并训练记录，保留本地设置
+    async importData(data, mode = 'replace') {
         try {
-            if (data.version && data.settings && data.sessions) {
+            if (!this.validateImportData(data).valid) {
+                return false;
+            }
+
+            // 旧版本的备份先经过迁移步骤
+            data = this.runMigrations(data, data.version).data;
+
+            const importedSessions = this.normalizeSessions(data.sessions);
+            const importedPlans = this.normalizePlans(data.customPlans);
+            // 恢复归档或误删的记录
+            this.clearDeletionMarks(importedSessions.map(session => session.id));
+
+            if (mode === 'merge') {
+                const existingIds = new Set(this.sessions.map(session => session.id));
+                const newSessions = [];
+                importedSessions.forEach(session => {
+                    if (!existingIds.has(session.id)) {
+                        newSessions.push(session);
+                        existingIds.add(session.id);
+                    }
+                });
+
+                const plans = this.getCustomPlans();
+                const planIds = new Set(plans.map(plan => plan.id));
+                importedPlans.forEach(plan => {
+                    if (!planIds.has(plan.id)) {
+                        plans.push(plan);
+                    }
+                });
+
+                // 合并已解锁的成就
+                const stats = this.getStats();
+                const importedAchievements = (data.stats && data.stats.achievements) || [];
+                stats.achievements = [...new Set([...(stats.achievements || []), ...importedAchievements])];
+
+                // 只写入新增的记录
+                await this.sessionBackend.putMany(newSessions);
+                this.sessions = [...this.sessions, ...newSessions]
+                    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+                this.set('customPlans', plans);
+                this.set('stats', stats);
+            } else {
+                await this.replaceSessions(importedSessions);
                 this.set('settings', data.settings);
-                this.set('sessions', data.sessions);
+                this.touchSettings(Object.keys(data.settings || {}));
                 this.set('stats', data.stats || {});
-                
-                // 重新计算统计数据
-                this.recalculateStats();
-                
-                return true;
+                this.set('customPlans', importedPlans);
+                if (data.program) {
+                    this.set('program', data.program);
+                } else {
+                    this.remove('program');
+                }
             }
-            return false;
+
+            // 重新计算统计数据
+            this.recalculateStats();
+
+            return true;
         } catch (error) {
             console.error('Import data error:', error);
             return false;
         }
     }
 
+    // === 设备同步 ===
+
+    // 本设备参与同步的数据：键值、设置（每项单独的修改时间）、训练记录、删除标记和已解锁的成就
+    async getSyncState() {
+        // 等待排队中的加密写入完成，确保时间戳是最新的
+        await this.writeQueue;
+
+        const entries = {};
+        this.syncKeys.forEach(key => {
+            const value = this.get(key);
+            if (value !== null) {
+                entries[key] = { value, timestamp: this.getTimestamp(key) };
+            }
+        });
+
+        const settings = {};
+        const settingValues = this.getSettings();
+        const timestamps = this.getSettingTimestamps();
+        Object.keys(settingValues).forEach(key => {
+            if (!this.deviceSettings.includes(key)) {
+                settings[key] = { value: settingValues[key], timestamp: timestamps[key] || 0 };
+            }
+        });
+
+        return {
+            version: this.version,
+            entries,
+            settings,
+            sessions: this.getSessions(),
+            deletedSessions: this.get('deletedSessions', []),
+            achievements: this.getStats().achievements || []
+        };
+    }
+
+    // 合并另一台设备的数据，双方都以写入时间较新的一方为准（last-writer-wins）：
+    // 键值比较 set() 写入的 timestamp；设置逐项比较修改时间，本设备的设置（deviceSettings）不合并；
+    // 训练记录比较 updatedAt（未修改过时为 timestamp）
+    async applySyncState(remote) {
+        const result = { added: 0, updated: 0, removed: 0, keys: [] };
+
+        const settings = this.getSettings();
+        const timestamps = this.getSettingTimestamps();
+        let settingsChanged = false;
+        Object.keys(remote.settings || {}).forEach(key => {
+            const entry = remote.settings[key];
+            if (this.deviceSettings.includes(key) || !entry || !entry.timestamp) return;
+            if (entry.timestamp > (timestamps[key] || 0)) {
+                settings[key] = entry.value;
+                timestamps[key] = entry.timestamp;
+                settingsChanged = true;
+            }
+        });
+        if (settingsChanged) {
+            this.set('settings', settings);
+            this.set('settingsTimestamps', timestamps);
+            result.keys.push('settings');
+        }
+
+        Object.keys(remote.entries || {}).forEach(key => {
+            const entry = remote.entries[key];
+            if (!this.syncKeys.includes(key) || !entry || !entry.timestamp) return;
+            if (entry.timestamp > this.getTimestamp(key)) {
+                this.set(key, key === 'customPlans' ? this.normalizePlans(entry.value) : entry.value, entry.timestamp);
+                result.keys.push(key);
+            }
+        });
+
+        // 合并双方的删除标记
+        const deleted = new Map(this.get('deletedSessions', []).map(mark => [mark.id, mark.deletedAt]));
+        (remote.deletedSessions || []).forEach(mark => {
+            if (mark && mark.id && !(deleted.get(mark.id) >= mark.deletedAt)) {
+                deleted.set(mark.id, mark.deletedAt);
+            }
+        });
+
+        const modifiedAt = (session) => session.updatedAt || session.timestamp || 0;
+        const isDeleted = (session) => deleted.has(session.id) && deleted.get(session.id) >= modifiedAt(session);
+
+        const byId = new Map(this.sessions.map(session => [session.id, session]));
+        const changed = [];
+        this.normalizeSessions(remote.sessions).forEach(session => {
+            if (isDeleted(session)) return;
+            const local = byId.get(session.id);
+            if (!local) {
+                result.added++;
+            } else if (modifiedAt(session) > modifiedAt(local)) {
+                result.updated++;
+            } else {
+                return;
+            }
+            byId.set(session.id, session);
+            changed.push(session);
+        });
+
+        const removedIds = [...byId.values()].filter(isDeleted).map(session => session.id);
+        removedIds.forEach(id => byId.delete(id));
+        result.removed = removedIds.length;
+
+        if (changed.length > 0) {
+            await this.sessionBackend.putMany(changed);
+        }
+        if (removedIds.length > 0) {
+            await this.sessionBackend.deleteMany(removedIds);
+            this.removeFromRetryQueue(removedIds);
+        }
+        this.sessions = [...byId.values()].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+        this.set('deletedSessions', [...deleted].map(([id, deletedAt]) => ({ id, deletedAt })));
+
+        // 合并已解锁的成就
+        const stats = this.getStats();
+        stats.achievements = [...new Set([...(stats.achievements || []), ...(remote.achievements || [])])];
+        this.set('stats', stats);
+        this.recalculateStats();
+
+        return result;
+    }
+
     // === 工具方法 ===
 
+    // 比较版本号（a > b 返回1，相等返回0，a < b 返回-1）
+    compareVersions(a, b) {
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff > 0 ? 1 : -1;
+        }
+        return 0;
+    }
+
     // 生成唯一ID
     generateId() {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
@@ -463,24 +1770,84 @@ class Storage {
 
     // 获取存储大小（估算）
     getStorageSize() {
+        let total = this.getLocalStorageSize();
+        // IndexedDB中的训练记录按JSON长度估算
+        if (this.isIndexedDB()) {
+            total += JSON.stringify(this.sessions).length;
+        }
+        return total; // 返回字符数
+    }
+
+    // localStorage中本应用数据的字符数
+    getLocalStorageSize() {
         let total = 0;
         for (let key in localStorage) {
             if (key.startsWith(this.prefix)) {
                 total += localStorage[key].length;
             }
         }
-        return total; // 返回字符数
+        return total;
+    }
+
+    // 估算存储用量和上限
+    // 训练记录在IndexedDB中时使用 navigator.storage.estimate()，否则按localStorage字符数估算；
+    // IndexedDB模式下设置、删除标记等仍保存在localStorage（上限约5MB），两者都检查，返回用量比例较高的一方
+    async getQuotaEstimate() {
+        if (this.isIndexedDB() && navigator.storage && navigator.storage.estimate) {
+            try {
+                const { usage, quota } = await navigator.storage.estimate();
+                if (quota) {
+                    const estimate = { usage: usage || 0, quota, source: 'estimate' };
+                    const local = { usage: this.getLocalStorageSize(), quota: this.localStorageQuota, source: 'localStorage' };
+                    return local.usage / local.quota > estimate.usage / estimate.quota ? local : estimate;
+                }
+            } catch (error) {
+                console.warn('Storage estimate unavailable:', error);
+            }
+        }
+        return { usage: this.getStorageSize(), quota: this.localStorageQuota, source: 'localStorage' };
+    }
+
+    // 存储用量状态，level: ok / warning（超过80%）/ critical（超过95%）
+    async getQuotaStatus() {
+        const estimate = await this.getQuotaEstimate();
+        const ratio = estimate.quota > 0 ? estimate.usage / estimate.quota : 0;
+        let level = 'ok';
+        if (ratio >= this.quotaCriticalRatio) {
+            level = 'critical';
+        } else if (ratio >= this.quotaWarningRatio) {
+            level = 'warning';
+        }
+
+        this.quotaStatus = { ...estimate, ratio, level };
+        return this.quotaStatus;
+    }
+
+    // 检查存储用量，接近上限时触发 storageQuotaWarning 事件
+    async checkQuota() {
+        await this.getQuotaStatus();
+        if (this.quotaStatus.level !== 'ok') {
+            window.dispatchEvent(new CustomEvent('storageQuotaWarning', {
+                detail: this.quotaStatus
+            }));
+        }
+        return this.quotaStatus;
     }
 
     // 格式化存储大小
     formatStorageSize() {
-        const size = this.getStorageSize();
+        return this.formatBytes(this.getStorageSize());
+    }
+
+    formatBytes(size) {
         if (size < 1024) {
             return size + ' bytes';
         } else if (size < 1024 * 1024) {
             return Math.round(size / 1024 * 100) / 100 + ' KB';
-        } else {
+        } else if (size < 1024 * 1024 * 1024) {
             return Math.round(size / (1024 * 1024) * 100) / 100 + ' MB';
+        } else {
+            return Math.round(size / (1024 * 1024 * 1024) * 100) / 100 + ' GB';
         }
     }
 }
@@ -0,0 +1,252 @@
+/**
+ * PelvicFit Mini - 设备同步模块
+ * 用户自己的两台设备通过WebRTC数据通道直接连接，互相合并训练记录和设置，不经过任何云服务。
+ *
+ * 配对（信令）只交换两条消息：发起方的 offer 和加入方的 answer。
+ * 本模块只生成和接收这两条消息，由调用方负责传递（界面中通过二维码，见 transfer.js）。
+ * 不配置STUN/TURN服务器，两台设备需要在同一局域网内。
+ *
+ * 连接后双方各自发送本设备的数据（Storage.getSyncState），收到对方的全部数据后
+ * 按写入时间合并（Storage.applySyncState），双方都合并完成即同步结束。
+ * 设置逐项合并，声音、语音等只属于本设备的设置（Storage.deviceSettings）不同步。
+ */
+
+class PeerSync {
+    constructor() {
+        this.protocol = 2; // 2：设置按项合并
+        this.channelLabel = 'pelvicfit-sync';
+        this.batchSize = 200; // 每条消息携带的训练记录数（数据通道单条消息大小有限）
+        this.gatherTimeout = 5000; // 等待收集网络候选地址的最长时间（毫秒）
+        this.connectTimeout = 30000; // 配对后等待连接建立的最长时间（毫秒）
+
+        this.pc = null;
+        this.channel = null;
+        this.connectTimer = null;
+        this.resetState();
+    }
+
+    resetState() {
+        this.status = 'idle'; // idle / pairing / connecting / syncing / completed / failed
+        this.remoteState = null;
+        this.localApplied = false;
+        this.remoteApplied = false;
+        this.result = null;
+    }
+
+    isSupported() {
+        return 'RTCPeerConnection' in window;
+    }
+
+    isActive() {
+        return ['pairing', 'connecting', 'syncing'].includes(this.status);
+    }
+
+    // === 配对 ===
+
+    // 发起方：创建连接和数据通道，返回需要传给另一台设备的 offer
+    async createOffer() {
+        this.close();
+        this.createPeerConnection();
+        this.setupChannel(this.pc.createDataChannel(this.channelLabel, { ordered: true }));
+
+        await this.pc.setLocalDescription(await this.pc.createOffer());
+        await this.waitForIceGathering();
+        return { type: 'pelvicfit-sync-offer', protocol: this.protocol, sdp: this.pc.localDescription.sdp };
+    }
+
+    // 加入方：接受 offer，返回需要传回发起方的 answer
+    async acceptOffer(offer) {
+        this.validateSignal(offer, 'pelvicfit-sync-offer');
+        this.close();
+        this.createPeerConnection();
+        this.pc.ondatachannel = (event) => {
+            if (event.channel.label === this.channelLabel) {
+                this.setupChannel(event.channel);
+            }
+        };
+
+        await this.pc.setRemoteDescription({ type: 'offer', sdp: offer.sdp });
+        await this.pc.setLocalDescription(await this.pc.createAnswer());
+        await this.waitForIceGathering();
+        this.startConnectTimer();
+        return { type: 'pelvicfit-sync-answer', protocol: this.protocol, sdp: this.pc.localDescription.sdp };
+    }
+
+    // 发起方：接受 answer 后开始建立连接
+    async acceptAnswer(answer) {
+        this.validateSignal(answer, 'pelvicfit-sync-answer');
+        if (!this.pc) {
+            throw new Error('not_paired');
+        }
+        await this.pc.setRemoteDescription({ type: 'answer', sdp: answer.sdp });
+        this.startConnectTimer();
+    }
+
+    validateSignal(message, type) {
+        if (!message || message.type !== type || typeof message.sdp !== 'string') {
+            throw new Error('invalid_code');
+        }
+        if (message.protocol !== this.protocol) {
+            throw new Error('version_mismatch');
+        }
+    }
+
+    createPeerConnection() {
+        this.resetState();
+        this.setStatus('pairing');
+        // 不使用STUN/TURN服务器，只通过局域网地址连接
+        this.pc = new RTCPeerConnection({ iceServers: [] });
+        this.pc.oniceconnectionstatechange = () => {
+            if (this.pc && this.pc.iceConnectionState === 'failed') {
+                this.fail('connection_failed');
+            }
+        };
+    }
+
+    // 等待候选地址收集完成，使 offer/answer 一次传递即可连接
+    waitForIceGathering() {
+        return new Promise(resolve => {
+            const pc = this.pc;
+            if (pc.iceGatheringState === 'complete') {
+                resolve();
+                return;
+            }
+            const done = () => {
+                clearTimeout(timer);
+                pc.removeEventListener('icegatheringstatechange', onChange);
+                resolve();
+            };
+            const onChange = () => {
+                if (pc.iceGatheringState === 'complete') done();
+            };
+            const timer = setTimeout(done, this.gatherTimeout);
+            pc.addEventListener('icegatheringstatechange', onChange);
+        });
+    }
+
+    startConnectTimer() {
+        this.setStatus('connecting');
+        clearTimeout(this.connectTimer);
+        this.connectTimer = setTimeout(() => {
+            if (this.status === 'connecting') {
+                this.fail('connection_failed');
+            }
+        }, this.connectTimeout);
+    }
+
+    // === 数据交换 ===
+
+    setupChannel(channel) {
+        this.channel = channel;
+        channel.onopen = () => {
+            clearTimeout(this.connectTimer);
+            this.setStatus('syncing');
+            this.sendState().catch(error => {
+                console.error('Sync send error:', error);
+                this.fail('failed');
+            });
+        };
+        channel.onmessage = (event) => {
+            this.handleMessage(event.data).catch(error => {
+                console.error('Sync error:', error);
+                this.fail('failed');
+            });
+        };
+        channel.onclose = () => {
+            if (this.isActive()) {
+                this.fail('connection_lost');
+            }
+        };
+    }
+
+    send(message) {
+        this.channel.send(JSON.stringify(message));
+    }
+
+    // 发送本设备的数据：先发送版本和键值，训练记录分批发送，最后发送结束标记
+    async sendState() {
+        const { sessions, ...state } = await window.storage.getSyncState();
+        this.send({ type: 'state', protocol: this.protocol, ...state, sessionCount: sessions.length });
+        for (let i = 0; i < sessions.length; i += this.batchSize) {
+            this.send({ type: 'sessions', sessions: sessions.slice(i, i + this.batchSize) });
+        }
+        this.send({ type: 'end' });
+    }
+
+    async handleMessage(text) {
+        const message = JSON.parse(text);
+        switch (message.type) {
+            case 'state':
+                // 两台设备的数据版本必须一致，否则先更新应用
+                if (message.protocol !== this.protocol || message.version !== window.storage.version) {
+                    this.send({ type: 'error', reason: 'version_mismatch' });
+                    this.fail('version_mismatch');
+                    return;
+                }
+                this.remoteState = { ...message, sessions: [] };
+                break;
+            case 'sessions':
+                if (this.remoteState) {
+                    this.remoteState.sessions.push(...(message.sessions || []));
+                }
+                break;
+            case 'end':
+                if (!this.remoteState) return;
+                this.result = await window.storage.applySyncState(this.remoteState);
+                this.remoteState = null;
+                this.localApplied = true;
+                this.send({ type: 'applied' });
+                this.checkCompleted();
+                break;
+            case 'applied':
+                this.remoteApplied = true;
+                this.checkCompleted();
+                break;
+            case 'error':
+                this.fail(message.reason || 'failed');
+                break;
+        }
+    }
+
+    // 双方都合并完成后关闭连接
+    checkCompleted() {
+        if (!this.localApplied || !this.remoteApplied) return;
+        const result = this.result;
+        this.setStatus('completed', { result });
+        this.close(false);
+        window.dispatchEvent(new CustomEvent('syncCompleted', { detail: result }));
+    }
+
+    fail(reason) {
+        if (this.status === 'failed' || this.status === 'completed') return;
+        this.setStatus('failed', { error: reason });
+        this.close(false);
+    }
+
+    setStatus(status, detail = {}) {
+        this.status = status;
+        window.dispatchEvent(new CustomEvent('syncStatus', { detail: { status, ...detail } }));
+    }
+
+    // 关闭连接；reset 为true时同时清除状态（如用户取消）
+    close(reset = true) {
+        clearTimeout(this.connectTimer);
+        this.connectTimer = null;
+        if (this.channel) {
+            this.channel.onclose = null;
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this.pc) {
+            this.pc.oniceconnectionstatechange = null;
+            this.pc.close();
+            this.pc = null;
+        }
+        if (reset) {
+            this.resetState();
+        }
+    }
+}
+
+// 创建全局实例
+window.peerSync = new PeerSync();
\ No newline at end of file
@@ -0,0 +1,235 @@
+/**
+ * PelvicFit Mini - 设备间传输模块
+ * 旧设备将 exportData() 的数据压缩（可选加密）后拆分为一组循环播放的二维码，
+ * 新设备用摄像头扫描、重新拼接后交给导入流程。全程离线，不经过任何服务器。
+ *
+ * 每个二维码的内容：PFT1|传输ID|序号|总数|标记|数据片段
+ * 标记：z 表示数据经gzip压缩；数据片段为base64
+ * 设置传输密码时传输的是加密备份（见 Storage.encryptBackup），接收后按加密备份导入
+ */
+
+class DeviceTransfer {
+    constructor() {
+        this.prefix = 'PFT1';
+        this.chunkSize = 400; // 每个二维码携带的base64字符数（加上帧头约420字节，版本16-M，81×81模块）
+        this.frameInterval = 600; // 二维码切换间隔（毫秒）
+        this.scanInterval = 150; // 扫描间隔（毫秒）
+
+        // 发送端
+        this.frames = [];
+        this.displayTimer = null;
+
+        // 接收端
+        this.stream = null;
+        this.scanTimer = null;
+        this.resetReceiver();
+    }
+
+    isActive() {
+        return this.displayTimer !== null || this.stream !== null;
+    }
+
+    isScanSupported() {
+        return 'BarcodeDetector' in window && !!navigator.mediaDevices && !!navigator.mediaDevices.getUserMedia;
+    }
+
+    // === 发送端 ===
+
+    // 生成传输全部数据的二维码内容；设置密码时使用加密备份格式（加密前已压缩）
+    async createFrames(password = null) {
+        let data = window.storage.exportData();
+        if (password) {
+            data = await window.storage.encryptBackup(data, password, true);
+        }
+        return this.encodeFrames(data);
+    }
+
+    // 把任意可JSON序列化的数据拆分为二维码内容（也用于设备同步的配对信息）
+    async encodeFrames(data) {
+        const storage = window.storage;
+        let bytes = new TextEncoder().encode(JSON.stringify(data));
+        let flags = '';
+        if (storage.isCompressionSupported()) {
+            bytes = await storage.compress(bytes);
+            flags += 'z';
+        }
+
+        const payload = window.cryptoUtils.toBase64(bytes);
+        const id = Math.random().toString(36).substr(2, 6);
+        const total = Math.ceil(payload.length / this.chunkSize);
+        const frames = [];
+        for (let i = 0; i < total; i++) {
+            const chunk = payload.substr(i * this.chunkSize, this.chunkSize);
+            frames.push([this.prefix, id, i, total, flags, chunk].join('|'));
+        }
+        return frames;
+    }
+
+    // 生成并循环显示传输全部数据的二维码
+    async startSending(canvas, password = null, onFrame = null) {
+        this.stopSending();
+        return this.displayFrames(canvas, await this.createFrames(password), onFrame);
+    }
+
+    // 在画布上循环显示二维码；onFrame(index, total) 用于更新进度
+    displayFrames(canvas, frames, onFrame = null) {
+        this.stopSending();
+        this.frames = frames;
+
+        let index = 0;
+        const show = () => {
+            window.qrEncoder.drawToCanvas(canvas, this.frames[index]);
+            if (onFrame) {
+                onFrame(index, this.frames.length);
+            }
+            index = (index + 1) % this.frames.length;
+        };
+        show();
+        this.displayTimer = setInterval(show, this.frameInterval);
+        return this.frames.length;
+    }
+
+    stopSending() {
+        if (this.displayTimer) {
+            clearInterval(this.displayTimer);
+            this.displayTimer = null;
+        }
+        this.frames = [];
+    }
+
+    // === 接收端 ===
+
+    resetReceiver() {
+        this.transferId = null;
+        this.total = 0;
+        this.flags = '';
+        this.chunks = new Map();
+    }
+
+    // 解析单个二维码内容，不是传输二维码时返回null
+    parseFrame(text) {
+        const parts = typeof text === 'string' ? text.split('|') : [];
+        if (parts.length !== 6 || parts[0] !== this.prefix) return null;
+
+        const index = parseInt(parts[2], 10);
+        const total = parseInt(parts[3], 10);
+        if (isNaN(index) || isNaN(total) || total <= 0 || index < 0 || index >= total) return null;
+
+        return { id: parts[1], index, total, flags: parts[4], chunk: parts[5] };
+    }
+
+    // 记录扫描到的二维码，返回接收进度
+    addFrame(text) {
+        const frame = this.parseFrame(text);
+        if (!frame) return null;
+
+        // 发送端重新开始时会生成新的传输ID，丢弃旧的片段
+        if (frame.id !== this.transferId) {
+            this.resetReceiver();
+            this.transferId = frame.id;
+            this.total = frame.total;
+            this.flags = frame.flags;
+        }
+        this.chunks.set(frame.index, frame.chunk);
+
+        return { received: this.chunks.size, total: this.total, complete: this.chunks.size === this.total };
+    }
+
+    // 拼接所有片段并还原数据
+    async assemble() {
+        if (!this.total || this.chunks.size !== this.total) {
+            throw new Error('incomplete');
+        }
+
+        let payload = '';
+        for (let i = 0; i < this.total; i++) {
+            payload += this.chunks.get(i);
+        }
+
+        let bytes = window.cryptoUtils.fromBase64(payload);
+        if (this.flags.includes('z')) {
+            if (!window.storage.isCompressionSupported()) {
+                throw new Error('compression_unsupported');
+            }
+            bytes = await window.storage.decompress(bytes);
+        }
+
+        try {
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error('invalid_data');
+        }
+    }
+
+    // 打开后置摄像头并持续扫描，直到所有片段接收完成
+    // onProgress({ received, total }) 每扫描到传输二维码时调用；onComplete(data) 收到完整数据时调用
+    async startReceiving(video, onProgress, onComplete, onError) {
+        this.stopReceiving();
+        this.resetReceiver();
+
+        if (!this.isScanSupported()) {
+            throw new Error('scan_unsupported');
+        }
+
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+        } catch (error) {
+            console.warn('Camera error:', error);
+            throw new Error('camera_denied');
+        }
+        video.srcObject = this.stream;
+        await video.play();
+
+        const scan = async () => {
+            if (!this.stream) return;
+            try {
+                const codes = await detector.detect(video);
+                let progress = null;
+                codes.forEach(code => {
+                    progress = this.addFrame(code.rawValue) || progress;
+                });
+
+                if (progress && onProgress) {
+                    onProgress(progress);
+                }
+                if (progress && progress.complete) {
+                    const data = await this.assemble();
+                    this.stopReceiving();
+                    onComplete(data);
+                    return;
+                }
+            } catch (error) {
+                console.warn('Transfer scan error:', error);
+                if (error.message === 'compression_unsupported' || error.message === 'invalid_data') {
+                    this.stopReceiving();
+                    if (onError) onError(error);
+                    return;
+                }
+            }
+            if (this.stream) {
+                this.scanTimer = setTimeout(scan, this.scanInterval);
+            }
+        };
+        scan();
+    }
+
+    stopReceiving() {
+        if (this.scanTimer) {
+            clearTimeout(this.scanTimer);
+            this.scanTimer = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    stop() {
+        this.stopSending();
+        this.stopReceiving();
+    }
+}
+
+// 创建全局实例
+window.transfer = new DeviceTransfer();
\ No newline at end of file
@@ -8,6 +8,18 @@ class UI {
         this.currentPage = 'home';
         this.isInitialized = false;
         this.chartInstance = null;
+        this.editingPlanId = null; // 正在编辑的自定义计划
+        this.statsPeriod = 'week'; // 统计周期：week / month / year
+        this.statsMetric = 'sessions'; // 图表指标：sessions / minutes / contractions
+        this.heatmapOffset = 0; // 日历热力图显示的月份（0为本月，1为上个月……）
+        this.heatmapSelectedDate = null;
+        this.editingSessionId = null; // 正在查看的训练记录
+        this.quotaWarningLevel = null; // 本次启动已提醒过的存储用量级别
+        this.lockDialogMode = null; // 应用锁对话框：enable / disable
+        this.backupPasswordMode = null; // 备份密码对话框：export / import
+        this.pendingEncryptedBackup = null; // 等待输入密码的加密备份
+        this.transferMode = null; // 设备传输对话框模式：send / receive
+        this.pendingResume = null; // 等待用户选择的中断训练快照
         
         this.init();
     }
@@ -103,111 +115,1434 @@ class UI {
         // 设置页面
         this.setupSettings();
 
+        // 训练记录
+        this.setupHistory();
+
+        // 训练报告
+        this.setupReport();
+
         // 对话框
         this.setupDialog();
 
-        // 监听应用事件
-        this.setupAppEventListeners();
+        // 监听应用事件
+        this.setupAppEventListeners();
+    }
+
+    setupNavigation() {
+        // 底部导航
+        const navBtns = document.querySelectorAll('.nav-btn');
+        navBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const page = btn.getAttribute('data-page');
+                this.navigateTo(page);
+            });
+        });
+    }
+
+    setupPlanSelection() {
+        const planCards = document.querySelectorAll('.plan-card');
+        planCards.forEach(card => {
+            card.addEventListener('click', () => {
+                const planName = card.getAttribute('data-plan');
+                this.startExerciseWithPlan(planName);
+            });
+        });
+
+        const customPlanBtn = document.getElementById('custom-plan-btn');
+        if (customPlanBtn) {
+            customPlanBtn.addEventListener('click', () => this.showCustomPlanDialog());
+        }
+    }
+
+    setupExerciseControls() {
+        // 音效控制
+        const soundToggle = document.getElementById('sound-toggle');
+        if (soundToggle) {
+            soundToggle.addEventListener('click', this.toggleSound.bind(this));
+        }
+
+        // 震动控制
+        const vibrationToggle = document.getElementById('vibration-toggle');
+        if (vibrationToggle) {
+            vibrationToggle.addEventListener('click', this.toggleVibration.bind(this));
+        }
+
+        // 训练控制
+        const startBtn = document.getElementById('start-btn');
+        const pauseBtn = document.getElementById('pause-btn');
+        const stopBtn = document.getElementById('stop-btn');
+
+        if (startBtn) {
+            startBtn.addEventListener('click', this.handleExerciseStart.bind(this));
+        }
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', this.handleExercisePause.bind(this));
+        }
+        if (stopBtn) {
+            stopBtn.addEventListener('click', this.handleExerciseStop.bind(this));
+        }
+    }
+
+    setupSettings() {
+        // 设置开关
+        const soundSetting = document.getElementById('sound-setting');
+        const vibrationSetting = document.getElementById('vibration-setting');
+
+        if (soundSetting) {
+            soundSetting.addEventListener('change', (e) => {
+                window.storage.setSetting('soundEnabled', e.target.checked);
+                this.triggerSettingsChange({ soundEnabled: e.target.checked });
+            });
+        }
+
+        if (vibrationSetting) {
+            vibrationSetting.addEventListener('change', (e) => {
+                window.storage.setSetting('vibrationEnabled', e.target.checked);
+                this.triggerSettingsChange({ vibrationEnabled: e.target.checked });
+            });
+        }
+
+        const backgroundSetting = document.getElementById('background-setting');
+        if (backgroundSetting) {
+            backgroundSetting.addEventListener('change', (e) => {
+                window.storage.setSetting('backgroundMode', e.target.checked);
+                this.triggerSettingsChange({ backgroundMode: e.target.checked });
+            });
+        }
+
+        // 每天的开始时间
+        const dayBoundarySetting = document.getElementById('day-boundary-setting');
+        if (dayBoundarySetting) {
+            dayBoundarySetting.addEventListener('change', (e) => {
+                const hour = parseInt(e.target.value) || 0;
+                window.storage.setSetting('dayBoundaryHour', hour);
+                // "今天"可能改变，重新计算连续天数
+                window.storage.recalculateStats();
+                this.triggerSettingsChange({ dayBoundaryHour: hour });
+            });
+        }
+
+        // 提示音主题和音量
+        this.setupSoundSettings();
+
+        // 语音指导
+        this.setupVoiceSettings();
+
+        // 训练提醒
+        this.setupReminderSettings();
+
+        // 数据管理按钮
+        const exportDataBtn = document.getElementById('export-data-btn');
+        const clearDataBtn = document.getElementById('clear-data-btn');
+
+        if (exportDataBtn) {
+            exportDataBtn.addEventListener('click', this.exportData.bind(this));
+        }
+
+        // 加密备份
+        this.setupBackupPassword();
+
+        // 二维码设备传输
+        this.setupTransfer();
+
+        // 设备间同步
+        this.setupSync();
+
+        const exportCsvBtn = document.getElementById('export-csv-btn');
+        const exportIcsBtn = document.getElementById('export-ics-btn');
+        if (exportCsvBtn) {
+            exportCsvBtn.addEventListener('click', () => this.exportHistory('csv'));
+        }
+        if (exportIcsBtn) {
+            exportIcsBtn.addEventListener('click', () => this.exportHistory('ics'));
+        }
+
+        // 数据导入
+        this.setupImport();
+
+        // 存储空间提醒和归档
+        this.setupStorageWarnings();
+
+        // 应用锁
+        this.setupAppLock();
+        if (clearDataBtn) {
+            clearDataBtn.addEventListener('click', this.showClearDataDialog.bind(this));
+        }
+
+        // 退出训练方案
+        const leaveProgramBtn = document.getElementById('leave-program-btn');
+        if (leaveProgramBtn) {
+            leaveProgramBtn.addEventListener('click', this.showLeaveProgramDialog.bind(this));
+        }
+
+        // 统计周期选择
+        const statsPeriod = document.getElementById('stats-period');
+        if (statsPeriod) {
+            statsPeriod.addEventListener('change', (e) => {
+                this.updateStatsView(e.target.value);
+            });
+        }
+
+        // 图表指标选择
+        const statsMetric = document.getElementById('stats-metric');
+        if (statsMetric) {
+            statsMetric.addEventListener('change', (e) => {
+                this.statsMetric = e.target.value;
+                this.renderChart();
+                this.renderHeatmap();
+            });
+        }
+
+        // 日历热力图翻页
+        const heatmapPrev = document.getElementById('heatmap-prev');
+        const heatmapNext = document.getElementById('heatmap-next');
+        if (heatmapPrev) {
+            heatmapPrev.addEventListener('click', () => this.changeHeatmapMonth(1));
+        }
+        if (heatmapNext) {
+            heatmapNext.addEventListener('click', () => this.changeHeatmapMonth(-1));
+        }
+    }
+
+    setupHistory() {
+        const openHistoryBtn = document.getElementById('open-history-btn');
+        if (openHistoryBtn) {
+            openHistoryBtn.addEventListener('click', () => this.navigateTo('history'));
+        }
+
+        ['history-plan-filter', 'history-status-filter', 'history-start-date', 'history-end-date'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('change', () => this.renderHistory());
+            }
+        });
+
+        // 补记训练
+        ['log-session-btn', 'history-log-btn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', this.showLogSessionDialog.bind(this));
+            }
+        });
+
+        const logDialog = document.getElementById('log-session-dialog');
+        const logCancel = document.getElementById('log-cancel');
+        const logSave = document.getElementById('log-save');
+        const logPlan = document.getElementById('log-plan');
+
+        if (logCancel) {
+            logCancel.addEventListener('click', this.hideLogSessionDialog.bind(this));
+        }
+        if (logSave) {
+            logSave.addEventListener('click', this.saveLoggedSession.bind(this));
+        }
+        if (logPlan) {
+            logPlan.addEventListener('change', this.fillLogSessionFromPlan.bind(this));
+        }
+        if (logDialog) {
+            logDialog.addEventListener('click', (e) => {
+                if (e.target === logDialog) {
+                    this.hideLogSessionDialog();
+                }
+            });
+        }
+
+        const historyList = document.getElementById('history-list');
+        if (historyList) {
+            historyList.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-session-id]');
+                if (item) {
+                    this.showSessionDialog(item.getAttribute('data-session-id'));
+                }
+            });
+        }
+
+        const sessionDialog = document.getElementById('session-dialog');
+        const sessionCancel = document.getElementById('session-cancel');
+        const sessionSave = document.getElementById('session-save');
+        const sessionDelete = document.getElementById('session-delete');
+
+        if (sessionCancel) {
+            sessionCancel.addEventListener('click', this.hideSessionDialog.bind(this));
+        }
+        if (sessionSave) {
+            sessionSave.addEventListener('click', this.saveSessionFromDialog.bind(this));
+        }
+        if (sessionDelete) {
+            sessionDelete.addEventListener('click', this.deleteSessionFromDialog.bind(this));
+        }
+        if (sessionDialog) {
+            sessionDialog.addEventListener('click', (e) => {
+                if (e.target === sessionDialog) {
+                    this.hideSessionDialog();
+                }
+            });
+        }
+    }
+
+    setupReport() {
+        const openReportBtn = document.getElementById('open-report-btn');
+        if (openReportBtn) {
+            openReportBtn.addEventListener('click', () => this.navigateTo('report'));
+        }
+
+        ['report-start-date', 'report-end-date'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.renderReport());
+            }
+        });
+
+        const printBtn = document.getElementById('report-print-btn');
+        if (printBtn) {
+            printBtn.addEventListener('click', () => window.print());
+        }
+    }
+
+    setupReminderSettings() {
+        const reminderSetting = document.getElementById('reminder-setting');
+        const skipSetting = document.getElementById('reminder-skip-setting');
+        const addTimeBtn = document.getElementById('add-reminder-time-btn');
+        const timesList = document.getElementById('reminder-times');
+        const weekdayPicker = document.getElementById('reminder-weekdays');
+        const permissionBtn = document.getElementById('reminder-permission-btn');
+
+        if (reminderSetting) {
+            reminderSetting.addEventListener('change', async (e) => {
+                this.updateReminderSetting('reminderEnabled', e.target.checked);
+                // 开启提醒时请求通知权限，拒绝后使用应用内横幅
+                if (e.target.checked && window.reminder && window.reminder.getPermission() === 'default') {
+                    await window.reminder.requestPermission();
+                    this.renderReminderSettings();
+                }
+            });
+        }
+
+        if (skipSetting) {
+            skipSetting.addEventListener('change', (e) => {
+                this.updateReminderSetting('reminderSkipIfDone', e.target.checked);
+            });
+        }
+
+        if (addTimeBtn) {
+            addTimeBtn.addEventListener('click', () => {
+                const times = window.reminder.getConfig().times;
+                // 默认在最后一个提醒后1小时
+                const last = times.length > 0 ? times[times.length - 1] : '08:00';
+                const nextHour = Math.min(parseInt(last.split(':')[0], 10) + 1, 23);
+                const newTime = `${String(nextHour).padStart(2, '0')}:${last.split(':')[1]}`;
+                this.updateReminderSetting('reminderTimes', [...times, newTime]);
+            });
+        }
+
+        if (timesList) {
+            timesList.addEventListener('change', (e) => {
+                if (!e.target.matches('.time-input') || !e.target.value) return;
+                const times = window.reminder.getConfig().times;
+                times[parseInt(e.target.getAttribute('data-index'), 10)] = e.target.value;
+                this.updateReminderSetting('reminderTimes', times);
+            });
+
+            timesList.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.reminder-time-remove');
+                if (!removeBtn) return;
+                const times = window.reminder.getConfig().times;
+                times.splice(parseInt(removeBtn.getAttribute('data-index'), 10), 1);
+                this.updateReminderSetting('reminderTimes', times);
+            });
+        }
+
+        if (weekdayPicker) {
+            weekdayPicker.addEventListener('click', (e) => {
+                const chip = e.target.closest('.weekday-chip');
+                if (!chip) return;
+                const day = parseInt(chip.getAttribute('data-day'), 10);
+                const weekdays = window.reminder.getConfig().weekdays;
+                const updated = weekdays.includes(day) ?
+                    weekdays.filter(d => d !== day) : [...weekdays, day].sort();
+                this.updateReminderSetting('reminderDays', updated);
+            });
+        }
+
+        if (permissionBtn) {
+            permissionBtn.addEventListener('click', async () => {
+                await window.reminder.requestPermission();
+                this.renderReminderSettings();
+            });
+        }
+
+        // 应用内提醒横幅
+        const bannerStart = document.getElementById('reminder-banner-start');
+        const bannerClose = document.getElementById('reminder-banner-close');
+        if (bannerStart) {
+            bannerStart.addEventListener('click', () => {
+                this.hideReminderBanner();
+                this.quickStartExercise();
+            });
+        }
+        if (bannerClose) {
+            bannerClose.addEventListener('click', this.hideReminderBanner.bind(this));
+        }
+    }
+
+    setupAppLock() {
+        const lockSetting = document.getElementById('lock-setting');
+        const biometricSetting = document.getElementById('lock-biometric-setting');
+        const autoLockSetting = document.getElementById('auto-lock-setting');
+        const lockNowBtn = document.getElementById('lock-now-btn');
+        const lockForm = document.getElementById('lock-dialog-form');
+        const lockCancel = document.getElementById('lock-dialog-cancel');
+
+        if (lockSetting) {
+            lockSetting.addEventListener('change', (e) => {
+                // 确认PIN后才切换，先恢复开关状态
+                const enable = e.target.checked;
+                e.target.checked = !enable;
+                this.showLockDialog(enable ? 'enable' : 'disable');
+            });
+        }
+
+        if (biometricSetting) {
+            biometricSetting.addEventListener('change', async (e) => {
+                if (e.target.checked) {
+                    try {
+                        await window.appLock.enableBiometric();
+                        this.showToast(window.i18n ? window.i18n.t('lock.biometric_enabled') : '已启用指纹或面容解锁');
+                    } catch (error) {
+                        console.warn('Biometric unlock setup failed:', error);
+                        this.showToast(window.appLock.getErrorMessage(error));
+                    }
+                } else {
+                    window.appLock.disableBiometric();
+                }
+                this.renderLockSettings();
+            });
+        }
+
+        if (autoLockSetting) {
+            autoLockSetting.addEventListener('change', (e) => {
+                window.appLock.setAutoLockMinutes(parseInt(e.target.value));
+            });
+        }
+
+        if (lockNowBtn) {
+            lockNowBtn.addEventListener('click', () => window.appLock.lock());
+        }
+
+        if (lockForm) {
+            lockForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitLockDialog();
+            });
+        }
+        if (lockCancel) {
+            lockCancel.addEventListener('click', () => this.hideLockDialog());
+        }
+    }
+
+    setupSoundSettings() {
+        const themeSetting = document.getElementById('sound-theme-setting');
+        const holdTickSetting = document.getElementById('hold-tick-setting');
+        const cueVolumes = document.getElementById('cue-volumes');
+
+        if (themeSetting) {
+            themeSetting.addEventListener('change', (e) => {
+                window.storage.setSetting('soundTheme', e.target.value);
+                this.triggerSettingsChange({ soundTheme: e.target.value });
+                if (window.audioEngine) window.audioEngine.play('contract');
+            });
+        }
+        if (holdTickSetting) {
+            holdTickSetting.addEventListener('change', (e) => {
+                window.storage.setSetting('holdTick', e.target.checked);
+                this.triggerSettingsChange({ holdTick: e.target.checked });
+            });
+        }
+        if (cueVolumes) {
+            // 调整后播放该提示音试听
+            cueVolumes.addEventListener('change', (e) => {
+                const cue = e.target.dataset.cue;
+                if (!cue) return;
+                const volumes = { ...window.storage.getSetting('cueVolumes', {}), [cue]: parseFloat(e.target.value) };
+                window.storage.setSetting('cueVolumes', volumes);
+                this.triggerSettingsChange({ cueVolumes: volumes });
+                if (window.audioEngine) window.audioEngine.play(cue);
+            });
+        }
+
+        window.addEventListener('languageChanged', () => this.renderSoundSettings());
+    }
+
+    renderSoundSettings() {
+        const engine = window.audioEngine;
+        if (!engine) return;
+
+        const themeSetting = document.getElementById('sound-theme-setting');
+        if (themeSetting) {
+            themeSetting.value = engine.getTheme();
+        }
+        const holdTickSetting = document.getElementById('hold-tick-setting');
+        if (holdTickSetting) {
+            holdTickSetting.checked = window.storage.getSetting('holdTick', false);
+        }
+
+        const cueVolumes = document.getElementById('cue-volumes');
+        if (cueVolumes) {
+            cueVolumes.innerHTML = engine.cues.map(cue => `
+                <div class="cue-volume-row">
+                    <label for="cue-volume-${cue}">${this.t(`sound.cues.${cue}`, cue)}</label>
+                    <input type="range" id="cue-volume-${cue}" class="setting-range" data-cue="${cue}"
+                        min="0" max="1" step="0.1" value="${engine.getCueVolume(cue)}">
+                </div>
+            `).join('');
+        }
+    }
+
+    setupVoiceSettings() {
+        const levelSetting = document.getElementById('voice-level-setting');
+        const voiceSetting = document.getElementById('voice-name-setting');
+        const rateSetting = document.getElementById('voice-rate-setting');
+        const volumeSetting = document.getElementById('voice-volume-setting');
+        const testBtn = document.getElementById('voice-test-btn');
+
+        if (levelSetting) {
+            levelSetting.addEventListener('change', (e) => {
+                window.storage.setSetting('voiceLevel', e.target.value);
+                this.triggerSettingsChange({ voiceLevel: e.target.value });
+                this.renderVoiceSettings();
+            });
+        }
+        if (voiceSetting) {
+            voiceSetting.addEventListener('change', (e) => {
+                window.storage.setSetting('voiceURI', e.target.value);
+                this.triggerSettingsChange({ voiceURI: e.target.value });
+            });
+        }
+        if (rateSetting) {
+            rateSetting.addEventListener('change', (e) => {
+                const rate = parseFloat(e.target.value) || 1;
+                window.storage.setSetting('voiceRate', rate);
+                this.triggerSettingsChange({ voiceRate: rate });
+            });
+        }
+        if (volumeSetting) {
+            volumeSetting.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                const volume = isNaN(value) ? 1 : value;
+                window.storage.setSetting('voiceVolume', volume);
+                this.triggerSettingsChange({ voiceVolume: volume });
+            });
+        }
+        if (testBtn) {
+            testBtn.addEventListener('click', () => {
+                if (window.voiceCoach) window.voiceCoach.preview();
+            });
+        }
+
+        // 声音列表随语言变化，部分浏览器异步载入
+        window.addEventListener('voicesChanged', () => this.renderVoiceSettings());
+        window.addEventListener('languageChanged', () => this.renderVoiceSettings());
+    }
+
+    renderVoiceSettings() {
+        const voice = window.voiceCoach;
+        const levelSetting = document.getElementById('voice-level-setting');
+        const options = document.getElementById('voice-options');
+        if (!voice || !levelSetting) return;
+
+        const supported = voice.isSupported();
+        const level = voice.getLevel();
+        levelSetting.value = level;
+        levelSetting.disabled = !supported;
+
+        const unsupported = document.getElementById('voice-unsupported');
+        if (unsupported) {
+            unsupported.style.display = supported ? 'none' : '';
+        }
+        if (options) {
+            options.style.display = supported && level !== 'off' ? '' : 'none';
+        }
+        if (!supported) return;
+
+        const voiceSetting = document.getElementById('voice-name-setting');
+        if (voiceSetting) {
+            const current = voice.getVoice();
+            voiceSetting.innerHTML = `<option value="">${this.escapeHtml(this.t('voice.default_voice', '系统默认'))}</option>` +
+                voice.getVoices().map(item =>
+                    `<option value="${this.escapeHtml(item.voiceURI)}">${this.escapeHtml(item.name)}</option>`
+                ).join('');
+            voiceSetting.value = current ? current.voiceURI : '';
+        }
+
+        const rateSetting = document.getElementById('voice-rate-setting');
+        if (rateSetting) {
+            rateSetting.value = String(window.storage.getSetting('voiceRate', 1));
+        }
+        const volumeSetting = document.getElementById('voice-volume-setting');
+        if (volumeSetting) {
+            volumeSetting.value = String(window.storage.getSetting('voiceVolume', 1));
+        }
+    }
+
+    async renderLockSettings() {
+        const lock = window.appLock;
+        const lockSetting = document.getElementById('lock-setting');
+        const options = document.getElementById('lock-options');
+        if (!lock || !lockSetting) return;
+
+        const enabled = lock.isEnabled();
+        lockSetting.checked = enabled;
+        lockSetting.disabled = !lock.isSupported();
+        if (options) {
+            options.style.display = enabled ? '' : 'none';
+        }
+
+        const autoLockSetting = document.getElementById('auto-lock-setting');
+        if (autoLockSetting) {
+            autoLockSetting.value = String(lock.getAutoLockMinutes());
+        }
+
+        const biometricItem = document.getElementById('lock-biometric-item');
+        const biometricSetting = document.getElementById('lock-biometric-setting');
+        const biometricAvailable = await lock.isBiometricAvailable();
+        if (biometricItem) {
+            biometricItem.style.display = biometricAvailable ? '' : 'none';
+        }
+        if (biometricSetting) {
+            biometricSetting.checked = lock.hasBiometric();
+        }
+    }
+
+    // 启用或关闭应用锁前输入PIN
+    async showLockDialog(mode) {
+        const dialog = document.getElementById('lock-dialog');
+        if (!dialog || !window.appLock) return;
+
+        this.lockDialogMode = mode;
+        document.getElementById('lock-dialog-title').textContent = mode === 'enable' ?
+            this.t('lock.enable_title', '设置应用锁') : this.t('lock.disable_title', '关闭应用锁');
+        document.getElementById('lock-dialog-message').textContent = mode === 'enable' ?
+            this.t('lock.enable_message', '设置PIN或密码。打开应用时需要输入，本地数据将加密保存。') :
+            this.t('lock.disable_message', '输入当前PIN或密码，数据将恢复为不加密保存。');
+        document.getElementById('lock-pin').value = '';
+        document.getElementById('lock-pin-confirm').value = '';
+        document.getElementById('lock-dialog-error').textContent = '';
+        document.getElementById('lock-pin-confirm-group').style.display = mode === 'enable' ? '' : 'none';
+
+        const biometricGroup = document.getElementById('lock-dialog-biometric-group');
+        const biometricAvailable = mode === 'enable' && await window.appLock.isBiometricAvailable();
+        biometricGroup.style.display = biometricAvailable ? '' : 'none';
+        document.getElementById('lock-dialog-biometric').checked = false;
+
+        dialog.style.display = 'flex';
+        document.getElementById('lock-pin').focus();
+    }
+
+    hideLockDialog() {
+        const dialog = document.getElementById('lock-dialog');
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+        this.lockDialogMode = null;
+    }
+
+    async submitLockDialog() {
+        const lock = window.appLock;
+        const pin = document.getElementById('lock-pin').value;
+        const errorEl = document.getElementById('lock-dialog-error');
+        const confirmBtn = document.getElementById('lock-dialog-confirm');
+
+        if (this.lockDialogMode === 'enable') {
+            if (pin.length < lock.minPinLength) {
+                errorEl.textContent = this.t('lock.errors.pin_too_short', '至少需要 {{count}} 位', { count: lock.minPinLength });
+                return;
+            }
+            if (pin !== document.getElementById('lock-pin-confirm').value) {
+                errorEl.textContent = this.t('lock.errors.pin_mismatch', '两次输入不一致');
+                return;
+            }
+        }
+
+        confirmBtn.disabled = true;
+        try {
+            if (this.lockDialogMode === 'enable') {
+                const biometric = document.getElementById('lock-dialog-biometric').checked;
+                const result = await lock.enable(pin, { biometric });
+                this.showToast(biometric && !result.biometric ?
+                    this.t('lock.errors.biometric_setup_failed', '应用锁已启用，但未能设置指纹或面容解锁') :
+                    this.t('lock.enabled', '应用锁已启用'));
+            } else {
+                await lock.disable(pin);
+                this.showToast(this.t('lock.disabled', '应用锁已关闭'));
+            }
+            this.hideLockDialog();
+        } catch (error) {
+            console.warn('App lock change failed:', error);
+            errorEl.textContent = lock.getErrorMessage(error);
+        }
+        confirmBtn.disabled = false;
+        this.renderLockSettings();
+    }
+
+    setupStorageWarnings() {
+        const archiveBtn = document.getElementById('archive-sessions-btn');
+        if (archiveBtn) {
+            archiveBtn.addEventListener('click', () => this.archiveOldSessions());
+        }
+
+        const later = document.getElementById('storage-later');
+        const archive = document.getElementById('storage-archive');
+        const exportBtn = document.getElementById('storage-export');
+        if (later) {
+            later.addEventListener('click', () => this.hideStorageDialog());
+        }
+        if (archive) {
+            archive.addEventListener('click', () => {
+                this.hideStorageDialog();
+                this.archiveOldSessions();
+            });
+        }
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.hideStorageDialog();
+                this.exportData();
+            });
+        }
+
+        // 用量接近上限：同一级别每次启动只提醒一次
+        window.addEventListener('storageQuotaWarning', (e) => {
+            const status = e.detail;
+            if (this.quotaWarningLevel === status.level || this.quotaWarningLevel === 'critical') return;
+            this.quotaWarningLevel = status.level;
+            this.showStorageDialog(
+                window.i18n ? window.i18n.t('storage.warning_title') : '存储空间即将用完',
+                window.i18n ? window.i18n.t('storage.warning_message', { percent: Math.round(status.ratio * 100) }) :
+                    `本地存储已使用 ${Math.round(status.ratio * 100)}%，空间用完后新的训练记录将无法保存。建议导出数据并归档旧记录。`
+            );
+        });
+
+        // 训练记录写入失败：记录暂存在内存中并自动重试
+        window.addEventListener('storageWriteFailed', (e) => {
+            this.showStorageDialog(
+                window.i18n ? window.i18n.t('storage.write_failed_title') : '训练记录未能保存',
+                window.i18n ? window.i18n.t('storage.write_failed_message', { count: e.detail.pending }) :
+                    `存储空间不足，${e.detail.pending} 条训练记录暂未保存，应用会自动重试。请导出数据或归档旧记录以释放空间，保存成功前不要关闭应用。`
+            );
+            this.renderStorageUsage();
+        });
+
+        window.addEventListener('storageWriteRecovered', (e) => {
+            this.showToast(window.i18n ? window.i18n.t('storage.write_recovered', { count: e.detail.saved }) :
+                `暂存的 ${e.detail.saved} 条训练记录已保存`);
+            this.renderStorageUsage();
+        });
+    }
+
+    showStorageDialog(title, message) {
+        const dialog = document.getElementById('storage-dialog');
+        const titleEl = document.getElementById('storage-dialog-title');
+        const messageEl = document.getElementById('storage-dialog-message');
+        if (!dialog) return;
+
+        if (titleEl) titleEl.textContent = title;
+        if (messageEl) messageEl.textContent = message;
+        dialog.style.display = 'flex';
+    }
+
+    hideStorageDialog() {
+        const dialog = document.getElementById('storage-dialog');
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+    }
+
+    // 设置页的存储用量
+    async renderStorageUsage() {
+        const fill = document.getElementById('storage-usage-fill');
+        const text = document.getElementById('storage-usage-text');
+        if (!fill || !text || !window.storage) return;
+
+        const status = await window.storage.getQuotaStatus();
+        const percent = Math.min(100, Math.round(status.ratio * 100));
+        fill.style.width = `${percent}%`;
+        fill.classList.toggle('warning', status.level === 'warning');
+        fill.classList.toggle('critical', status.level === 'critical');
+
+        const params = {
+            used: window.storage.formatBytes(status.usage),
+            quota: window.storage.formatBytes(status.quota),
+            percent
+        };
+        text.textContent = window.i18n ? window.i18n.t('storage.usage', params) :
+            `已使用 ${params.used} / ${params.quota}（${percent}%）`;
+    }
+
+    // 归档所选时间之前的训练记录
+    archiveOldSessions() {
+        if (!window.storage) return;
+
+        const select = document.getElementById('archive-age-select');
+        const days = parseInt(select ? select.value : 180);
+        const beforeDate = window.dateUtils.addDays(window.dateUtils.today(), -days);
+        const count = window.storage.getSessions().filter(session => session.date < beforeDate).length;
+
+        if (count === 0) {
+            this.showToast(window.i18n ? window.i18n.t('storage.archive_none') : '没有需要归档的记录');
+            return;
+        }
+
+        const date = window.i18n ? window.i18n.formatDate(window.dateUtils.parse(beforeDate)) : beforeDate;
+        this.showDialog(
+            window.i18n ? window.i18n.t('storage.archive_title') : '归档旧记录',
+            window.i18n ? window.i18n.t('storage.archive_message', { count, date }) :
+                `将把 ${date} 之前的 ${count} 条训练记录下载为备份文件，确认文件已保存后再从本设备删除（同步后其他设备上的这些记录也会删除）。统计数据只包含剩余的记录，之后可通过“导入数据”（合并）恢复。`,
+            () => {
+                // 浏览器不告知下载是否成功，由用户确认文件已保存后再删除
+                const ids = window.storage.exportArchive(beforeDate);
+                this.confirmArchiveSaved(ids);
+            }
+        );
+    }
+
+    confirmArchiveSaved(ids) {
+        this.showDialog(
+            window.i18n ? window.i18n.t('storage.archive_saved_title') : '归档文件已保存？',
+            window.i18n ? window.i18n.t('storage.archive_saved_message', { count: ids.length }) :
+                `请在下载列表或“文件”中确认归档文件已保存，再从本设备删除这 ${ids.length} 条记录。下载被拦截或取消时请点“取消”，记录会保留。`,
+            async () => {
+                try {
+                    const archived = await window.storage.deleteArchivedSessions(ids);
+                    this.updateUI();
+                    this.showToast(window.i18n ? window.i18n.t('storage.archived', { count: archived }) : `已归档 ${archived} 条训练记录`);
+                } catch (error) {
+                    console.error('Archive sessions error:', error);
+                    this.showToast(window.i18n ? window.i18n.t('storage.archive_failed') : '归档失败');
+                }
+            }
+        );
+    }
+
+    setupImport() {
+        const importDataBtn = document.getElementById('import-data-btn');
+        const importFileInput = document.getElementById('import-file-input');
+        const importDialog = document.getElementById('import-dialog');
+
+        if (importDataBtn && importFileInput) {
+            importDataBtn.addEventListener('click', () => importFileInput.click());
+            importFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                // 清空以便重复选择同一文件
+                e.target.value = '';
+                if (file) {
+                    this.handleImportFile(file);
+                }
+            });
+        }
+
+        const importCancel = document.getElementById('import-cancel');
+        const importMerge = document.getElementById('import-merge');
+        const importReplace = document.getElementById('import-replace');
+
+        if (importCancel) {
+            importCancel.addEventListener('click', this.hideImportDialog.bind(this));
+        }
+        if (importMerge) {
+            importMerge.addEventListener('click', () => this.importPendingData('merge'));
+        }
+        if (importReplace) {
+            importReplace.addEventListener('click', () => this.importPendingData('replace'));
+        }
+        if (importDialog) {
+            importDialog.addEventListener('click', (e) => {
+                if (e.target === importDialog) {
+                    this.hideImportDialog();
+                }
+            });
+        }
+
+        // 作为PWA文件处理程序打开备份文件（manifest.json 中的 file_handlers）
+        if ('launchQueue' in window) {
+            window.launchQueue.setConsumer(async (launchParams) => {
+                if (launchParams.files && launchParams.files.length > 0) {
+                    const file = await launchParams.files[0].getFile();
+                    this.navigateTo('settings');
+                    this.handleImportFile(file);
+                }
+            });
+        }
+    }
+
+    async handleImportFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            console.warn('Import file parse error:', error);
+            this.showToast(window.i18n ? window.i18n.t('import.errors.invalid_format') : '文件格式无效');
+            return;
+        }
+
+        // 加密备份需要先输入密码解密
+        if (window.storage.isEncryptedBackup(data)) {
+            this.showBackupPasswordDialog('import', data);
+            return;
+        }
+
+        this.showImportPreview(data);
+    }
+
+    setupBackupPassword() {
+        const exportEncryptedBtn = document.getElementById('export-encrypted-btn');
+        const form = document.getElementById('backup-password-form');
+        const cancel = document.getElementById('backup-password-cancel');
+
+        if (exportEncryptedBtn) {
+            exportEncryptedBtn.addEventListener('click', () => this.showBackupPasswordDialog('export'));
+        }
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitBackupPassword();
+            });
+        }
+        if (cancel) {
+            cancel.addEventListener('click', () => this.hideBackupPasswordDialog());
+        }
+    }
+
+    // mode: export 设置备份密码；import 输入密码解密备份
+    showBackupPasswordDialog(mode, backup = null) {
+        const dialog = document.getElementById('backup-password-dialog');
+        if (!dialog) return;
+
+        if (!window.cryptoUtils || !window.cryptoUtils.isSupported()) {
+            this.showToast(this.t('backup.errors.unsupported', '此浏览器不支持加密备份'));
+            return;
+        }
+
+        this.backupPasswordMode = mode;
+        this.pendingEncryptedBackup = backup;
+        document.getElementById('backup-password-title').textContent = mode === 'export' ?
+            this.t('backup.export_title', '设置备份密码') : this.t('backup.import_title', '加密备份');
+        document.getElementById('backup-password-message').textContent = mode === 'export' ?
+            this.t('backup.export_message', '备份文件将用此密码加密。忘记密码将无法恢复备份。') :
+            this.t('backup.import_message', '此备份已加密，请输入备份密码。');
+        document.getElementById('backup-password').value = '';
+        document.getElementById('backup-password-confirm').value = '';
+        document.getElementById('backup-password-error').textContent = '';
+        document.getElementById('backup-password-confirm-group').style.display = mode === 'export' ? '' : 'none';
+
+        dialog.style.display = 'flex';
+        document.getElementById('backup-password').focus();
+    }
+
+    hideBackupPasswordDialog() {
+        const dialog = document.getElementById('backup-password-dialog');
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+        this.backupPasswordMode = null;
+        this.pendingEncryptedBackup = null;
+    }
+
+    async submitBackupPassword() {
+        const password = document.getElementById('backup-password').value;
+        const errorEl = document.getElementById('backup-password-error');
+        const confirmBtn = document.getElementById('backup-password-confirm-btn');
+        const minLength = 8;
+
+        if (this.backupPasswordMode === 'export') {
+            if (password.length < minLength) {
+                errorEl.textContent = this.t('backup.errors.password_too_short', '密码至少需要 {{count}} 位', { count: minLength });
+                return;
+            }
+            if (password !== document.getElementById('backup-password-confirm').value) {
+                errorEl.textContent = this.t('lock.errors.pin_mismatch', '两次输入不一致');
+                return;
+            }
+        } else if (!password) {
+            return;
+        }
+
+        confirmBtn.disabled = true;
+        try {
+            if (this.backupPasswordMode === 'export') {
+                await window.storage.exportEncryptedToFile(password);
+                this.hideBackupPasswordDialog();
+                this.showToast(this.t('messages.data_exported', '数据已导出到下载文件夹'));
+            } else {
+                const data = await window.storage.decryptBackup(this.pendingEncryptedBackup, password);
+                this.hideBackupPasswordDialog();
+                this.showImportPreview(data);
+            }
+        } catch (error) {
+            console.warn('Encrypted backup error:', error);
+            const known = ['wrong_password', 'unsupported_version', 'unsupported'];
+            errorEl.textContent = this.t(`backup.errors.${known.includes(error.message) ? error.message : 'failed'}`, '操作失败，请重试');
+        }
+        confirmBtn.disabled = false;
+    }
+
+    setupTransfer() {
+        const sendBtn = document.getElementById('transfer-send-btn');
+        const receiveBtn = document.getElementById('transfer-receive-btn');
+        const form = document.getElementById('transfer-form');
+        const cancel = document.getElementById('transfer-cancel');
+
+        if (sendBtn) {
+            sendBtn.addEventListener('click', () => this.showTransferDialog('send'));
+        }
+        if (receiveBtn) {
+            receiveBtn.addEventListener('click', () => this.showTransferDialog('receive'));
+        }
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.startTransferSend();
+            });
+        }
+        if (cancel) {
+            cancel.addEventListener('click', () => this.hideTransferDialog());
+        }
+    }
+
+    // mode: send 在本设备显示二维码；receive 扫描另一台设备的二维码
+    showTransferDialog(mode) {
+        const dialog = document.getElementById('transfer-dialog');
+        if (!dialog) return;
+
+        this.transferMode = mode;
+        document.getElementById('transfer-title').textContent = mode === 'send' ?
+            this.t('transfer.send_title', '发送到新设备') : this.t('transfer.receive_title', '从旧设备接收');
+        document.getElementById('transfer-message').textContent = mode === 'send' ?
+            this.t('transfer.send_message', '先在新设备上打开“从旧设备接收”，再点击开始。可设置传输密码（至少8位），防止他人扫描读取数据。') :
+            this.t('transfer.receive_message', '在旧设备上打开“发送到新设备”，将摄像头对准其屏幕上的二维码。');
+        document.getElementById('transfer-password').value = '';
+        document.getElementById('transfer-progress').textContent = '';
+        document.getElementById('transfer-error').textContent = '';
+        document.getElementById('transfer-qr').style.display = 'none';
+        document.getElementById('transfer-video').style.display = 'none';
+        document.getElementById('transfer-password-group').style.display = mode === 'send' ? '' : 'none';
+        document.getElementById('transfer-start').style.display = mode === 'send' ? '' : 'none';
+
+        dialog.style.display = 'flex';
+        if (mode === 'receive') {
+            this.startTransferReceive();
+        }
     }
 
-    setupNavigation() {
-        // 底部导航
-        const navBtns = document.querySelectorAll('.nav-btn');
-        navBtns.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const page = btn.getAttribute('data-page');
-                this.navigateTo(page);
+    hideTransferDialog() {
+        window.transfer.stop();
+        const dialog = document.getElementById('transfer-dialog');
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+        const video = document.getElementById('transfer-video');
+        if (video) {
+            video.srcObject = null;
+        }
+        this.transferMode = null;
+    }
+
+    async startTransferSend() {
+        const password = document.getElementById('transfer-password').value;
+        const startBtn = document.getElementById('transfer-start');
+        const errorEl = document.getElementById('transfer-error');
+        const progressEl = document.getElementById('transfer-progress');
+        const canvas = document.getElementById('transfer-qr');
+        const minLength = 8;
+
+        // 传输密码可选，设置时与加密备份的要求相同
+        if (password && password.length < minLength) {
+            errorEl.textContent = this.t('backup.errors.password_too_short', '密码至少需要 {{count}} 位', { count: minLength });
+            return;
+        }
+        if (password && (!window.cryptoUtils || !window.cryptoUtils.isSupported())) {
+            errorEl.textContent = this.t('backup.errors.unsupported', '此浏览器不支持加密备份');
+            return;
+        }
+
+        errorEl.textContent = '';
+        startBtn.disabled = true;
+        try {
+            await window.transfer.startSending(canvas, password || null, (index, total) => {
+                progressEl.textContent = this.t('transfer.frame', '二维码 {{index}}/{{total}}', { index: index + 1, total });
             });
+
+            // 生成期间对话框已关闭
+            if (this.transferMode !== 'send') {
+                window.transfer.stopSending();
+            } else {
+                document.getElementById('transfer-message').textContent = this.t('transfer.sending_message',
+                    '将新设备的摄像头对准二维码并保持屏幕常亮，二维码会循环播放，直到新设备提示接收完成。');
+                document.getElementById('transfer-password-group').style.display = 'none';
+                startBtn.style.display = 'none';
+                canvas.style.display = '';
+            }
+        } catch (error) {
+            console.warn('Transfer send error:', error);
+            errorEl.textContent = this.t('transfer.errors.failed', '传输失败，请重试');
+        }
+        startBtn.disabled = false;
+    }
+
+    async startTransferReceive() {
+        const video = document.getElementById('transfer-video');
+        const errorEl = document.getElementById('transfer-error');
+        const progressEl = document.getElementById('transfer-progress');
+
+        video.style.display = '';
+        progressEl.textContent = this.t('transfer.waiting', '正在等待二维码…');
+        try {
+            await window.transfer.startReceiving(
+                video,
+                (progress) => {
+                    progressEl.textContent = this.t('transfer.received', '已接收 {{received}}/{{total}}', progress);
+                },
+                (data) => this.onTransferReceived(data),
+                (error) => {
+                    errorEl.textContent = this.t(`transfer.errors.${error.message}`, '传输失败，请重试');
+                }
+            );
+
+            // 等待摄像头权限期间对话框已关闭
+            if (this.transferMode !== 'receive') {
+                window.transfer.stopReceiving();
+            }
+        } catch (error) {
+            video.style.display = 'none';
+            progressEl.textContent = '';
+            errorEl.textContent = this.t(`transfer.errors.${error.message === 'scan_unsupported' || error.message === 'camera_denied' ? error.message : 'failed'}`,
+                '传输失败，请重试');
+        }
+    }
+
+    // 接收完成后进入与文件导入相同的流程
+    onTransferReceived(data) {
+        this.hideTransferDialog();
+        if (window.storage.isEncryptedBackup(data)) {
+            this.showBackupPasswordDialog('import', data);
+            return;
+        }
+        this.showImportPreview(data);
+    }
+
+    setupSync() {
+        const syncBtn = document.getElementById('sync-btn');
+        const buttons = {
+            'sync-cancel': () => this.hideSyncDialog(),
+            'sync-start': () => this.startSyncPairing(),
+            'sync-join': () => this.joinSync(),
+            'sync-next': () => this.scanSyncAnswer()
+        };
+
+        if (syncBtn) {
+            syncBtn.addEventListener('click', () => this.showSyncDialog());
+        }
+        Object.keys(buttons).forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', buttons[id]);
+            }
         });
+
+        window.addEventListener('syncStatus', (e) => this.renderSyncStatus(e.detail));
     }
 
-    setupPlanSelection() {
-        const planCards = document.querySelectorAll('.plan-card');
-        planCards.forEach(card => {
-            card.addEventListener('click', () => {
-                const planName = card.getAttribute('data-plan');
-                this.startExerciseWithPlan(planName);
-            });
+    // 配对步骤：发起方显示配对码 → 扫描对方的回应码；加入方扫描配对码 → 显示回应码
+    showSyncDialog() {
+        const dialog = document.getElementById('sync-dialog');
+        if (!dialog) return;
+
+        if (!window.peerSync.isSupported()) {
+            this.showToast(this.t('sync.errors.unsupported', '此浏览器不支持设备同步'));
+            return;
+        }
+
+        document.getElementById('sync-message').textContent = this.t('sync.choose_message',
+            '两台设备需连接同一Wi-Fi。在一台设备上选择“显示配对码”，在另一台设备上选择“扫描配对码”。数据直接在两台设备之间传输，不经过任何服务器。');
+        document.getElementById('sync-status').textContent = '';
+        document.getElementById('sync-error').textContent = '';
+        this.showSyncView({ buttons: ['sync-start', 'sync-join'] });
+        dialog.style.display = 'flex';
+    }
+
+    hideSyncDialog() {
+        window.peerSync.close();
+        window.transfer.stop();
+        const dialog = document.getElementById('sync-dialog');
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+        const video = document.getElementById('sync-video');
+        if (video) {
+            video.srcObject = null;
+        }
+    }
+
+    isSyncDialogOpen() {
+        const dialog = document.getElementById('sync-dialog');
+        return !!dialog && dialog.style.display !== 'none';
+    }
+
+    // 切换对话框中显示的二维码、摄像头画面和按钮
+    showSyncView({ qr = false, video = false, buttons = [] }) {
+        document.getElementById('sync-qr').style.display = qr ? '' : 'none';
+        document.getElementById('sync-video').style.display = video ? '' : 'none';
+        ['sync-start', 'sync-join', 'sync-next'].forEach(id => {
+            document.getElementById(id).style.display = buttons.includes(id) ? '' : 'none';
         });
+    }
 
-        const customPlanBtn = document.getElementById('custom-plan-btn');
-        if (customPlanBtn) {
-            customPlanBtn.addEventListener('click', this.showCustomPlanDialog.bind(this));
+    // 在对话框中循环显示配对信息的二维码
+    async showSyncCode(signal, messageKey, message) {
+        const frames = await window.transfer.encodeFrames(signal);
+        if (!this.isSyncDialogOpen()) return;
+
+        document.getElementById('sync-message').textContent = this.t(messageKey, message);
+        document.getElementById('sync-status').textContent = '';
+        window.transfer.displayFrames(document.getElementById('sync-qr'), frames);
+    }
+
+    // 扫描另一台设备上的配对信息，扫描完成后调用 onSignal(signal)
+    async scanSyncCode(messageKey, message, onSignal) {
+        const statusEl = document.getElementById('sync-status');
+        const video = document.getElementById('sync-video');
+
+        document.getElementById('sync-message').textContent = this.t(messageKey, message);
+        document.getElementById('sync-error').textContent = '';
+        this.showSyncView({ video: true });
+        try {
+            await window.transfer.startReceiving(
+                video,
+                (progress) => {
+                    statusEl.textContent = this.t('transfer.received', '已接收 {{received}}/{{total}}', progress);
+                },
+                (signal) => {
+                    video.srcObject = null;
+                    this.showSyncView({});
+                    onSignal(signal).catch(error => this.showSyncError(error.message));
+                },
+                (error) => this.showSyncError(error.message)
+            );
+
+            // 等待摄像头权限期间对话框已关闭
+            if (!this.isSyncDialogOpen()) {
+                window.transfer.stopReceiving();
+            }
+        } catch (error) {
+            this.showSyncError(error.message);
         }
     }
 
-    setupExerciseControls() {
-        // 音效控制
-        const soundToggle = document.getElementById('sound-toggle');
-        if (soundToggle) {
-            soundToggle.addEventListener('click', this.toggleSound.bind(this));
+    // 发起方第一步：生成并显示配对码
+    async startSyncPairing() {
+        document.getElementById('sync-status').textContent = this.t('sync.preparing', '正在准备配对…');
+        this.showSyncView({});
+        try {
+            const offer = await window.peerSync.createOffer();
+            this.showSyncView({ qr: true, buttons: ['sync-next'] });
+            await this.showSyncCode(offer, 'sync.offer_message', '在另一台设备上选择“扫描配对码”并扫描此二维码。另一台设备显示回应码后，点击“下一步”。');
+        } catch (error) {
+            console.warn('Sync pairing error:', error);
+            this.showSyncError(error.message);
         }
+    }
 
-        // 震动控制
-        const vibrationToggle = document.getElementById('vibration-toggle');
-        if (vibrationToggle) {
-            vibrationToggle.addEventListener('click', this.toggleVibration.bind(this));
+    // 发起方第二步：扫描另一台设备显示的回应码后开始连接
+    scanSyncAnswer() {
+        window.transfer.stopSending();
+        this.scanSyncCode('sync.scan_answer_message', '将摄像头对准另一台设备上的回应码。', async (answer) => {
+            await window.peerSync.acceptAnswer(answer);
+        });
+    }
+
+    // 加入方：扫描配对码，然后显示回应码
+    joinSync() {
+        this.scanSyncCode('sync.scan_offer_message', '将摄像头对准另一台设备上的配对码。', async (offer) => {
+            document.getElementById('sync-status').textContent = this.t('sync.preparing', '正在准备配对…');
+            const answer = await window.peerSync.acceptOffer(offer);
+            this.showSyncView({ qr: true });
+            await this.showSyncCode(answer, 'sync.answer_message', '用第一台设备扫描此回应码，连接后会自动开始同步。');
+        });
+    }
+
+    renderSyncStatus(detail) {
+        if (!this.isSyncDialogOpen()) return;
+
+        const statusEl = document.getElementById('sync-status');
+        switch (detail.status) {
+            case 'connecting':
+                // 加入方继续显示回应码，直到连接建立
+                if (window.transfer.frames.length === 0) {
+                    document.getElementById('sync-message').textContent = '';
+                }
+                statusEl.textContent = this.t('sync.connecting', '正在连接…');
+                break;
+            case 'syncing':
+                window.transfer.stopSending();
+                this.showSyncView({});
+                document.getElementById('sync-message').textContent = '';
+                statusEl.textContent = this.t('sync.syncing', '正在同步…');
+                break;
+            case 'completed':
+                statusEl.textContent = this.t('sync.completed', '同步完成：新增 {{added}} 条、更新 {{updated}} 条、删除 {{removed}} 条训练记录', detail.result);
+                break;
+            case 'failed':
+                this.showSyncError(detail.error);
+                break;
         }
+    }
 
-        // 训练控制
-        const startBtn = document.getElementById('start-btn');
-        const pauseBtn = document.getElementById('pause-btn');
-        const stopBtn = document.getElementById('stop-btn');
+    showSyncError(reason) {
+        const transferErrors = ['scan_unsupported', 'camera_denied', 'compression_unsupported', 'invalid_data'];
+        const syncErrors = ['invalid_code', 'version_mismatch', 'connection_failed', 'connection_lost'];
 
-        if (startBtn) {
-            startBtn.addEventListener('click', this.handleExerciseStart.bind(this));
+        window.transfer.stop();
+        this.showSyncView({});
+        document.getElementById('sync-status').textContent = '';
+        document.getElementById('sync-error').textContent = transferErrors.includes(reason) ?
+            this.t(`transfer.errors.${reason}`, '传输失败，请重试') :
+            this.t(`sync.errors.${syncErrors.includes(reason) ? reason : 'failed'}`, '同步失败，请重试');
+    }
+
+    // 校验数据并显示导入预览（供文件导入及其他导入方式使用）
+    showImportPreview(data) {
+        const validation = window.storage.validateImportData(data);
+        if (!validation.valid) {
+            this.showToast(window.i18n ? window.i18n.t(`import.errors.${validation.error}`) : '无法导入此文件');
+            return;
         }
-        if (pauseBtn) {
-            pauseBtn.addEventListener('click', this.handleExercisePause.bind(this));
+
+        this.pendingImport = data;
+        const preview = window.storage.previewImport(data);
+        const previewEl = document.getElementById('import-preview');
+
+        if (previewEl) {
+            const formatDate = (date) => window.i18n ? window.i18n.formatDate(window.dateUtils.parse(date)) : date;
+            const rows = [
+                [this.t('import.sessions', '训练记录'), preview.sessionCount],
+                [this.t('import.date_range', '日期范围'), preview.startDate ?
+                    `${formatDate(preview.startDate)} – ${formatDate(preview.endDate)}` : '-'],
+                [this.t('import.new_sessions', '新记录'), preview.newSessions],
+                [this.t('import.duplicates', '与本地重复'), preview.duplicates],
+                [this.t('import.conflicts', '冲突（保留本地）'), preview.conflicts]
+            ];
+            if (preview.invalidCount > 0) {
+                rows.push([this.t('import.invalid', '无效记录（将跳过）'), preview.invalidCount]);
+            }
+            rows.push([this.t('import.version', '备份版本'), preview.version]);
+
+            previewEl.innerHTML = rows.map(([label, value]) => `
+                <div class="import-preview-row">
+                    <span>${label}</span>
+                    <strong>${value}</strong>
+                </div>
+            `).join('');
         }
-        if (stopBtn) {
-            stopBtn.addEventListener('click', this.handleExerciseStop.bind(this));
+
+        const dialog = document.getElementById('import-dialog');
+        if (dialog) {
+            dialog.style.display = 'flex';
         }
     }
 
-    setupSettings() {
-        // 设置开关
-        const soundSetting = document.getElementById('sound-setting');
-        const vibrationSetting = document.getElementById('vibration-setting');
-        const reminderTime = document.getElementById('reminder-time');
-
-        if (soundSetting) {
-            soundSetting.addEventListener('change', (e) => {
-                window.storage.setSetting('soundEnabled', e.target.checked);
-                this.triggerSettingsChange({ soundEnabled: e.target.checked });
-            });
+    hideImportDialog() {
+        const dialog = document.getElementById('import-dialog');
+        if (dialog) {
+            dialog.style.display = 'none';
         }
+        this.pendingImport = null;
+    }
 
-        if (vibrationSetting) {
-            vibrationSetting.addEventListener('change', (e) => {
-                window.storage.setSetting('vibrationEnabled', e.target.checked);
-                this.triggerSettingsChange({ vibrationEnabled: e.target.checked });
-            });
+    async importPendingData(mode) {
+        if (!this.pendingImport) return;
+
+        const preview = window.storage.previewImport(this.pendingImport);
+        const success = await window.storage.importData(this.pendingImport, mode);
+        this.hideImportDialog();
+
+        if (success) {
+            // 替换模式下设置也被替换，通知各模块
+            if (mode === 'replace') {
+                this.triggerSettingsChange(window.storage.getSettings());
+            }
+            this.updateUI();
+            const count = mode === 'merge' ? preview.newSessions : preview.sessionCount;
+            this.showToast(window.i18n ? window.i18n.t('messages.data_imported', { count }) : `已导入 ${count} 条训练记录`);
+        } else {
+            this.showToast(window.i18n ? window.i18n.t('import.errors.failed') : '导入失败');
         }
+    }
 
-        if (reminderTime) {
-            reminderTime.addEventListener('change', (e) => {
-                window.storage.setSetting('reminderTime', e.target.value);
-            });
+    updateReminderSetting(key, value) {
+        window.storage.setSetting(key, value);
+        this.triggerSettingsChange({ [key]: value });
+        this.renderReminderSettings();
+    }
+
+    renderReminderSettings() {
+        if (!window.reminder || !window.i18n) return;
+
+        const config = window.reminder.getConfig();
+        const reminderSetting = document.getElementById('reminder-setting');
+        const options = document.getElementById('reminder-options');
+        const skipSetting = document.getElementById('reminder-skip-setting');
+        const timesList = document.getElementById('reminder-times');
+        const weekdayPicker = document.getElementById('reminder-weekdays');
+
+        if (reminderSetting) reminderSetting.checked = config.enabled;
+        if (options) options.style.display = config.enabled ? 'block' : 'none';
+        if (skipSetting) skipSetting.checked = config.skipIfDone;
+
+        if (timesList) {
+            timesList.innerHTML = config.times.map((time, index) => `
+                <div class="reminder-time-item">
+                    <input type="time" class="time-input" data-index="${index}" value="${time}">
+                    <button class="reminder-time-remove" data-index="${index}" ${config.times.length <= 1 ? 'disabled' : ''}>✕</button>
+                </div>
+            `).join('');
         }
 
-        // 数据管理按钮
-        const exportDataBtn = document.getElementById('export-data-btn');
-        const clearDataBtn = document.getElementById('clear-data-btn');
+        if (weekdayPicker) {
+            // 从周一开始排列
+            weekdayPicker.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => `
+                <button class="weekday-chip ${config.weekdays.includes(day) ? 'active' : ''}" data-day="${day}">
+                    ${window.i18n.getWeekday(day)}
+                </button>
+            `).join('');
+        }
 
-        if (exportDataBtn) {
-            exportDataBtn.addEventListener('click', this.exportData.bind(this));
+        // 通知权限状态
+        const permission = window.reminder.getPermission();
+        const permissionText = document.getElementById('reminder-permission-text');
+        const permissionBtn = document.getElementById('reminder-permission-btn');
+        if (permissionText) {
+            permissionText.textContent = window.i18n.t(`reminder.permission.${permission}`);
         }
-        if (clearDataBtn) {
-            clearDataBtn.addEventListener('click', this.showClearDataDialog.bind(this));
+        if (permissionBtn) {
+            permissionBtn.style.display = permission === 'default' ? 'inline-block' : 'none';
         }
+    }
 
-        // 统计周期选择
-        const statsPeriod = document.getElementById('stats-period');
-        if (statsPeriod) {
-            statsPeriod.addEventListener('change', (e) => {
-                this.updateStatsView(e.target.value);
-            });
+    showReminderBanner(time) {
+        const banner = document.getElementById('reminder-banner');
+        const text = document.getElementById('reminder-banner-text');
+        if (!banner) return;
+
+        // 训练中不打扰
+        if (window.exercise && window.exercise.isActive) return;
+
+        if (text) {
+            text.textContent = window.i18n ? window.i18n.t('reminder.banner', { time }) : `${time} 训练提醒`;
+        }
+        banner.style.display = 'flex';
+    }
+
+    hideReminderBanner() {
+        const banner = document.getElementById('reminder-banner');
+        if (banner) {
+            banner.style.display = 'none';
         }
     }
 
@@ -233,6 +1568,7 @@ class UI {
         const customDialogOverlay = document.getElementById('custom-plan-dialog');
         const customDialogCancel = document.getElementById('custom-dialog-cancel');
         const customDialogStart = document.getElementById('custom-dialog-start');
+        const customDialogSave = document.getElementById('custom-dialog-save');
 
         if (customDialogCancel) {
             customDialogCancel.addEventListener('click', this.hideCustomDialog.bind(this));
@@ -242,6 +1578,10 @@ class UI {
             customDialogStart.addEventListener('click', this.startCustomExercise.bind(this));
         }
 
+        if (customDialogSave) {
+            customDialogSave.addEventListener('click', this.saveCustomPlanFromDialog.bind(this));
+        }
+
         if (customDialogOverlay) {
             customDialogOverlay.addEventListener('click', (e) => {
                 if (e.target === customDialogOverlay) {
@@ -250,6 +1590,19 @@ class UI {
             });
         }
 
+        // 恢复中断的训练对话框
+        const resumeActions = {
+            'resume-discard': () => this.discardInterruptedExercise(),
+            'resume-log': () => this.logInterruptedExercise(),
+            'resume-continue': () => this.resumeInterruptedExercise()
+        };
+        Object.keys(resumeActions).forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', resumeActions[id]);
+            }
+        });
+
         // 自定义计划参数变化监听
         const customInputs = ['custom-contract-time', 'custom-relax-time', 'custom-reps', 'custom-sets', 'custom-rest'];
         customInputs.forEach(id => {
@@ -286,6 +1639,29 @@ class UI {
         window.addEventListener('showMessage', (e) => {
             this.showToast(e.detail.message, e.detail.duration);
         });
+
+        // 训练方案变化
+        window.addEventListener('programChanged', () => {
+            this.updateUI();
+        });
+
+        // 训练记录载入完成
+        window.addEventListener('storageReady', () => {
+            this.updateUI();
+        });
+
+        // 设备同步完成：设置可能已换成另一台设备上较新的版本
+        window.addEventListener('syncCompleted', (e) => {
+            if (e.detail.keys.includes('settings')) {
+                this.triggerSettingsChange(window.storage.getSettings());
+            }
+            this.updateUI();
+        });
+
+        // 训练提醒（应用内横幅）
+        window.addEventListener('reminderDue', (e) => {
+            this.showReminderBanner(e.detail.time);
+        });
     }
 
     // 导航相关方法
@@ -361,6 +1737,8 @@ class UI {
             plans: window.i18n.t('plans.title'),
             exercise: window.i18n.t('exercise.prepare'),
             stats: window.i18n.t('stats.title'),
+            report: window.i18n.t('report.title'),
+            history: window.i18n.t('history.title'),
             settings: window.i18n.t('settings.title')
         };
 
@@ -379,14 +1757,28 @@ class UI {
     }
 
     onPageChange(page) {
+        // 打印时只输出报告页面
+        document.body.classList.toggle('report-view', page === 'report');
+
         switch (page) {
             case 'home':
                 this.updatePlanDurations();
+                this.updateQuickStartButton();
+                break;
+            case 'plans':
+                this.renderPrograms();
+                this.renderSavedPlans();
                 break;
             case 'stats':
                 this.loadStatsData();
                 this.renderChart();
                 break;
+            case 'report':
+                this.renderReport();
+                break;
+            case 'history':
+                this.renderHistory();
+                break;
             case 'settings':
                 this.loadSettingsValues();
                 break;
@@ -397,7 +1789,7 @@ class UI {
     updatePlanDurations() {
         if (!window.exercise) return;
 
-        const plans = ['beginner', 'intermediate', 'advanced'];
+        const plans = ['beginner', 'intermediate', 'advanced', 'mixed'];
         plans.forEach(planName => {
             const planInfo = window.exercise.getPlanInfo(planName);
             if (planInfo) {
@@ -410,10 +1802,37 @@ class UI {
         });
     }
 
+    // 更新快速开始按钮（参加训练方案时启动今日训练）
+    updateQuickStartButton() {
+        const label = document.getElementById('quick-start-label');
+        const detail = document.getElementById('quick-start-detail');
+        if (!label || !window.i18n) return;
+
+        const progress = window.program ? window.program.getProgress() : null;
+        const useProgram = progress && !progress.isFinished;
+        const labelKey = useProgram ? 'home.program_start' : 'home.quick_start';
+
+        label.setAttribute('data-i18n', labelKey);
+        label.textContent = window.i18n.t(labelKey);
+
+        if (detail) {
+            detail.textContent = useProgram ? window.i18n.t('program.week_of', {
+                week: progress.week,
+                total: progress.totalWeeks
+            }) + (progress.doneToday ? ' · ' + window.i18n.t('program.done_today') : '') : '';
+            detail.style.display = useProgram ? 'block' : 'none';
+        }
+    }
+
     // 锻炼相关方法
     quickStartExercise() {
-        // 快速开始使用初级计划
-        this.startExerciseWithPlan('beginner');
+        // 参加训练方案时开始今日训练，否则使用初级计划
+        const progress = window.program ? window.program.getProgress() : null;
+        if (progress && !progress.isFinished) {
+            this.startExerciseWithPlan('program');
+        } else {
+            this.startExerciseWithPlan('beginner');
+        }
     }
 
     startExerciseWithPlan(planName) {
@@ -428,17 +1847,42 @@ class UI {
 
     startCustomExercise() {
         const customPlan = this.getCustomPlanFromDialog();
-        if (customPlan) {
-            const success = window.exercise.startExercise(null, customPlan);
-            if (success) {
-                this.hideCustomDialog();
-                this.navigateTo('exercise');
-                this.showToast(window.i18n ? window.i18n.t('messages.plan_selected') : '自定义计划已开始');
-            }
+        if (!customPlan) return;
+
+        // 已命名或正在编辑的计划先保存，训练记录关联到该计划
+        let success;
+        if (customPlan.title || customPlan.id) {
+            const savedPlan = window.storage.saveCustomPlan(customPlan);
+            success = savedPlan && window.exercise.startExercise(savedPlan.id);
+        } else {
+            success = window.exercise.startExercise(null, customPlan);
+        }
+
+        if (success) {
+            this.hideCustomDialog();
+            this.navigateTo('exercise');
+            this.showToast(window.i18n ? window.i18n.t('messages.plan_selected') : '自定义计划已开始');
+        }
+    }
+
+    saveCustomPlanFromDialog() {
+        const customPlan = this.getCustomPlanFromDialog();
+        if (!customPlan) return;
+
+        if (!customPlan.title) {
+            customPlan.title = window.i18n ? window.i18n.t('custom.untitled') : '我的计划';
+        }
+
+        const savedPlan = window.storage.saveCustomPlan(customPlan);
+        if (savedPlan) {
+            this.hideCustomDialog();
+            this.renderSavedPlans();
+            this.showToast(window.i18n ? window.i18n.t('messages.plan_saved') : '计划已保存');
         }
     }
 
     getCustomPlanFromDialog() {
+        const title = document.getElementById('custom-plan-name').value.trim();
         const contractTime = parseInt(document.getElementById('custom-contract-time').value);
         const relaxTime = parseInt(document.getElementById('custom-relax-time').value);
         const repsPerSet = parseInt(document.getElementById('custom-reps').value);
@@ -446,7 +1890,9 @@ class UI {
         const restTime = parseInt(document.getElementById('custom-rest').value);
 
         return {
+            id: this.editingPlanId,
             name: 'custom',
+            title,
             contractTime,
             relaxTime,
             sets,
@@ -455,6 +1901,63 @@ class UI {
         };
     }
 
+    // 上次的训练被意外中断（如页面被关闭），询问继续还是记为未完成
+    showResumeDialog(progress) {
+        const dialog = document.getElementById('resume-dialog');
+        if (!dialog || !window.exercise) return;
+
+        const plan = progress.plan;
+        const label = this.getSessionPlanLabel({
+            plan: plan.isCustom ? 'custom' : plan.name,
+            planTitle: plan.title || null,
+            programId: plan.programId || null,
+            programWeek: plan.programWeek || null
+        });
+        const canResume = window.exercise.canResume(progress);
+
+        this.pendingResume = progress;
+        document.getElementById('resume-message').textContent = this.t('resume.message', '“{{plan}}”在第 {{set}}/{{sets}} 组、第 {{rep}} 次时中断，已训练约 {{minutes}} 分钟。', {
+            plan: label,
+            set: progress.currentSet,
+            sets: window.exercise.getSegments(plan).length,
+            rep: progress.currentRep,
+            minutes: Math.max(1, Math.round((progress.elapsed || 0) / 60000))
+        });
+        document.getElementById('resume-hint').style.display = canResume ? 'none' : '';
+        document.getElementById('resume-continue').style.display = canResume ? '' : 'none';
+        dialog.style.display = 'flex';
+    }
+
+    hideResumeDialog() {
+        const dialog = document.getElementById('resume-dialog');
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+        this.pendingResume = null;
+    }
+
+    resumeInterruptedExercise() {
+        const progress = this.pendingResume;
+        this.hideResumeDialog();
+        if (progress && window.exercise.resumeSavedProgress(progress)) {
+            this.navigateTo('exercise');
+        }
+    }
+
+    logInterruptedExercise() {
+        const progress = this.pendingResume;
+        this.hideResumeDialog();
+        if (progress && window.exercise.logSavedProgress(progress)) {
+            this.updateUI();
+            this.showToast(window.i18n ? window.i18n.t('resume.logged') : '已记录未完成的训练');
+        }
+    }
+
+    discardInterruptedExercise() {
+        this.hideResumeDialog();
+        window.exercise.clearProgress();
+    }
+
     handleExerciseStart() {
         if (!window.exercise) return;
 
@@ -508,13 +2011,38 @@ class UI {
         // 更新组数信息
         const currentSetEl = document.getElementById('current-set');
         const totalSetsEl = document.getElementById('total-sets');
-        if (currentSetEl) currentSetEl.textContent = state.currentSet;
+        if (currentSetEl) currentSetEl.textContent = Math.min(state.currentSet, state.totalSets);
         if (totalSetsEl) totalSetsEl.textContent = state.totalSets;
 
+        // 更新段落类型和力度提示
+        this.updateSegmentInfo(state);
+
         // 更新按钮状态
         this.updateExerciseButtons(state);
     }
 
+    updateSegmentInfo(state) {
+        const segmentTypeEl = document.getElementById('segment-type');
+        const intensityEl = document.getElementById('intensity-text');
+        if (!window.i18n) return;
+
+        // 只有多段落训练才显示段落类型
+        if (segmentTypeEl) {
+            const showType = state.isActive && state.isRoutine && state.segmentType;
+            segmentTypeEl.textContent = showType ? window.i18n.t(`exercise.segment.${state.segmentType}`) : '';
+            segmentTypeEl.style.display = showType ? 'inline-block' : 'none';
+        }
+
+        // 分级力度（非100%或电梯式训练）时显示力度提示
+        if (intensityEl) {
+            const showIntensity = state.intensity !== null &&
+                (state.intensity < 100 || state.segmentType === 'elevator');
+            intensityEl.textContent = showIntensity ?
+                window.i18n.t('exercise.intensity', { value: state.intensity }) : '';
+            intensityEl.style.display = showIntensity ? 'inline-block' : 'none';
+        }
+    }
+
     getStatusKey(phase, isPaused) {
         if (isPaused) return 'exercise.paused';
         
@@ -563,7 +2091,8 @@ class UI {
         const timerTotal = document.getElementById('timer-total');
         
         if (timerText) {
-            timerText.textContent = `${data.timeRemaining}s`;
+            // 剩余时间为小数，显示时向上取整（进度圆圈按小数平滑变化）
+            timerText.textContent = `${Math.ceil(data.timeRemaining)}s`;
         }
         if (timerTotal) {
             timerTotal.textContent = `/ ${data.totalPhaseTime}s`;
@@ -602,7 +2131,6 @@ class UI {
 
         const soundSetting = document.getElementById('sound-setting');
         const vibrationSetting = document.getElementById('vibration-setting');
-        const reminderTime = document.getElementById('reminder-time');
 
         if (soundSetting) {
             soundSetting.checked = window.storage.getSetting('soundEnabled', true);
@@ -610,9 +2138,22 @@ class UI {
         if (vibrationSetting) {
             vibrationSetting.checked = window.storage.getSetting('vibrationEnabled', true);
         }
-        if (reminderTime) {
-            reminderTime.value = window.storage.getSetting('reminderTime', '09:00');
+
+        const backgroundSetting = document.getElementById('background-setting');
+        if (backgroundSetting) {
+            backgroundSetting.checked = window.storage.getSetting('backgroundMode', false);
+        }
+
+        const dayBoundarySetting = document.getElementById('day-boundary-setting');
+        if (dayBoundarySetting) {
+            dayBoundarySetting.value = String(window.storage.getSetting('dayBoundaryHour', 0));
         }
+
+        this.renderSoundSettings();
+        this.renderVoiceSettings();
+        this.renderReminderSettings();
+        this.renderStorageUsage();
+        this.renderLockSettings();
     }
 
     toggleSound() {
@@ -652,10 +2193,18 @@ class UI {
     }
 
     // 统计相关方法
-    loadStatsData() {
+    async loadStatsData() {
         if (!window.storage) return;
 
         const stats = window.storage.getStats();
+
+        // 统计卡片显示所选周期内的数据
+        const range = this.getStatsPeriodRange(this.statsPeriod);
+        const completed = (await window.storage.getSessionsInRange(range.startDate, range.endDate))
+            .filter(session => session.completed);
+        const periodDuration = completed.reduce((sum, session) => sum + (session.duration || 0), 0);
+        const periodStreak = window.report ?
+            window.report.getLongestStreak(completed.map(session => session.date)) : (stats.currentStreak || 0);
         
         // 更新统计卡片
         const sessionsCount = document.getElementById('sessions-count');
@@ -664,28 +2213,108 @@ class UI {
 
         if (sessionsCount) {
             sessionsCount.textContent = window.i18n ? 
-                window.i18n.formatNumber(stats.totalSessions || 0) : (stats.totalSessions || 0);
+                window.i18n.formatNumber(completed.length) : completed.length;
         }
         if (totalDuration) {
-            const minutes = Math.round((stats.totalDuration || 0) / 60);
+            const minutes = Math.round(periodDuration / 60);
             totalDuration.textContent = window.i18n ? 
                 window.i18n.formatNumber(minutes) : minutes;
         }
         if (streakDays) {
             streakDays.textContent = window.i18n ? 
-                window.i18n.formatNumber(stats.currentStreak || 0) : (stats.currentStreak || 0);
+                window.i18n.formatNumber(periodStreak) : periodStreak;
+        }
+
+        // 更新日历热力图
+        this.renderHeatmap();
+
+        // 更新训练方案进度
+        this.updateProgramProgress();
+
+        // 更新成就
+        this.updateAchievements(stats.achievements || []);
+    }
+
+    updateProgramProgress() {
+        const container = document.getElementById('program-progress');
+        if (!container || !window.i18n) return;
+
+        const progress = window.program ? window.program.getProgress() : null;
+        if (!progress) {
+            container.style.display = 'none';
+            return;
         }
 
-        // 更新成就
-        this.updateAchievements(stats.achievements || []);
+        const title = document.getElementById('program-progress-title');
+        const week = document.getElementById('program-progress-week');
+        const fill = document.getElementById('program-progress-fill');
+        const detail = document.getElementById('program-progress-detail');
+
+        // 总进度 = 已完成的周 + 本周完成比例
+        const completedWeeks = progress.isFinished ? progress.totalWeeks :
+            progress.week - 1 + progress.sessionsThisWeek / progress.sessionsToLevelUp;
+        const percent = Math.round(completedWeeks / progress.totalWeeks * 100);
+
+        if (title) title.textContent = window.i18n.t(`program.${progress.programId}.title`);
+        if (week) {
+            week.textContent = progress.isFinished ? window.i18n.t('program.finished') :
+                window.i18n.t('program.week_of', { week: progress.week, total: progress.totalWeeks });
+        }
+        if (fill) fill.style.width = `${percent}%`;
+        if (detail) {
+            detail.textContent = progress.isFinished ? '' : window.i18n.t('program.week_progress', {
+                done: progress.sessionsThisWeek,
+                needed: progress.sessionsToLevelUp
+            });
+        }
+
+        container.style.display = 'block';
+    }
+
+    showLeaveProgramDialog() {
+        this.showDialog(
+            window.i18n ? window.i18n.t('dialog.leave_program.title') : '退出方案',
+            window.i18n ? window.i18n.t('dialog.leave_program.message') : '确定要退出当前训练方案吗？训练记录会保留。',
+            () => {
+                window.program.leave();
+            }
+        );
     }
 
     updateStatsView(period) {
         // 根据选择的时间段更新统计视图
+        this.statsPeriod = period;
         this.loadStatsData();
         this.renderChart(period);
     }
 
+    // 统计周期的日期范围：最近7天 / 本月 / 本年
+    getStatsPeriodRange(period) {
+        const dateUtils = window.dateUtils;
+        const today = dateUtils.today();
+        const now = dateUtils.parse(today);
+        let startDate;
+        let endDate;
+
+        if (period === 'month') {
+            startDate = dateUtils.formatLocalDate(new Date(now.getFullYear(), now.getMonth(), 1));
+            endDate = dateUtils.formatLocalDate(new Date(now.getFullYear(), now.getMonth() + 1, 0));
+        } else if (period === 'year') {
+            startDate = `${now.getFullYear()}-01-01`;
+            endDate = `${now.getFullYear()}-12-31`;
+        } else {
+            startDate = dateUtils.addDays(today, -6);
+            endDate = today;
+        }
+
+        return {
+            start: dateUtils.parse(startDate),
+            end: dateUtils.parse(endDate),
+            startDate,
+            endDate
+        };
+    }
+
     updateAchievements(unlockedAchievements) {
         const achievementsList = document.getElementById('achievements-list');
         if (!achievementsList || !window.i18n) return;
@@ -730,14 +2359,14 @@ class UI {
         return div;
     }
 
-    renderChart(period = 'week') {
+    renderChart(period = this.statsPeriod) {
         const canvas = document.getElementById('progress-chart');
         if (!canvas || !window.storage) return;
 
         const ctx = canvas.getContext('2d');
         const sessions = window.storage.getSessions();
         
-        // 简单的图表渲染（折线图）
+        // 简单的图表渲染（柱状图）
         this.drawSimpleChart(ctx, sessions, period);
     }
 
@@ -745,81 +2374,653 @@ class UI {
         const canvas = ctx.canvas;
         const width = canvas.width;
         const height = canvas.height;
+        const chartTop = height * 0.1;
+        const chartBottom = height * 0.85;
 
         // 清除画布
         ctx.clearRect(0, 0, width, height);
 
         // 获取数据
-        const data = this.getChartData(sessions, period);
+        const data = this.getChartData(sessions, period, this.statsMetric);
         if (data.length === 0) return;
 
         const maxValue = Math.max(...data.map(d => d.value), 1);
-        const stepX = width / (data.length - 1 || 1);
-        const stepY = height * 0.8 / maxValue;
+        const slot = width / data.length;
+        const barWidth = Math.max(slot * 0.6, 2);
+        const stepY = (chartBottom - chartTop) / maxValue;
 
         // 绘制网格线
         ctx.strokeStyle = '#E0E0E0';
         ctx.lineWidth = 1;
         for (let i = 0; i < 5; i++) {
-            const y = height * 0.9 - (height * 0.8 / 4) * i;
+            const y = chartBottom - (chartBottom - chartTop) / 4 * i;
             ctx.beginPath();
             ctx.moveTo(0, y);
             ctx.lineTo(width, y);
             ctx.stroke();
         }
 
-        // 绘制数据线
-        ctx.strokeStyle = '#2196F3';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        
+        // 最大值标注
+        ctx.font = '10px sans-serif';
+        ctx.fillStyle = '#757575';
+        ctx.textAlign = 'left';
+        ctx.fillText(window.i18n ? window.i18n.formatNumber(Math.round(maxValue)) : Math.round(maxValue), 2, chartTop - 4);
+
+        // 绘制柱子和坐标标签
+        ctx.textAlign = 'center';
         data.forEach((point, index) => {
-            const x = index * stepX;
-            const y = height * 0.9 - point.value * stepY;
-            
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
+            const x = slot * index + (slot - barWidth) / 2;
+            const barHeight = point.value * stepY;
+            const manualHeight = Math.min(point.manualValue || 0, point.value) * stepY;
+
+            ctx.fillStyle = '#2196F3';
+            ctx.fillRect(x, chartBottom - barHeight + manualHeight, barWidth, barHeight - manualHeight);
+
+            // 手动补记部分叠加在上方
+            if (manualHeight > 0) {
+                ctx.fillStyle = '#FFB74D';
+                ctx.fillRect(x, chartBottom - barHeight, barWidth, manualHeight);
             }
-        });
-        
-        ctx.stroke();
 
-        // 绘制数据点
-        ctx.fillStyle = '#2196F3';
-        data.forEach((point, index) => {
-            const x = index * stepX;
-            const y = height * 0.9 - point.value * stepY;
-            
-            ctx.beginPath();
-            ctx.arc(x, y, 3, 0, Math.PI * 2);
-            ctx.fill();
+            if (point.label) {
+                ctx.fillStyle = '#757575';
+                ctx.fillText(point.label, x + barWidth / 2, height - 6);
+            }
         });
     }
 
-    getChartData(sessions, period) {
-        const now = new Date();
+    // 训练记录的统计值
+    // metric: sessions 完成次数 / minutes 训练分钟 / contractions 收缩次数
+    measureSessions(sessions, metric = 'sessions') {
+        const completed = sessions.filter(s => s.completed);
+        if (metric === 'minutes') {
+            return Math.round(completed.reduce((sum, s) => sum + (s.duration || 0), 0) / 60);
+        }
+        if (metric === 'contractions') {
+            return sessions.reduce((sum, s) => sum + (s.completedReps || 0), 0);
+        }
+        return completed.length;
+    }
+
+    // 图表数据：最近7天和本月按天，本年按月
+    getChartData(sessions, period, metric = 'sessions') {
+        const range = this.getStatsPeriodRange(period);
         const data = [];
-        
-        if (period === 'week') {
-            // 过去7天的数据
-            for (let i = 6; i >= 0; i--) {
-                const date = new Date(now);
-                date.setDate(date.getDate() - i);
-                const dateStr = date.toISOString().split('T')[0];
-                const daySessions = sessions.filter(s => s.date === dateStr && s.completed);
+        // 手动补记的部分单独统计，图表中以不同颜色显示
+        const measure = (items) => ({
+            value: this.measureSessions(items, metric),
+            manualValue: this.measureSessions(items.filter(s => s.source === 'manual'), metric)
+        });
+
+        if (period === 'year') {
+            for (let month = 0; month < 12; month++) {
+                const prefix = `${range.start.getFullYear()}-${String(month + 1).padStart(2, '0')}`;
                 data.push({
-                    label: window.i18n ? window.i18n.getWeekday(date.getDay()) : dateStr,
-                    value: daySessions.length
+                    label: window.i18n ? window.i18n.getMonth(month) : String(month + 1),
+                    ...measure(sessions.filter(s => s.date.startsWith(prefix)))
                 });
             }
+            return data;
+        }
+
+        const date = new Date(range.start);
+        while (date <= range.end) {
+            const dateStr = window.dateUtils.formatLocalDate(date);
+            let label;
+            if (period === 'month') {
+                // 每5天标注一次日期
+                const day = date.getDate();
+                label = day === 1 || day % 5 === 0 ? String(day) : '';
+            } else {
+                label = window.i18n ? window.i18n.getWeekday(date.getDay()) : dateStr;
+            }
+
+            data.push({
+                label,
+                ...measure(sessions.filter(s => s.date === dateStr))
+            });
+            date.setDate(date.getDate() + 1);
         }
-        // 可以添加更多时间段的数据处理...
 
         return data;
     }
 
+    // === 日历热力图 ===
+
+    changeHeatmapMonth(offset) {
+        this.heatmapOffset = Math.max(0, this.heatmapOffset + offset);
+        this.heatmapSelectedDate = null;
+        this.renderHeatmap();
+    }
+
+    // 按月显示每天的训练量（跟随图表指标着色，0–4级）
+    renderHeatmap() {
+        const grid = document.getElementById('heatmap-grid');
+        const title = document.getElementById('heatmap-title');
+        const nextBtn = document.getElementById('heatmap-next');
+        if (!grid || !window.storage) return;
+
+        const now = window.dateUtils.parse(window.dateUtils.today());
+        const year = new Date(now.getFullYear(), now.getMonth() - this.heatmapOffset, 1).getFullYear();
+        const month = new Date(now.getFullYear(), now.getMonth() - this.heatmapOffset, 1).getMonth();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        const today = window.dateUtils.today();
+
+        if (title) {
+            title.textContent = window.i18n ?
+                window.i18n.t('heatmap.title', { year, month: window.i18n.getMonth(month) }) : `${year}-${month + 1}`;
+        }
+        if (nextBtn) {
+            nextBtn.disabled = this.heatmapOffset === 0;
+        }
+
+        const sessions = window.storage.getSessions();
+        const days = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = window.dateUtils.formatLocalDate(new Date(year, month, day));
+            const daySessions = sessions.filter(session => session.date === date);
+            const value = this.measureSessions(daySessions, this.statsMetric);
+            const hasManual = daySessions.some(session => session.source === 'manual');
+            days.push({ day, date, value, hasManual });
+        }
+        const maxValue = Math.max(...days.map(d => d.value), 1);
+
+        grid.innerHTML = '';
+
+        // 星期标题
+        for (let i = 0; i < 7; i++) {
+            const label = document.createElement('div');
+            label.className = 'heatmap-weekday';
+            label.textContent = window.i18n ? window.i18n.getWeekday(i) : i;
+            grid.appendChild(label);
+        }
+
+        // 月初空白格
+        for (let i = 0; i < new Date(year, month, 1).getDay(); i++) {
+            grid.appendChild(document.createElement('div'));
+        }
+
+        days.forEach(({ day, date, value, hasManual }) => {
+            const level = value > 0 ? Math.ceil(value / maxValue * 4) : 0;
+            const cell = document.createElement('button');
+            cell.className = `heatmap-cell level-${level}`;
+            if (date === today) cell.classList.add('today');
+            if (date === this.heatmapSelectedDate) cell.classList.add('selected');
+            if (hasManual) cell.classList.add('manual');
+            cell.textContent = day;
+            cell.title = `${date}: ${value}`;
+            cell.addEventListener('click', () => this.showHeatmapDay(date));
+            grid.appendChild(cell);
+        });
+
+        this.renderHeatmapDay();
+    }
+
+    showHeatmapDay(date) {
+        this.heatmapSelectedDate = this.heatmapSelectedDate === date ? null : date;
+        this.renderHeatmap();
+    }
+
+    // 显示所选日期的训练记录
+    renderHeatmapDay() {
+        const container = document.getElementById('heatmap-day');
+        if (!container) return;
+
+        const date = this.heatmapSelectedDate;
+        if (!date) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const sessions = window.storage.getSessionsByDate(date)
+            .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+        container.innerHTML = `
+            <h4>${window.i18n ? window.i18n.formatDate(window.dateUtils.parse(date)) : date}</h4>
+            ${sessions.length === 0 ? `<p class="heatmap-day-empty">${this.t('heatmap.no_sessions', '这一天没有训练记录')}</p>` : sessions.map(session => `
+                <div class="heatmap-session ${session.completed ? 'completed' : ''}">
+                    <span>${session.timestamp && session.source !== 'manual' ? new Date(session.timestamp).toTimeString().slice(0, 5) : ''}</span>
+                    <span class="heatmap-session-plan">
+                        ${this.escapeHtml(this.getSessionPlanLabel(session))}
+                        ${session.source === 'manual' ? `<span class="manual-badge">${this.t('log.badge', '手动')}</span>` : ''}
+                    </span>
+                    <span>${window.i18n ? window.i18n.formatTime(session.duration || 0) : session.duration}</span>
+                    <span>${session.completed ? this.t('report.completed', '完成') : this.t('report.incomplete', '未完成')}</span>
+                </div>
+            `).join('')}
+        `;
+        container.style.display = 'block';
+    }
+
+    // === 训练记录 ===
+
+    // 计划类型名称（用于筛选）
+    getPlanTypeLabel(plan) {
+        if (!window.i18n) return plan;
+        if (plan === 'program') return window.i18n.t('history.program_plan');
+        if (plan === 'custom') return window.i18n.t('home.custom_plan');
+        return window.i18n.t(`plans.${plan}.title`);
+    }
+
+    // 按筛选条件获取训练记录（最新的在前）
+    getFilteredSessions() {
+        const getValue = (id) => {
+            const element = document.getElementById(id);
+            return element ? element.value : '';
+        };
+        const plan = getValue('history-plan-filter') || 'all';
+        const status = getValue('history-status-filter') || 'all';
+        const startDate = getValue('history-start-date');
+        const endDate = getValue('history-end-date');
+
+        return window.storage.getSessions()
+            .filter(session => plan === 'all' || session.plan === plan)
+            .filter(session => status === 'all' || (status === 'completed') === !!session.completed)
+            .filter(session => !startDate || session.date >= startDate)
+            .filter(session => !endDate || session.date <= endDate)
+            .sort((a, b) => b.date.localeCompare(a.date) || (b.timestamp || 0) - (a.timestamp || 0));
+    }
+
+    // 根据已有记录更新计划筛选选项
+    updateHistoryPlanFilter() {
+        const select = document.getElementById('history-plan-filter');
+        if (!select) return;
+
+        const selected = select.value;
+        const plans = [...new Set(window.storage.getSessions().map(session => session.plan))];
+
+        select.innerHTML = `<option value="all">${window.i18n ? window.i18n.t('history.all_plans') : '全部计划'}</option>` +
+            plans.map(plan => `<option value="${this.escapeHtml(plan)}">${this.escapeHtml(this.getPlanTypeLabel(plan))}</option>`).join('');
+        select.value = plans.includes(selected) ? selected : 'all';
+    }
+
+    renderHistory() {
+        const list = document.getElementById('history-list');
+        if (!list || !window.storage) return;
+
+        this.updateHistoryPlanFilter();
+
+        const sessions = this.getFilteredSessions();
+
+        if (sessions.length === 0) {
+            list.innerHTML = `<p class="history-empty">${this.t('history.empty', '没有符合条件的训练记录')}</p>`;
+            return;
+        }
+
+        list.innerHTML = sessions.map(session => `
+            <div class="history-item ${session.completed ? 'completed' : 'partial'} ${session.source === 'manual' ? 'manual' : ''}" data-session-id="${this.escapeHtml(session.id)}">
+                <div class="history-item-main">
+                    <div class="history-item-title">
+                        ${this.escapeHtml(this.getSessionPlanLabel(session))}
+                        ${session.source === 'manual' ? `<span class="manual-badge">${this.t('log.badge', '手动')}</span>` : ''}
+                    </div>
+                    <div class="history-item-meta">
+                        ${window.i18n ? window.i18n.formatDate(window.dateUtils.parse(session.date)) : session.date}
+                        ${session.timestamp && session.source !== 'manual' ? new Date(session.timestamp).toTimeString().slice(0, 5) : ''}
+                        · ${window.i18n ? window.i18n.formatTime(session.duration || 0) : session.duration}
+                        · ${this.t('history.reps_count', '收缩{{count}}次', { count: session.completedReps || 0 })}
+                    </div>
+                    ${session.notes ? `<div class="history-item-notes">${this.escapeHtml(session.notes)}</div>` : ''}
+                    ${(session.tags || []).length > 0 ? `
+                        <div class="history-tags">
+                            ${session.tags.map(tag => `<span class="history-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+                <span class="history-status">${session.completed ? this.t('history.completed', '已完成') : this.t('history.partial', '未完成')}</span>
+            </div>
+        `).join('');
+    }
+
+    // === 补记训练 ===
+
+    showLogSessionDialog() {
+        const dialog = document.getElementById('log-session-dialog');
+        const dateInput = document.getElementById('log-date');
+        const planSelect = document.getElementById('log-plan');
+        if (!dialog || !window.exercise) return;
+
+        const today = window.dateUtils.today();
+        dateInput.value = today;
+        dateInput.max = today;
+
+        // 可选：预设计划、已保存的自定义计划，或只记录次数
+        const presets = Object.keys(window.exercise.plans);
+        const customPlans = window.storage.getCustomPlans();
+        planSelect.innerHTML = `<option value="">${this.t('log.reps_only', '只记录次数')}</option>` +
+            presets.map(name => `<option value="${name}">${this.getPlanTypeLabel(name)}</option>`).join('') +
+            customPlans.map(plan => `<option value="${this.escapeHtml(plan.id)}">${this.escapeHtml(plan.title)}</option>`).join('');
+        planSelect.value = '';
+
+        document.getElementById('log-sets').value = 1;
+        document.getElementById('log-reps').value = 10;
+        document.getElementById('log-duration').value = 5;
+
+        dialog.style.display = 'flex';
+    }
+
+    hideLogSessionDialog() {
+        const dialog = document.getElementById('log-session-dialog');
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+    }
+
+    // 选择计划后预填组数、次数和时长
+    fillLogSessionFromPlan() {
+        const planId = document.getElementById('log-plan').value;
+        const plan = planId ? window.exercise.getPlan(planId) : null;
+        if (!plan) return;
+
+        const segments = window.exercise.getSegments(plan);
+        document.getElementById('log-sets').value = segments.length;
+        document.getElementById('log-reps').value = segments.reduce((sum, segment) => sum + segment.reps, 0);
+        document.getElementById('log-duration').value = window.exercise.calculatePlanDuration(plan);
+    }
+
+    saveLoggedSession() {
+        const date = document.getElementById('log-date').value;
+        const today = window.dateUtils.today();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || date > today) {
+            this.showToast(window.i18n ? window.i18n.t('history.invalid_date') : '请选择有效的日期');
+            return;
+        }
+
+        const sets = Math.max(1, parseInt(document.getElementById('log-sets').value) || 1);
+        const reps = parseInt(document.getElementById('log-reps').value) || 0;
+        const minutes = Math.max(0, parseFloat(document.getElementById('log-duration').value) || 0);
+        if (reps <= 0) {
+            this.showToast(window.i18n ? window.i18n.t('log.invalid_reps') : '请输入收缩次数');
+            return;
+        }
+
+        const planId = document.getElementById('log-plan').value;
+        const plan = planId ? window.exercise.getPlan(planId) : null;
+        const segments = plan ? window.exercise.getSegments(plan) : [];
+
+        window.storage.saveSession({
+            date,
+            source: 'manual',
+            plan: plan ? (plan.isCustom ? 'custom' : plan.name) : 'manual',
+            customPlanId: plan && plan.isCustom ? plan.id : null,
+            planTitle: plan && plan.isCustom ? plan.title : null,
+            duration: Math.round(minutes * 60),
+            contractTime: segments.length > 0 ? Math.max(...segments.map(segment => segment.contractTime)) : undefined,
+            relaxTime: segments.length > 0 ? segments[0].relaxTime : undefined,
+            sets,
+            repetitions: Math.ceil(reps / sets),
+            totalReps: reps,
+            completed: true,
+            completedSets: sets,
+            completedReps: reps
+        });
+
+        this.hideLogSessionDialog();
+        this.showToast(window.i18n ? window.i18n.t('messages.session_logged') : '训练已补记');
+        this.updateUI();
+    }
+
+    showSessionDialog(sessionId) {
+        const session = window.storage.getSession(sessionId);
+        const dialog = document.getElementById('session-dialog');
+        if (!session || !dialog) return;
+
+        this.editingSessionId = sessionId;
+
+        document.getElementById('session-dialog-title').textContent = this.getSessionPlanLabel(session);
+        document.getElementById('session-dialog-summary').textContent = this.t('history.summary', '计划：{{sets}}组 · 共{{reps}}次 · 收缩{{contract}}秒 / 放松{{relax}}秒', {
+            sets: session.sets,
+            reps: session.totalReps || session.sets * session.repetitions,
+            contract: session.contractTime,
+            relax: session.relaxTime
+        });
+
+        const dateInput = document.getElementById('session-date');
+        dateInput.value = session.date;
+        dateInput.max = window.dateUtils.today();
+        document.getElementById('session-duration').value = Math.round((session.duration || 0) / 30) / 2;
+        document.getElementById('session-completed-sets').value = session.completedSets || 0;
+        document.getElementById('session-completed-reps').value = session.completedReps || 0;
+        document.getElementById('session-completed').checked = !!session.completed;
+        document.getElementById('session-notes').value = session.notes || '';
+        document.getElementById('session-tags').value = (session.tags || []).join(', ');
+
+        dialog.style.display = 'flex';
+    }
+
+    hideSessionDialog() {
+        const dialog = document.getElementById('session-dialog');
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+        this.editingSessionId = null;
+    }
+
+    saveSessionFromDialog() {
+        if (!this.editingSessionId) return;
+
+        const date = document.getElementById('session-date').value;
+        // 不能改到今天之后（连续天数按已经过去的日期计算）
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || date > window.dateUtils.today()) {
+            this.showToast(window.i18n ? window.i18n.t('history.invalid_date') : '请选择有效的日期');
+            return;
+        }
+
+        const toNumber = (id) => Math.max(0, parseFloat(document.getElementById(id).value) || 0);
+        const tags = document.getElementById('session-tags').value
+            .split(/[,，]/)
+            .map(tag => tag.trim())
+            .filter(tag => tag.length > 0);
+
+        const updated = window.storage.updateSession(this.editingSessionId, {
+            date,
+            duration: Math.round(toNumber('session-duration') * 60),
+            completedSets: Math.round(toNumber('session-completed-sets')),
+            completedReps: Math.round(toNumber('session-completed-reps')),
+            completed: document.getElementById('session-completed').checked,
+            notes: document.getElementById('session-notes').value.trim(),
+            tags: [...new Set(tags)]
+        });
+
+        this.hideSessionDialog();
+        if (updated) {
+            this.showToast(window.i18n ? window.i18n.t('messages.session_updated') : '训练记录已更新');
+            this.renderHistory();
+        }
+    }
+
+    deleteSessionFromDialog() {
+        const sessionId = this.editingSessionId;
+        if (!sessionId) return;
+
+        this.hideSessionDialog();
+        this.showDialog(
+            window.i18n ? window.i18n.t('dialog.delete_session.title') : '删除训练记录',
+            window.i18n ? window.i18n.t('dialog.delete_session.message') : '确定要删除这条训练记录吗？此操作无法撤销。',
+            () => {
+                window.storage.deleteSession(sessionId);
+                this.showToast(window.i18n ? window.i18n.t('messages.session_deleted') : '训练记录已删除');
+                this.renderHistory();
+            }
+        );
+    }
+
+    // === 训练报告 ===
+
+    // 训练记录的计划名称
+    getSessionPlanLabel(session) {
+        if (session.planTitle) return session.planTitle;
+        if (!window.i18n) return session.plan;
+
+        if (session.plan === 'program' && session.programId) {
+            // 方案不存在时（如从较新版本的设备同步或导入的记录）只显示计划类型
+            const definition = window.program ? window.program.getProgramDefinition(session.programId) : null;
+            if (definition) {
+                return `${window.i18n.t(`program.${session.programId}.title`)} · ${window.i18n.t('program.week_of', {
+                    week: session.programWeek,
+                    total: definition.weeks
+                })}`;
+            }
+        }
+        return this.getPlanTypeLabel(session.plan);
+    }
+
+    async renderReport() {
+        const content = document.getElementById('report-content');
+        const startInput = document.getElementById('report-start-date');
+        const endInput = document.getElementById('report-end-date');
+        if (!content || !window.report || !window.storage) return;
+
+        // 首次打开时使用默认周期
+        if (startInput && endInput && (!startInput.value || !endInput.value)) {
+            const period = window.report.getDefaultPeriod();
+            startInput.value = startInput.value || period.startDate;
+            endInput.value = endInput.value || period.endDate;
+        }
+
+        let startDate = startInput.value;
+        let endDate = endInput.value;
+        if (startDate > endDate) {
+            [startDate, endDate] = [endDate, startDate];
+        }
+
+        const data = await window.report.generate(startDate, endDate);
+        const formatDate = (date) => window.i18n ? window.i18n.formatDate(window.dateUtils.parse(date)) : date;
+        const formatSeconds = (seconds) => window.i18n ? window.i18n.formatTime(seconds) : `${seconds}s`;
+
+        const summary = [
+            [`${data.adherence}%`, this.t('report.adherence', '坚持率'),
+                this.t('report.adherence_detail', '{{days}}/{{total}} 天有训练', { days: data.trainingDays, total: data.days })],
+            [data.totalContractions, this.t('report.contractions', '收缩总次数')],
+            [formatSeconds(data.longestHold), this.t('report.longest_hold', '最长保持')],
+            [data.completedSessions, this.t('report.sessions', '完成训练')],
+            [Math.round(data.totalDuration / 60), this.t('stats.duration', '总时长(分)')],
+            [data.longestStreak, this.t('report.period_streak', '最长连续天数'),
+                this.t('report.streak_detail', '当前 {{current}} 天 · 历史最佳 {{best}} 天', { current: data.currentStreak, best: data.maxStreak })]
+        ];
+
+        const rows = data.sessions.map(session => `
+            <tr>
+                <td>${formatDate(session.date)}</td>
+                <td>${session.timestamp && session.source !== 'manual' ? new Date(session.timestamp).toTimeString().slice(0, 5) : ''}</td>
+                <td>${this.escapeHtml(this.getSessionPlanLabel(session))}</td>
+                <td>${formatSeconds(session.duration || 0)}</td>
+                <td>${session.completedSets}/${session.sets}</td>
+                <td>${session.completedReps}/${session.totalReps || session.sets * session.repetitions}</td>
+                <td>${formatSeconds(session.contractTime || 0)}</td>
+                <td>${session.completed ? this.t('report.completed', '完成') : this.t('report.incomplete', '未完成')}</td>
+            </tr>
+        `).join('');
+
+        content.innerHTML = `
+            <div class="report-header">
+                <h2>${this.t('report.heading', '盆底肌训练报告')}</h2>
+                <p>${formatDate(data.startDate)} – ${formatDate(data.endDate)}</p>
+                <p class="report-generated">${this.t('report.generated', '生成于 {{date}} · PelvicFit Mini', { date: window.i18n ? window.i18n.formatDate(new Date(data.generatedAt)) : '' })}</p>
+            </div>
+
+            <div class="report-summary">
+                ${summary.map(([value, label, detail]) => `
+                    <div class="stat-card">
+                        <div class="stat-value">${value}</div>
+                        <div class="stat-label">${label}</div>
+                        ${detail ? `<div class="report-detail">${detail}</div>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+
+            <h3>${this.t('report.weekly', '每周训练天数')}</h3>
+            <div class="chart-container">
+                <canvas id="report-chart" width="600" height="220"></canvas>
+            </div>
+
+            <h3>${this.t('report.session_list', '训练明细')}</h3>
+            ${data.sessions.length > 0 ? `
+                <table class="report-table">
+                    <thead>
+                        <tr>
+                            <th>${this.t('report.columns.date', '日期')}</th>
+                            <th>${this.t('report.columns.time', '时间')}</th>
+                            <th>${this.t('report.columns.plan', '计划')}</th>
+                            <th>${this.t('report.columns.duration', '时长')}</th>
+                            <th>${this.t('report.columns.sets', '组数')}</th>
+                            <th>${this.t('report.columns.reps', '收缩次数')}</th>
+                            <th>${this.t('report.columns.hold', '保持')}</th>
+                            <th>${this.t('report.columns.status', '状态')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : `<p class="report-empty">${this.t('report.empty', '所选周期内没有训练记录')}</p>`}
+
+            <p class="report-footer">${this.t('report.footer', '本报告由设备本地数据生成，仅供参考，不构成医疗建议。')}</p>
+        `;
+
+        const canvas = document.getElementById('report-chart');
+        if (canvas) {
+            this.drawReportChart(canvas.getContext('2d'), data.weeks);
+        }
+    }
+
+    // 每周训练天数柱状图
+    drawReportChart(ctx, weeks) {
+        const canvas = ctx.canvas;
+        const width = canvas.width;
+        const height = canvas.height;
+        const chartTop = 20;
+        const chartBottom = height - 30;
+
+        ctx.clearRect(0, 0, width, height);
+        if (weeks.length === 0) return;
+
+        const slot = width / weeks.length;
+        const barWidth = Math.min(slot * 0.6, 60);
+
+        // 网格线（0–7天）
+        ctx.strokeStyle = '#E0E0E0';
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 7; i++) {
+            const y = chartBottom - (chartBottom - chartTop) * i / 7;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+        }
+
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        weeks.forEach((week, index) => {
+            const x = slot * index + (slot - barWidth) / 2;
+            const barHeight = (chartBottom - chartTop) * week.trainingDays / 7;
+
+            ctx.fillStyle = '#2196F3';
+            ctx.fillRect(x, chartBottom - barHeight, barWidth, barHeight);
+
+            ctx.fillStyle = '#212121';
+            ctx.fillText(`${week.trainingDays}`, x + barWidth / 2, chartBottom - barHeight - 4);
+
+            ctx.fillStyle = '#757575';
+            ctx.fillText(week.startDate.slice(5), x + barWidth / 2, height - 10);
+        });
+    }
+
+    // 翻译文本；国际化模块不可用时使用中文 fallback，参数按 {{name}} 替换（与 i18n.t 相同）
+    t(key, fallback, params = {}) {
+        if (window.i18n) {
+            return window.i18n.t(key, params);
+        }
+        return String(fallback).replace(/\{\{(\w+)\}\}/g, (match, name) => {
+            return params[name] !== undefined ? params[name] : match;
+        });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        // textContent 不转义引号，结果也用在属性值中
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
     // 对话框方法
     showDialog(title, message, onConfirm, onCancel = null) {
         const dialog = document.getElementById('confirm-dialog');
@@ -872,6 +3073,32 @@ class UI {
         }
     }
 
+    // 按可选日期范围导出训练历史（csv / ics）
+    async exportHistory(format) {
+        if (!window.storage) return;
+
+        const startInput = document.getElementById('export-start-date');
+        const endInput = document.getElementById('export-end-date');
+        const startDate = startInput && startInput.value ? startInput.value : null;
+        const endDate = endInput && endInput.value ? endInput.value : null;
+
+        if (startDate && endDate && startDate > endDate) {
+            this.showToast(window.i18n ? window.i18n.t('export.invalid_range') : '开始日期不能晚于结束日期');
+            return;
+        }
+
+        const sessions = await window.storage.getSessionsForExport(startDate, endDate);
+        if (sessions.length === 0) {
+            this.showToast(window.i18n ? window.i18n.t('export.no_sessions') : '所选范围内没有训练记录');
+            return;
+        }
+
+        const count = format === 'ics' ?
+            await window.storage.exportToICS(startDate, endDate) :
+            await window.storage.exportToCSV(startDate, endDate);
+        this.showToast(window.i18n ? window.i18n.t('export.exported', { count }) : `已导出 ${count} 条训练记录`);
+    }
+
     toggleLanguage() {
         if (window.i18n) {
             const currentLang = window.i18n.getCurrentLanguage();
@@ -935,10 +3162,18 @@ class UI {
         
         if (this.currentPage === 'home') {
             this.updatePlanDurations();
+            this.updateQuickStartButton();
+        }
+        if (this.currentPage === 'plans') {
+            this.renderPrograms();
+            this.renderSavedPlans();
         }
         if (this.currentPage === 'stats') {
             this.loadStatsData();
         }
+        if (this.currentPage === 'history') {
+            this.renderHistory();
+        }
         if (this.currentPage === 'settings') {
             this.loadSettingsValues();
         }
@@ -966,16 +3201,35 @@ class UI {
         }
     }
 
-    // 自定义计划对话框方法
-    showCustomPlanDialog() {
+    // 自定义计划对话框方法（传入planId时编辑已保存的计划）
+    showCustomPlanDialog(planId = null) {
         const dialog = document.getElementById('custom-plan-dialog');
         if (dialog) {
-            // 重置表单为默认值
-            document.getElementById('custom-contract-time').value = '3';
-            document.getElementById('custom-relax-time').value = '3';
-            document.getElementById('custom-reps').value = '10';
-            document.getElementById('custom-sets').value = '3';
-            document.getElementById('custom-rest').value = '30';
+            const savedPlan = planId && window.storage ? window.storage.getCustomPlan(planId) : null;
+            const plan = savedPlan || {
+                title: '',
+                contractTime: 3,
+                relaxTime: 3,
+                repsPerSet: 10,
+                sets: 3,
+                restTime: 30
+            };
+            this.editingPlanId = savedPlan ? savedPlan.id : null;
+
+            // 填充表单（新建时为默认值）
+            document.getElementById('custom-plan-name').value = plan.title;
+            document.getElementById('custom-contract-time').value = String(plan.contractTime);
+            document.getElementById('custom-relax-time').value = String(plan.relaxTime);
+            document.getElementById('custom-reps').value = String(plan.repsPerSet);
+            document.getElementById('custom-sets').value = String(plan.sets);
+            document.getElementById('custom-rest').value = String(plan.restTime);
+
+            const titleEl = dialog.querySelector('h3');
+            if (titleEl && window.i18n) {
+                const titleKey = savedPlan ? 'custom.edit_title' : 'custom.title';
+                titleEl.setAttribute('data-i18n', titleKey);
+                titleEl.textContent = window.i18n.t(titleKey);
+            }
             
             this.updateCustomDurationPreview();
             dialog.style.display = 'flex';
@@ -987,6 +3241,159 @@ class UI {
         if (dialog) {
             dialog.style.display = 'none';
         }
+        this.editingPlanId = null;
+    }
+
+    // 渲染训练方案列表
+    renderPrograms() {
+        const list = document.getElementById('programs-list');
+        if (!list || !window.program || !window.i18n) return;
+
+        const progress = window.program.getProgress();
+        list.innerHTML = '';
+
+        Object.values(window.program.getAllPrograms()).forEach(program => {
+            const isActive = progress && progress.programId === program.id;
+            const firstWeek = window.program.getWeekPlan(program.id, 1);
+            const lastWeek = window.program.getWeekPlan(program.id, program.weeks);
+
+            const div = document.createElement('div');
+            div.className = `plan-card program-card ${isActive ? 'active' : ''}`;
+            div.innerHTML = `
+                <div class="plan-header">
+                    <span class="plan-level">📈</span>
+                    <h3 data-i18n="program.${program.id}.title">${window.i18n.t(`program.${program.id}.title`)}</h3>
+                    <span class="plan-duration">${window.i18n.t('program.weeks', { weeks: program.weeks })}</span>
+                </div>
+                <div class="plan-details">
+                    <p data-i18n="program.${program.id}.desc">${window.i18n.t(`program.${program.id}.desc`)}</p>
+                    <p>${window.i18n.t('program.range', {
+                        from: firstWeek.contractTime,
+                        to: lastWeek.contractTime,
+                        sessions: program.sessionsToLevelUp
+                    })}</p>
+                </div>
+                <div class="plan-actions">
+                    <button class="plan-action-btn" ${isActive ? 'disabled' : ''}>
+                        ${window.i18n.t(isActive ? 'program.active' : 'program.join')}
+                    </button>
+                </div>
+            `;
+
+            if (!isActive) {
+                div.querySelector('.plan-action-btn').addEventListener('click', () => {
+                    this.showJoinProgramDialog(program.id, !!progress);
+                });
+            }
+
+            list.appendChild(div);
+        });
+    }
+
+    showJoinProgramDialog(programId, replacesCurrent) {
+        const title = window.i18n.t(`program.${programId}.title`);
+        this.showDialog(
+            window.i18n.t('dialog.join_program.title'),
+            window.i18n.t(replacesCurrent ? 'dialog.join_program.replace_message' : 'dialog.join_program.message', { title }),
+            () => {
+                if (window.program.enroll(programId)) {
+                    this.showToast(window.i18n.t('messages.program_joined', { title }));
+                }
+            }
+        );
+    }
+
+    // 渲染已保存的自定义计划列表
+    renderSavedPlans() {
+        const list = document.getElementById('saved-plans-list');
+        const emptyHint = document.getElementById('saved-plans-empty');
+        if (!list || !window.exercise) return;
+
+        const plans = Object.values(window.exercise.getCustomPlans());
+        list.innerHTML = '';
+
+        plans.forEach((plan, index) => {
+            list.appendChild(this.createSavedPlanElement(plan, index === 0, index === plans.length - 1));
+        });
+
+        if (emptyHint) {
+            emptyHint.style.display = plans.length === 0 ? 'block' : 'none';
+        }
+    }
+
+    createSavedPlanElement(plan, isFirst, isLast) {
+        const div = document.createElement('div');
+        div.className = 'plan-card saved-plan-card';
+        div.setAttribute('data-plan', plan.id);
+
+        const duration = window.exercise.calculatePlanDuration(plan);
+        const lang = window.i18n ? window.i18n.getCurrentLanguage() : 'zh';
+
+        div.innerHTML = `
+            <div class="plan-header">
+                <span class="plan-level">⭐</span>
+                <h3></h3>
+                <span class="plan-duration">${lang === 'zh' ? `${duration}分钟` : `${duration} min`}</span>
+            </div>
+            <div class="plan-details">
+                <p>${this.t('plans.custom_desc', '收缩{{contract}}秒，放松{{relax}}秒', { contract: plan.contractTime, relax: plan.relaxTime })}</p>
+                <p>${this.t('plans.custom_sets', '{{reps}}次 × {{sets}}组', { reps: plan.repsPerSet, sets: plan.sets })}</p>
+            </div>
+            <div class="plan-actions">
+                <button class="plan-action-btn" data-action="up" ${isFirst ? 'disabled' : ''} title="${this.t('plans.move_up', '上移')}">▲</button>
+                <button class="plan-action-btn" data-action="down" ${isLast ? 'disabled' : ''} title="${this.t('plans.move_down', '下移')}">▼</button>
+                <button class="plan-action-btn" data-action="edit">${this.t('plans.edit', '编辑')}</button>
+                <button class="plan-action-btn" data-action="duplicate">${this.t('plans.duplicate', '复制')}</button>
+                <button class="plan-action-btn danger" data-action="delete">${this.t('plans.delete', '删除')}</button>
+            </div>
+        `;
+        // 计划名称由用户输入，使用textContent避免注入
+        div.querySelector('h3').textContent = plan.title;
+
+        div.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('.plan-action-btn');
+            if (actionBtn) {
+                e.stopPropagation();
+                this.handleSavedPlanAction(actionBtn.getAttribute('data-action'), plan);
+            } else {
+                this.startExerciseWithPlan(plan.id);
+            }
+        });
+
+        return div;
+    }
+
+    handleSavedPlanAction(action, plan) {
+        if (!window.storage) return;
+
+        switch (action) {
+            case 'up':
+                window.storage.moveCustomPlan(plan.id, -1);
+                break;
+            case 'down':
+                window.storage.moveCustomPlan(plan.id, 1);
+                break;
+            case 'edit':
+                this.showCustomPlanDialog(plan.id);
+                return;
+            case 'duplicate':
+                window.storage.duplicateCustomPlan(plan.id, window.i18n ? window.i18n.t('plans.copy_suffix') : '（副本）');
+                this.showToast(window.i18n ? window.i18n.t('messages.plan_duplicated') : '计划已复制');
+                break;
+            case 'delete':
+                this.showDialog(
+                    window.i18n ? window.i18n.t('dialog.delete_plan.title') : '删除计划',
+                    window.i18n ? window.i18n.t('dialog.delete_plan.message', { title: plan.title }) : `确定要删除“${plan.title}”吗？`,
+                    () => {
+                        window.storage.deleteCustomPlan(plan.id);
+                        this.renderSavedPlans();
+                        this.showToast(window.i18n ? window.i18n.t('messages.plan_deleted') : '计划已删除');
+                    }
+                );
+                return;
+        }
+
+        this.renderSavedPlans();
     }
 
     updateCustomDurationPreview() {
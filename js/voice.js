@@ -0,0 +1,225 @@
+/**
+ * PelvicFit Mini - 语音指导模块
+ * 通过 Web Speech API（speechSynthesis）朗读训练提示，不看屏幕也能跟着收缩和放松。
+ * 提示语跟随当前界面语言（lang/*.json 的 voice.*），详细程度：
+ * - phase：只提示阶段（收缩、放松、休息）
+ * - countdown：阶段 + 每个阶段最后几秒倒数
+ * - full：再加上第几组、第几次、最后一次等完整指导
+ *
+ * 本模块只监听训练事件（exerciseStateChanged、timerUpdate），训练逻辑仍由 exercise.js 负责。
+ */
+
+class VoiceCoach {
+    constructor() {
+        this.levels = ['off', 'phase', 'countdown', 'full'];
+        this.languageTags = { zh: 'zh-CN', en: 'en-US' };
+        this.countdownFrom = 3; // 阶段最后几秒开始倒数
+
+        this.running = false; // 训练是否正在进行（未暂停）
+        this.phase = null;
+        this.phaseKey = null; // 最近一次提示的阶段，避免重复朗读
+        this.lastCount = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.isSupported()) return;
+
+        window.addEventListener('exerciseStateChanged', (event) => {
+            this.onStateChanged(event.detail);
+        });
+
+        window.addEventListener('timerUpdate', (event) => {
+            this.onTimerUpdate(event.detail);
+        });
+
+        window.addEventListener('settingsChanged', (event) => {
+            if (event.detail.voiceLevel === 'off') {
+                this.cancel();
+            }
+        });
+
+        // 部分浏览器异步载入声音列表
+        window.speechSynthesis.addEventListener('voiceschanged', () => {
+            window.dispatchEvent(new CustomEvent('voicesChanged'));
+        });
+    }
+
+    isSupported() {
+        return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    }
+
+    // === 设置 ===
+
+    getLevel() {
+        const level = window.storage ? window.storage.getSetting('voiceLevel', 'off') : 'off';
+        return this.levels.includes(level) ? level : 'off';
+    }
+
+    isEnabled() {
+        return this.isSupported() && this.getLevel() !== 'off';
+    }
+
+    getLanguageTag() {
+        const lang = window.i18n ? window.i18n.getCurrentLanguage() : 'zh';
+        return this.languageTags[lang] || this.languageTags.zh;
+    }
+
+    // 当前界面语言可用的声音
+    getVoices() {
+        if (!this.isSupported()) return [];
+        const prefix = this.getLanguageTag().split('-')[0];
+        return window.speechSynthesis.getVoices().filter(voice =>
+            voice.lang.replace('_', '-').toLowerCase().split('-')[0] === prefix);
+    }
+
+    // 设置中选择的声音；切换语言后不匹配时使用系统默认
+    getVoice() {
+        const voiceURI = window.storage ? window.storage.getSetting('voiceURI', '') : '';
+        if (!voiceURI) return null;
+        return this.getVoices().find(voice => voice.voiceURI === voiceURI) || null;
+    }
+
+    // === 朗读 ===
+
+    // interrupt 为true时先停止正在朗读和排队的提示（进入新阶段时之前的倒数已经过时）
+    speak(texts, interrupt = false) {
+        if (!this.isSupported()) return;
+        const synth = window.speechSynthesis;
+        if (interrupt) {
+            synth.cancel();
+        }
+
+        const voice = this.getVoice();
+        const rate = window.storage ? window.storage.getSetting('voiceRate', 1) : 1;
+        const volume = window.storage ? window.storage.getSetting('voiceVolume', 1) : 1;
+        [].concat(texts).filter(Boolean).forEach(text => {
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = voice ? voice.lang : this.getLanguageTag();
+            if (voice) {
+                utterance.voice = voice;
+            }
+            utterance.rate = rate;
+            utterance.volume = volume;
+            synth.speak(utterance);
+        });
+    }
+
+    cancel() {
+        if (this.isSupported()) {
+            window.speechSynthesis.cancel();
+        }
+    }
+
+    // 设置页试听
+    preview() {
+        const i18n = window.i18n;
+        this.speak([i18n ? i18n.t('voice.contract') : '收缩', '3', '2', '1', i18n ? i18n.t('voice.relax') : '放松'], true);
+    }
+
+    // === 训练事件 ===
+
+    onStateChanged(state) {
+        this.running = state.isActive && !state.isPaused;
+        if (!this.isEnabled()) {
+            this.phaseKey = null;
+            return;
+        }
+
+        if (!state.isActive) {
+            // 停止训练时不再朗读；正常完成时提示训练完成
+            if (state.phase === 'complete' && this.phaseKey !== 'complete') {
+                this.speak(this.getPhaseTexts(state), true);
+                this.phaseKey = 'complete';
+            } else if (state.phase !== 'complete') {
+                this.cancel();
+                this.phaseKey = null;
+            }
+            return;
+        }
+        if (state.isPaused) {
+            this.cancel();
+            return;
+        }
+
+        // 暂停、继续等状态变化也会触发事件，只在进入新阶段时朗读
+        const key = [state.phase, state.currentSet, state.currentRep, state.currentStep].join('|');
+        if (key === this.phaseKey) return;
+
+        const previousPhase = this.phase;
+        this.phaseKey = key;
+        this.phase = state.phase;
+        this.lastCount = null;
+        this.speak(this.getPhaseTexts(state, previousPhase), true);
+    }
+
+    // 阶段最后几秒倒数，阶段开始的那一秒留给阶段提示
+    onTimerUpdate(data) {
+        if (!this.running || !this.isEnabled() || this.getLevel() === 'phase') return;
+        if (!['prepare', 'contract', 'rest'].includes(this.phase)) return;
+
+        const count = Math.ceil(data.timeRemaining);
+        if (count === this.lastCount) return;
+        this.lastCount = count;
+
+        if (count >= 1 && count <= this.countdownFrom && count < data.totalPhaseTime) {
+            this.speak(String(count));
+        }
+    }
+
+    // 进入阶段时的提示语（可能是几句，依次朗读）
+    getPhaseTexts(state, previousPhase = null) {
+        const i18n = window.i18n;
+        const full = this.getLevel() === 'full';
+        const setText = i18n ? i18n.t('voice.set', { set: state.currentSet, sets: state.totalSets }) :
+            `第${state.currentSet}组，共${state.totalSets}组`;
+
+        switch (state.phase) {
+            case 'prepare':
+                return [i18n ? i18n.t('voice.prepare') : '准备', full ? setText : null];
+            case 'contract': {
+                // 电梯式训练：每提升一档提示力度
+                if (state.segmentType === 'elevator' && state.currentStep > 0) {
+                    return [i18n ? i18n.t('voice.step', { value: state.intensity }) : `加力，${state.intensity}%`];
+                }
+                const texts = [];
+                // 没有组间休息时在第一次收缩前提示新的一组
+                if (full && state.currentRep === 1 && state.currentSet > 1 && previousPhase !== 'rest') {
+                    texts.push(setText);
+                }
+                texts.push(i18n ? i18n.t('voice.contract') : '收缩');
+                if (state.segmentType === 'elevator') {
+                    texts.push(i18n ? i18n.t('voice.intensity', { value: state.intensity }) : `力度${state.intensity}%`);
+                }
+                if (full) {
+                    const last = state.currentRep === state.totalReps && state.totalReps > 1;
+                    if (last) {
+                        texts.push(i18n ? i18n.t('voice.last_rep') : '最后一次');
+                    } else {
+                        texts.push(i18n ? i18n.t('voice.rep', { rep: state.currentRep, reps: state.totalReps }) : `第${state.currentRep}次`);
+                    }
+                }
+                return texts;
+            }
+            case 'relax':
+                return [i18n ? i18n.t('voice.relax') : '放松'];
+            case 'rest':
+                if (!full) {
+                    return [i18n ? i18n.t('voice.rest') : '休息'];
+                }
+                return [
+                    i18n ? i18n.t('voice.rest_seconds', { seconds: state.totalPhaseTime }) : `休息${state.totalPhaseTime}秒`,
+                    i18n ? i18n.t('voice.next_set', { set: state.currentSet, sets: state.totalSets }) :
+                        `接下来第${state.currentSet}组，共${state.totalSets}组`
+                ];
+            case 'complete':
+                return [i18n ? i18n.t('voice.complete') : '训练完成，做得很好'];
+            default:
+                return [];
+        }
+    }
+}
+
+// 创建全局实例
+window.voiceCoach = new VoiceCoach();
\ No newline at end of file
@@ -0,0 +1,241 @@
+/**
+ * PelvicFit Mini - Service Worker
+ * 离线缓存、版本更新和训练提醒通知调度
+ */
+
+// 发布新版本时更新此版本号，旧缓存会在新版本激活后清除
+const CACHE_VERSION = '1.1.0';
+const CACHE_PREFIX = 'pelvicfit-precache-';
+const PRECACHE = CACHE_PREFIX + CACHE_VERSION;
+const RUNTIME_CACHE = 'pelvicfit-runtime';
+
+// 应用外壳：离线使用所需的全部文件
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './manifest.json',
+    './css/main.css',
+    './css/responsive.css',
+    './js/i18n.js',
+    './js/date.js',
+    './js/crypto.js',
+    './js/db.js',
+    './js/storage.js',
+    './js/qr.js',
+    './js/transfer.js',
+    './js/sync.js',
+    './js/lock.js',
+    './js/program.js',
+    './js/reminder.js',
+    './js/report.js',
+    './js/audio.js',
+    './js/exercise.js',
+    './js/background.js',
+    './js/voice.js',
+    './js/ui.js',
+    './js/app.js',
+    './lang/zh.json',
+    './lang/en.json',
+    './assets/audio/start.wav',
+    './assets/audio/contract.wav',
+    './assets/audio/step.wav',
+    './assets/audio/relax.wav',
+    './assets/audio/rest.wav',
+    './assets/audio/complete.wav',
+    './assets/audio/tick.wav'
+];
+
+const REMINDER_CACHE = 'pelvicfit-reminders';
+const REMINDER_STORE_URL = './__reminders__';
+const REMINDER_TAG_PREFIX = 'pelvicfit-reminder-';
+const REMINDER_SYNC_TAG = 'pelvicfit-reminders';
+const MISSED_REMINDER_WINDOW = 60 * 60 * 1000; // 错过超过1小时的提醒不再补发
+
+// 安装：预缓存应用外壳
+// 已有旧版本在运行时，新版本进入等待状态；页面发现后发送 GET_VERSION，收到 UPDATE_AVAILABLE 后提示用户确认再激活（见 app.js）
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE);
+        await cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })));
+    })());
+});
+
+// 激活：清除旧版本缓存并接管页面
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const cacheNames = await caches.keys();
+        await Promise.all(cacheNames
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== PRECACHE)
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+        await checkDueReminders();
+    })());
+});
+
+// 缓存优先：预缓存的文件直接返回，其他同源请求从网络获取并写入运行时缓存
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith((async () => {
+        // 页面导航（包括带查询参数的启动链接）统一返回应用外壳
+        if (request.mode === 'navigate') {
+            const shell = await caches.match('./index.html', { cacheName: PRECACHE });
+            if (shell) return shell;
+        }
+
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+
+        try {
+            const response = await fetch(request);
+            if (response.ok && response.type === 'basic') {
+                const cache = await caches.open(RUNTIME_CACHE);
+                cache.put(request, response.clone());
+            }
+            return response;
+        } catch (error) {
+            if (request.mode === 'navigate') {
+                return caches.match('./index.html');
+            }
+            throw error;
+        }
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    switch (data.type) {
+        case 'GET_VERSION':
+            // 页面发现等待中的新版本时询问；本版本正在等待（已有旧版本在运行）时回复 UPDATE_AVAILABLE
+            if (event.source) {
+                const registration = self.registration;
+                const waiting = !!(registration.active && registration.waiting &&
+                    (!self.serviceWorker || self.serviceWorker === registration.waiting));
+                event.source.postMessage({ type: waiting ? 'UPDATE_AVAILABLE' : 'VERSION', version: CACHE_VERSION });
+            }
+            break;
+        case 'SKIP_WAITING':
+            // 用户确认更新后激活等待中的新版本
+            self.skipWaiting();
+            break;
+        case 'SCHEDULE_REMINDERS':
+            event.waitUntil(scheduleReminders(data));
+            break;
+        case 'CHECK_REMINDERS':
+            // 页面定时检查；已显示的提醒标记为shown，不会重复通知
+            event.waitUntil(checkDueReminders());
+            break;
+    }
+});
+
+// 周期性后台同步（浏览器支持时）
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === REMINDER_SYNC_TAG) {
+        event.waitUntil(checkDueReminders());
+    }
+});
+
+// 点击通知时打开或聚焦应用
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+
+    event.waitUntil((async () => {
+        const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        for (const client of clientList) {
+            if ('focus' in client) {
+                client.postMessage({ type: 'REMINDER_CLICKED' });
+                return client.focus();
+            }
+        }
+        return self.clients.openWindow('./index.html?action=reminder');
+    })());
+});
+
+// === 提醒存储（Service Worker无法访问localStorage，使用Cache API保存计划） ===
+
+async function loadReminderStore() {
+    const cache = await caches.open(REMINDER_CACHE);
+    const response = await cache.match(REMINDER_STORE_URL);
+    return response ? response.json() : { reminders: [] };
+}
+
+async function saveReminderStore(store) {
+    const cache = await caches.open(REMINDER_CACHE);
+    await cache.put(REMINDER_STORE_URL, new Response(JSON.stringify(store), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+// === 调度 ===
+
+function supportsNotificationTriggers() {
+    return 'TimestampTrigger' in self && 'showTrigger' in Notification.prototype;
+}
+
+async function scheduleReminders(data) {
+    const previous = await loadReminderStore();
+    const shownIds = new Set((previous.reminders || []).filter(r => r.shown).map(r => r.id));
+
+    const store = {
+        title: data.title,
+        body: data.body,
+        icon: data.icon,
+        triggersScheduled: supportsNotificationTriggers(),
+        reminders: (data.reminders || []).map(reminder => ({
+            ...reminder,
+            shown: shownIds.has(reminder.id)
+        }))
+    };
+
+    // 支持通知触发器时由系统按时显示，先取消旧的计划
+    if (store.triggersScheduled) {
+        const pending = await self.registration.getNotifications({ includeTriggered: true });
+        pending
+            .filter(notification => notification.tag.startsWith(REMINDER_TAG_PREFIX))
+            .forEach(notification => notification.close());
+
+        await Promise.all(store.reminders.map(reminder =>
+            self.registration.showNotification(store.title, {
+                body: store.body,
+                icon: store.icon,
+                tag: REMINDER_TAG_PREFIX + reminder.id,
+                showTrigger: new TimestampTrigger(reminder.time)
+            })
+        ));
+    }
+
+    await saveReminderStore(store);
+    return checkDueReminders();
+}
+
+// 显示已到时间但尚未显示的提醒
+async function checkDueReminders() {
+    const store = await loadReminderStore();
+    if (store.triggersScheduled || !store.reminders || store.reminders.length === 0) {
+        return;
+    }
+
+    const now = Date.now();
+    const due = store.reminders.filter(reminder =>
+        !reminder.shown && reminder.time <= now && now - reminder.time < MISSED_REMINDER_WINDOW
+    );
+    if (due.length === 0) return;
+
+    // 多个到期提醒只显示最近的一个
+    const latest = due[due.length - 1];
+    await self.registration.showNotification(store.title, {
+        body: store.body,
+        icon: store.icon,
+        tag: REMINDER_TAG_PREFIX + latest.id
+    });
+
+    due.forEach(reminder => {
+        reminder.shown = true;
+    });
+    await saveReminderStore(store);
+}
\ No newline at end of file
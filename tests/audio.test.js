@@ -0,0 +1,102 @@
+/**
+ * 音频引擎（audio.js）的“音频文件”提示音主题
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createBrowser, closeBrowser, storageScripts, stored } = require('./helpers/browser');
+
+const audioDir = path.join(__dirname, '..', 'assets', 'audio');
+
+// 记录创建的音源，解码结果为文件的字节数
+class FakeAudioContext {
+    constructor() {
+        this.state = 'running';
+        this.currentTime = 0;
+        this.destination = {};
+        this.sources = [];
+    }
+
+    createNode(kind) {
+        const param = { value: 1, setValueAtTime() {}, exponentialRampToValueAtTime() {} };
+        const node = { kind, gain: param, frequency: param, connect() {}, start() {}, stop() {} };
+        this.sources.push(node);
+        return node;
+    }
+
+    createBufferSource() { return this.createNode('buffer'); }
+    createOscillator() { return this.createNode('oscillator'); }
+    createGain() { return { gain: { value: 1, setValueAtTime() {}, exponentialRampToValueAtTime() {} }, connect() {} }; }
+    createBuffer() { return {}; }
+    decodeAudioData(data) { return Promise.resolve({ bytes: data.byteLength }); }
+}
+
+async function openAudio(t, fetchFile) {
+    const window = createBrowser({
+        scripts: [...storageScripts, 'js/audio.js'],
+        localStorage: {
+            pelvicfit_initialized: stored(true),
+            pelvicfit_version: stored('1.1.0'),
+            pelvicfit_settings: stored({ soundTheme: 'files' })
+        },
+        beforeScripts: (window) => {
+            window.AudioContext = FakeAudioContext;
+            window.fetch = async (url) => {
+                const data = fetchFile(url);
+                return data ? { ok: true, arrayBuffer: async () => data } : { ok: false, status: 404 };
+            };
+        }
+    });
+    t.after(() => closeBrowser(window));
+    await window.storage.ready;
+    return window;
+}
+
+function readAsset(url) {
+    const file = path.join(__dirname, '..', url);
+    if (!fs.existsSync(file)) return null;
+    const data = fs.readFileSync(file);
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+test('ships a PCM WAV file for every cue', () => {
+    ['start', 'contract', 'step', 'relax', 'rest', 'complete', 'tick'].forEach(cue => {
+        const data = fs.readFileSync(path.join(audioDir, `${cue}.wav`));
+        assert.strictEqual(data.toString('ascii', 0, 4), 'RIFF', cue);
+        assert.strictEqual(data.toString('ascii', 8, 12), 'WAVE', cue);
+        assert.strictEqual(data.readUInt16LE(20), 1, `${cue} is PCM`);
+        assert.ok(data.readUInt32LE(40) > 0, `${cue} has samples`);
+    });
+});
+
+test('plays the bundled files once they are loaded', async (t) => {
+    const requested = [];
+    const window = await openAudio(t, (url) => {
+        requested.push(url);
+        return readAsset(url);
+    });
+    const engine = window.audioEngine;
+
+    assert.ok(engine.getThemeNames().includes('files'));
+    assert.strictEqual(engine.getTheme(), 'files');
+
+    // 文件载入前使用经典提示音
+    assert.strictEqual(engine.play('contract')[0].kind, 'oscillator');
+    await engine.loadBuffers();
+    assert.deepStrictEqual(requested.sort(), [...engine.cues].map(cue => `assets/audio/${cue}.wav`).sort());
+
+    const [source] = engine.play('contract');
+    assert.strictEqual(source.kind, 'buffer');
+    assert.strictEqual(source.buffer.bytes, fs.statSync(path.join(audioDir, 'contract.wav')).size);
+});
+
+test('falls back to the classic tones for a file that does not load', async (t) => {
+    const window = await openAudio(t, (url) => (url.endsWith('tick.wav') ? null : readAsset(url)));
+    const engine = window.audioEngine;
+
+    await engine.loadBuffers();
+    assert.strictEqual(engine.play('tick')[0].kind, 'oscillator');
+    assert.strictEqual(engine.play('relax')[0].kind, 'buffer');
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * 后台训练（background.js）与训练计时（exercise.js）的配合
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, closeBrowser, storageScripts, stored } = require('./helpers/browser');
+
+async function openExercise(t) {
+    const handlers = {};
+    const window = createBrowser({
+        scripts: [...storageScripts, 'js/program.js', 'js/audio.js', 'js/exercise.js', 'js/background.js'],
+        localStorage: {
+            pelvicfit_initialized: stored(true),
+            pelvicfit_version: stored('1.1.0'),
+            pelvicfit_settings: stored({ backgroundMode: true, soundEnabled: false, vibrationEnabled: false })
+        },
+        beforeScripts: (window) => {
+            window.navigator.mediaSession = {
+                setActionHandler: (action, handler) => {
+                    handlers[action] = handler;
+                },
+                metadata: null,
+                playbackState: 'none'
+            };
+            window.URL.createObjectURL = () => 'blob:silence';
+            window.HTMLMediaElement.prototype.play = () => Promise.resolve();
+            window.HTMLMediaElement.prototype.pause = () => {};
+        }
+    });
+    t.after(() => closeBrowser(window));
+    await window.storage.ready;
+    return { window, handlers };
+}
+
+function setHidden(window, hidden) {
+    Object.defineProperty(window.document, 'hidden', { configurable: true, get: () => hidden });
+    window.document.dispatchEvent(new window.Event('visibilitychange'));
+}
+
+test('keeps the workout running while the page is hidden', async (t) => {
+    const { window } = await openExercise(t);
+    const exercise = window.exercise;
+
+    exercise.startExercise('beginner');
+    setHidden(window, true);
+
+    assert.strictEqual(exercise.isPaused, false);
+    assert.ok(exercise.backgroundTimer);
+    exercise.stop();
+});
+
+test('resuming from the lock screen restarts the hidden-page timer', async (t) => {
+    const { window, handlers } = await openExercise(t);
+    const exercise = window.exercise;
+
+    exercise.startExercise('beginner');
+    setHidden(window, true);
+    handlers.pause();
+    assert.strictEqual(exercise.isPaused, true);
+
+    // 暂停后后台计时在下一次触发时结束
+    clearInterval(exercise.backgroundTimer);
+    exercise.backgroundTimer = null;
+
+    handlers.play();
+    assert.strictEqual(exercise.isPaused, false);
+    assert.ok(exercise.backgroundTimer, 'hidden-page timer restarted');
+
+    // 后台计时推进时间线
+    exercise.activeElapsed += 10000;
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    assert.notStrictEqual(exercise.currentPhase, 'prepare');
+    exercise.stop();
+});
\ No newline at end of file
@@ -0,0 +1,167 @@
+/**
+ * 训练计时与训练记录（exercise.js）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, closeBrowser, storageScripts, stored } = require('./helpers/browser');
+
+async function openExercise(t) {
+    const window = createBrowser({
+        scripts: [...storageScripts, 'js/program.js', 'js/audio.js', 'js/exercise.js', 'js/report.js'],
+        localStorage: {
+            pelvicfit_initialized: stored(true),
+            pelvicfit_version: stored('1.1.0'),
+            pelvicfit_settings: stored({ soundEnabled: false, vibrationEnabled: false })
+        }
+    });
+    t.after(() => closeBrowser(window));
+    await window.storage.ready;
+    return window;
+}
+
+// 快速收缩（1秒）之后是一段10秒的保持
+const mixedPlan = {
+    title: 'Mixed',
+    segments: [
+        { type: 'quick', reps: 2, restTime: 5 },
+        { type: 'hold', contractTime: 10, relaxTime: 5, reps: 1 }
+    ]
+};
+
+// 把已训练时长设为 seconds 秒并更新状态
+function advanceTo(exercise, seconds) {
+    exercise.activeElapsed = seconds * 1000;
+    exercise.runStart = null;
+    exercise.tick();
+}
+
+test('records the longest contraction of a mixed plan', async (t) => {
+    const window = await openExercise(t);
+    const exercise = window.exercise;
+
+    exercise.startExercise('custom', mixedPlan);
+    advanceTo(exercise, 1000);
+
+    const [session] = window.storage.getSessions();
+    assert.strictEqual(session.completed, true);
+    assert.strictEqual(session.contractTime, 10);
+
+    const today = window.dateUtils.today();
+    const report = await window.report.generate(today, today);
+    assert.strictEqual(report.longestHold, 10);
+});
+
+test('a stopped session only counts contractions that were started', async (t) => {
+    const window = await openExercise(t);
+    const exercise = window.exercise;
+
+    // 准备3秒后是两次快速收缩，第6秒在第二次收缩中
+    exercise.startExercise('custom', mixedPlan);
+    advanceTo(exercise, 6);
+    assert.strictEqual(exercise.currentRep, 2);
+    exercise.stop();
+
+    const [session] = window.storage.getSessions();
+    assert.strictEqual(session.completed, false);
+    assert.strictEqual(session.contractTime, 1);
+});
+
+// === 阶段时间线 ===
+
+test('builds the phase timeline of a classic plan', async (t) => {
+    const window = await openExercise(t);
+    const exercise = window.exercise;
+    const segments = exercise.getSegments(exercise.getPlan('beginner'));
+    const timeline = exercise.buildTimeline(segments);
+
+    // 准备 + 3组 × 10次（收缩3秒、放松3秒）+ 2次组间休息30秒
+    assert.strictEqual(timeline.length, 1 + 3 * 10 * 2 + 2);
+    assert.strictEqual(exercise.getTimelineDuration(timeline), 3 + 3 * 10 * 6 + 2 * 30);
+    assert.deepStrictEqual({ ...timeline[0] }, { phase: 'prepare', start: 0, end: 3, duration: 3, set: 1, rep: 1, step: 0 });
+    assert.deepStrictEqual({ ...timeline[21] }, { phase: 'rest', start: 63, end: 93, duration: 30, set: 2, rep: 1, step: 0 });
+
+    // 各阶段首尾相接
+    timeline.slice(1).forEach((entry, index) => {
+        assert.strictEqual(entry.start, timeline[index].end);
+    });
+});
+
+test('gives each elevator intensity its own contraction phase', async (t) => {
+    const window = await openExercise(t);
+    const exercise = window.exercise;
+    const timeline = exercise.buildTimeline(exercise.getSegments({
+        segments: [{ type: 'elevator', reps: 1, restTime: 0 }]
+    }));
+
+    assert.deepStrictEqual([...timeline].map(entry => `${entry.phase}:${entry.step}`),
+        ['prepare:0', 'contract:0', 'contract:1', 'contract:2', 'contract:3', 'relax:0']);
+    assert.strictEqual(exercise.getTimelineDuration(timeline), 3 + 4 * 2 + 6);
+});
+
+test('finds the state at any point of the timeline', async (t) => {
+    const window = await openExercise(t);
+    const exercise = window.exercise;
+    const timeline = exercise.buildTimeline(exercise.getSegments(exercise.getPlan('beginner')));
+    const at = (elapsed) => {
+        const state = exercise.stateAt(timeline, elapsed);
+        return [state.phase, state.set, state.rep, Number(state.timeRemaining.toFixed(3))];
+    };
+
+    assert.deepStrictEqual(at(-1), ['prepare', 1, 1, 3]);
+    assert.deepStrictEqual(at(0), ['prepare', 1, 1, 3]);
+    assert.deepStrictEqual(at(2.5), ['prepare', 1, 1, 0.5]);
+    // 阶段结束的时刻属于下一个阶段
+    assert.deepStrictEqual(at(3), ['contract', 1, 1, 3]);
+    assert.deepStrictEqual(at(7.25), ['relax', 1, 1, 1.75]);
+    assert.deepStrictEqual(at(62.9), ['relax', 1, 10, 0.1]);
+    assert.deepStrictEqual(at(63), ['rest', 2, 1, 30]);
+    assert.deepStrictEqual(at(93), ['contract', 2, 1, 3]);
+
+    const total = exercise.getTimelineDuration(timeline);
+    const end = exercise.stateAt(timeline, total);
+    assert.strictEqual(end.complete, true);
+    assert.strictEqual(end.phase, 'complete');
+    assert.strictEqual(exercise.stateAt(timeline, total - 0.001).complete, false);
+});
+
+test('skips phases without duration', async (t) => {
+    const window = await openExercise(t);
+    const exercise = window.exercise;
+    const timeline = exercise.buildTimeline(exercise.getSegments({
+        segments: [{ type: 'hold', contractTime: 2, relaxTime: 0, reps: 2, restTime: 0 }, { type: 'quick', reps: 1 }]
+    }));
+
+    // 没有休息阶段；放松时长为0的阶段不会成为当前阶段
+    assert.ok(!timeline.some(entry => entry.phase === 'rest'));
+    const state = exercise.stateAt(timeline, 5);
+    assert.deepStrictEqual([state.phase, state.rep, state.timeRemaining], ['contract', 2, 2]);
+});
+
+test('follows the clock without drift and excludes paused time', async (t) => {
+    const window = await openExercise(t);
+    const exercise = window.exercise;
+    exercise.startExercise('beginner');
+    exercise.stopTimer();
+
+    // 以固定的时钟驱动：时间线按实际经过的时间定位，与帧的间隔无关
+    const start = exercise.runStart;
+    exercise.tick(start + 3500);
+    assert.deepStrictEqual([exercise.currentPhase, exercise.currentRep], ['contract', 1]);
+    exercise.stopTimer();
+    exercise.tick(start + 62500);
+    assert.deepStrictEqual([exercise.currentPhase, exercise.currentSet, exercise.currentRep], ['relax', 1, 10]);
+    exercise.stopTimer();
+
+    // 暂停期间不计入训练时长
+    exercise.pause(start + 62000);
+    assert.strictEqual(exercise.getElapsed(start + 500000), 62);
+    exercise.resume();
+    exercise.stopTimer();
+    const resumedAt = exercise.runStart;
+    exercise.tick(resumedAt + 1000);
+    assert.deepStrictEqual([exercise.currentPhase, exercise.currentSet], ['rest', 2]);
+    assert.strictEqual(Number(exercise.phaseTimeRemaining.toFixed(3)), 30);
+
+    exercise.stop();
+});
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * 测试辅助：在 jsdom 中按 index.html 的方式载入应用脚本
+ * 应用脚本是普通的浏览器脚本（全局类 + window 上的实例），这里按顺序在同一个 window 中执行。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..', '..');
+
+// 测试使用固定时区，日期相关的结果不随运行环境变化
+process.env.TZ = 'Asia/Shanghai';
+
+/**
+ * 创建浏览器环境并载入脚本
+ * @param {Object} options
+ * @param {string[]} options.scripts 按顺序载入的脚本（相对项目根目录）
+ * @param {Object} [options.localStorage] 预先写入的 localStorage 原始键值
+ * @param {Function} [options.beforeScripts] 载入脚本前调用，可替换浏览器API
+ * @param {Function} [options.afterScripts] 脚本执行后、异步初始化继续前调用
+ * @returns {Window}
+ */
+function createBrowser(options = {}) {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+
+    Object.entries(options.localStorage || {}).forEach(([key, value]) => {
+        window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+
+    // 应用脚本中的错误日志不输出到测试结果
+    window.console.error = () => {};
+    window.console.warn = () => {};
+    window.console.log = () => {};
+
+    if (options.beforeScripts) {
+        options.beforeScripts(window);
+    }
+    (options.scripts || []).forEach(script => {
+        const source = fs.readFileSync(path.join(root, script), 'utf8');
+        window.eval(`${source}\n//# sourceURL=${script}`);
+    });
+    if (options.afterScripts) {
+        options.afterScripts(window);
+    }
+    return window;
+}
+
+// 等待脚本中未完成的异步操作后关闭窗口（清除窗口中的定时器，测试进程才能结束）
+async function closeBrowser(window) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    window.close();
+}
+
+// 存储模块及其依赖
+const storageScripts = ['js/date.js', 'js/crypto.js', 'js/db.js', 'js/storage.js'];
+
+// 按 Storage.setPlain 的格式包装 localStorage 中的值
+function stored(value, timestamp = 1) {
+    return JSON.stringify({ value, timestamp });
+}
+
+function readStored(window, key) {
+    const data = window.localStorage.getItem('pelvicfit_' + key);
+    return data ? JSON.parse(data).value : null;
+}
+
+module.exports = { createBrowser, closeBrowser, storageScripts, stored, readStored };
\ No newline at end of file
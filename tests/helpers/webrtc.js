@@ -0,0 +1,122 @@
+/**
+ * 测试辅助：本地的 WebRTC 替身
+ * 同一进程中的两个浏览器窗口通过内存中的数据通道连接。offer/answer 的 sdp 只是连接的编号，
+ * 测试代码代替二维码在两台“设备”之间传递这两条信令消息。
+ */
+
+function createNetwork() {
+    const peers = new Map(); // sdp -> FakePeerConnection
+    let nextId = 0;
+
+    class FakeDataChannel {
+        constructor(label) {
+            this.label = label;
+            this.readyState = 'connecting';
+            this.peer = null;
+            this.onopen = null;
+            this.onmessage = null;
+            this.onclose = null;
+        }
+
+        // 消息异步送达，与真实数据通道一样按发送顺序
+        send(data) {
+            if (this.readyState !== 'open') {
+                throw new Error('channel not open');
+            }
+            const peer = this.peer;
+            setTimeout(() => {
+                if (peer.readyState === 'open' && peer.onmessage) {
+                    peer.onmessage({ data });
+                }
+            }, 0);
+        }
+
+        open() {
+            this.readyState = 'open';
+            if (this.onopen) this.onopen();
+        }
+
+        close() {
+            if (this.readyState === 'closed') return;
+            this.readyState = 'closed';
+            const peer = this.peer;
+            if (peer) {
+                setTimeout(() => {
+                    if (peer.readyState === 'closed') return;
+                    peer.readyState = 'closed';
+                    if (peer.onclose) peer.onclose();
+                }, 0);
+            }
+        }
+    }
+
+    class FakePeerConnection {
+        constructor() {
+            this.id = ++nextId;
+            this.localDescription = null;
+            this.remote = null;
+            this.channels = [];
+            this.iceGatheringState = 'complete';
+            this.iceConnectionState = 'new';
+            this.ondatachannel = null;
+            this.oniceconnectionstatechange = null;
+        }
+
+        createDataChannel(label) {
+            const channel = new FakeDataChannel(label);
+            this.channels.push(channel);
+            return channel;
+        }
+
+        async createOffer() {
+            return { type: 'offer', sdp: `offer-${this.id}` };
+        }
+
+        async createAnswer() {
+            return { type: 'answer', sdp: `answer-${this.id}` };
+        }
+
+        async setLocalDescription(description) {
+            this.localDescription = description;
+            peers.set(description.sdp, this);
+        }
+
+        async setRemoteDescription(description) {
+            this.remote = peers.get(description.sdp);
+            if (!this.remote) {
+                throw new Error('unknown peer');
+            }
+            // 发起方收到 answer 后建立连接
+            if (description.type === 'answer') {
+                setTimeout(() => this.connect(this.remote), 0);
+            }
+        }
+
+        connect(answerer) {
+            this.iceConnectionState = answerer.iceConnectionState = 'connected';
+            this.channels.forEach(channel => {
+                const remoteChannel = new FakeDataChannel(channel.label);
+                channel.peer = remoteChannel;
+                remoteChannel.peer = channel;
+                if (answerer.ondatachannel) {
+                    answerer.ondatachannel({ channel: remoteChannel });
+                }
+                channel.open();
+                remoteChannel.open();
+            });
+        }
+
+        addEventListener() {}
+
+        removeEventListener() {}
+
+        close() {
+            this.iceConnectionState = 'closed';
+            this.channels.forEach(channel => channel.close());
+        }
+    }
+
+    return { RTCPeerConnection: FakePeerConnection };
+}
+
+module.exports = { createNetwork };
\ No newline at end of file
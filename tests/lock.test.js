@@ -0,0 +1,119 @@
+/**
+ * 应用锁与加密写入（lock.js、Storage.setEncrypted）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { webcrypto } = require('node:crypto');
+const { createBrowser, closeBrowser, storageScripts, stored } = require('./helpers/browser');
+
+async function openLocked(t) {
+    const window = createBrowser({
+        scripts: [...storageScripts, 'js/lock.js'],
+        localStorage: {
+            pelvicfit_initialized: stored(true),
+            pelvicfit_version: stored('1.1.0')
+        },
+        beforeScripts: (window) => {
+            // 使用 Node 的 WebCrypto 和编码器
+            Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+            window.TextEncoder = TextEncoder;
+            window.TextDecoder = TextDecoder;
+        }
+    });
+    t.after(() => {
+        clearInterval(window.appLock.checkInterval);
+        return closeBrowser(window);
+    });
+    await window.storage.ready;
+    return window;
+}
+
+function setHidden(window, hidden) {
+    Object.defineProperty(window.document, 'hidden', { configurable: true, get: () => hidden });
+    window.document.dispatchEvent(new window.Event('visibilitychange'));
+}
+
+async function readEncrypted(window, key) {
+    const data = JSON.parse(window.localStorage.getItem('pelvicfit_' + key));
+    return window.cryptoUtils.decryptJSON(window.storage.dataKey, data.encrypted);
+}
+
+test('requires a longer PIN and derives the key with the current PBKDF2 cost', async (t) => {
+    const window = await openLocked(t);
+
+    assert.ok(window.appLock.minPinLength >= 6);
+    await window.appLock.enable('483920');
+
+    const config = window.storage.get('lock');
+    assert.strictEqual(config.iterations, 600000);
+    await assert.rejects(window.appLock.verifyPin('000000'), /wrong_pin/);
+    assert.ok(await window.appLock.verifyPin('483920'));
+});
+
+test('writes workout progress when the page is hidden without waiting for earlier writes', async (t) => {
+    const window = await openLocked(t);
+    window.cryptoUtils.pbkdf2Iterations = 1000;
+    await window.appLock.enable('483920');
+    const storage = window.storage;
+
+    // 排在前面的写入一直没有完成
+    storage.enqueueWrite(storage.dataKey, () => new Promise(() => {}));
+    storage.set('activeExercise', { phase: 'contract', elapsed: 1000 });
+    storage.set('activeExercise', { phase: 'relax', elapsed: 4000 });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(window.localStorage.getItem('pelvicfit_activeExercise'), null);
+
+    setHidden(window, true);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepStrictEqual({ ...await readEncrypted(window, 'activeExercise') }, { phase: 'relax', elapsed: 4000 });
+
+    // 页面隐藏后的保存加密完成即写入
+    storage.set('activeExercise', { phase: 'rest', elapsed: 9000 });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepStrictEqual({ ...await readEncrypted(window, 'activeExercise') }, { phase: 'rest', elapsed: 9000 });
+});
+
+test('does not write removed data after a flush', async (t) => {
+    const window = await openLocked(t);
+    window.cryptoUtils.pbkdf2Iterations = 1000;
+    await window.appLock.enable('483920');
+    const storage = window.storage;
+
+    storage.enqueueWrite(storage.dataKey, () => new Promise(() => {}));
+    storage.set('activeExercise', { phase: 'contract' });
+    storage.remove('activeExercise');
+    setHidden(window, true);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.strictEqual(window.localStorage.getItem('pelvicfit_activeExercise'), null);
+});
+
+test('a failed encrypted write puts the session in the retry queue', async (t) => {
+    const window = await openLocked(t);
+    window.cryptoUtils.pbkdf2Iterations = 1000;
+    await window.appLock.enable('483920');
+    const storage = window.storage;
+    const failures = [];
+    window.addEventListener('storageWriteFailed', event => failures.push(event.detail.pending));
+
+    // 空间已满
+    const setItem = window.Storage.prototype.setItem;
+    window.Storage.prototype.setItem = function (key, value) {
+        if (key === 'pelvicfit_sessions') {
+            throw new window.DOMException('Quota exceeded', 'QuotaExceededError');
+        }
+        return setItem.call(this, key, value);
+    };
+
+    const session = storage.saveSession({ plan: 'beginner', duration: 300, completed: true });
+    assert.strictEqual(await storage.setAndWait('sessions', [session]), false);
+    await storage.writeQueue;
+    assert.deepStrictEqual([...storage.retryQueue], [session.id]);
+    assert.deepStrictEqual(failures, [1]);
+
+    // 空间释放后重试成功
+    window.Storage.prototype.setItem = setItem;
+    assert.strictEqual(await storage.retryPendingSessions(), 0);
+    assert.deepStrictEqual([...await readEncrypted(window, 'sessions')].map(item => item.id), [session.id]);
+});
\ No newline at end of file
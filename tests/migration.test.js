@@ -0,0 +1,133 @@
+/**
+ * 数据迁移（Storage.checkVersion / migrateData）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, storageScripts, stored, readStored } = require('./helpers/browser');
+
+// 2024-01-15 20:00 UTC，即北京时间 2024-01-16 04:00
+const timestamp = Date.UTC(2024, 0, 15, 20, 0);
+
+// 1.0.0 版本的数据：训练记录的日期是UTC日期，没有 utcOffset
+function legacyData(extra = {}) {
+    return {
+        pelvicfit_initialized: stored(true),
+        pelvicfit_version: stored('1.0.0'),
+        pelvicfit_settings: stored({ language: 'zh', soundEnabled: false }),
+        pelvicfit_sessions: stored([
+            { id: 's1', date: '2024-01-15', timestamp, plan: 'beginner', duration: 300, completed: true },
+            { id: 's2', date: '2024-01-10', timestamp: Date.UTC(2024, 0, 10, 2, 0), source: 'manual', plan: 'beginner', duration: 120, completed: true }
+        ]),
+        pelvicfit_program: stored({ id: 'foundation', startedAt: timestamp }),
+        ...extra
+    };
+}
+
+async function openStorage(options) {
+    const window = createBrowser({ scripts: storageScripts, ...options });
+    await window.storage.ready;
+    return window;
+}
+
+test('upgrades 1.0.0 data to the current version', async () => {
+    const window = await openStorage({ localStorage: legacyData() });
+    const storage = window.storage;
+
+    assert.strictEqual(storage.get('version'), storage.version);
+    assert.strictEqual(storage.lastMigration.success, true);
+    assert.deepStrictEqual([...storage.lastMigration.applied], ['1.1.0']);
+
+    // 计时训练按时间戳重新计算本地日期，手动补记的日期保持不变
+    const sessions = storage.getSessions();
+    const timed = sessions.find(session => session.id === 's1');
+    assert.strictEqual(timed.date, '2024-01-16');
+    assert.strictEqual(timed.utcOffset, 480);
+    assert.strictEqual(sessions.find(session => session.id === 's2').date, '2024-01-10');
+
+    assert.strictEqual(storage.get('program').startDate, '2024-01-16');
+    assert.strictEqual(storage.getSetting('soundEnabled'), false);
+    assert.strictEqual(storage.get('migrationLog').length, 1);
+});
+
+test('does not keep a copy of the data in localStorage', async () => {
+    const window = await openStorage({
+        localStorage: legacyData({ pelvicfit_migrationBackup: stored({ data: { large: 'x'.repeat(1000) } }) })
+    });
+
+    assert.strictEqual(window.storage.lastMigration.success, true);
+    assert.strictEqual(window.localStorage.getItem('pelvicfit_migrationBackup'), null);
+});
+
+test('removes a backup left by an earlier build when no migration is needed', async () => {
+    const window = await openStorage({
+        localStorage: {
+            pelvicfit_initialized: stored(true),
+            pelvicfit_version: stored('1.1.0'),
+            pelvicfit_migrationBackup: stored({ data: {} })
+        }
+    });
+
+    assert.strictEqual(window.storage.lastMigration, null);
+    assert.strictEqual(window.localStorage.getItem('pelvicfit_migrationBackup'), null);
+});
+
+test('keeps the old version and data when a migration step fails', async () => {
+    const window = await openStorage({
+        localStorage: legacyData(),
+        afterScripts: (window) => {
+            window.storage.getMigrations = () => [{
+                version: '1.1.0',
+                migrate: () => {
+                    throw new Error('broken step');
+                }
+            }];
+        }
+    });
+    const storage = window.storage;
+
+    assert.strictEqual(storage.lastMigration.success, false);
+    assert.match(storage.lastMigration.error, /1\.1\.0.*broken step/);
+    assert.strictEqual(storage.get('version'), '1.0.0');
+    assert.strictEqual(storage.getSessions().find(session => session.id === 's1').date, '2024-01-15');
+    assert.strictEqual(storage.get('migrationLog')[0].success, false);
+});
+
+test('rolls back data already written when a later write fails', async () => {
+    const window = await openStorage({
+        localStorage: legacyData(),
+        afterScripts: (window) => {
+            // 训练记录写入后，写入训练方案时失败（如存储空间不足）
+            const set = window.storage.set.bind(window.storage);
+            window.storage.set = (key, ...args) => key === 'program' ? false : set(key, ...args);
+        }
+    });
+    const storage = window.storage;
+
+    assert.strictEqual(storage.lastMigration.success, false);
+    assert.match(storage.lastMigration.error, /program/);
+    assert.strictEqual(storage.get('version'), '1.0.0');
+
+    // 已经迁移的训练记录恢复为迁移前的内容
+    const sessions = readStored(window, 'sessions');
+    assert.strictEqual(sessions.find(session => session.id === 's1').date, '2024-01-15');
+    assert.strictEqual(sessions.find(session => session.id === 's1').utcOffset, undefined);
+    assert.strictEqual(readStored(window, 'program').startDate, undefined);
+});
+
+test('migrates the next launch after a failed attempt', async () => {
+    const first = await openStorage({
+        localStorage: legacyData(),
+        afterScripts: (window) => {
+            window.storage.getMigrations = () => [{ version: '1.1.0', migrate: () => { throw new Error('broken step'); } }];
+        }
+    });
+    const data = {};
+    Object.keys(first.localStorage).forEach(key => {
+        data[key] = first.localStorage.getItem(key);
+    });
+
+    const second = await openStorage({ localStorage: data });
+    assert.strictEqual(second.storage.lastMigration.success, true);
+    assert.strictEqual(second.storage.get('version'), second.storage.version);
+});
\ No newline at end of file
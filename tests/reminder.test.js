@@ -0,0 +1,81 @@
+/**
+ * 训练提醒的应用内检查（Reminder.checkDue）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, storageScripts, stored } = require('./helpers/browser');
+
+// 提醒在 21:00 和 02:00，每天凌晨4点为训练日的分界
+const settings = {
+    reminderEnabled: true,
+    reminderTimes: ['02:00', '21:00'],
+    reminderSkipIfDone: true,
+    dayBoundaryHour: 4
+};
+
+async function openReminder({ permission = 'default', sessions = [] } = {}) {
+    const messages = [];
+    const window = createBrowser({
+        scripts: [...storageScripts, 'js/reminder.js'],
+        localStorage: {
+            pelvicfit_initialized: stored(true),
+            pelvicfit_version: stored('1.1.0'),
+            pelvicfit_settings: stored(settings),
+            pelvicfit_sessions: stored(sessions)
+        },
+        beforeScripts: (window) => {
+            window.Notification = { permission };
+            const worker = { postMessage: message => messages.push(message) };
+            Object.defineProperty(window.navigator, 'serviceWorker', {
+                value: { ready: Promise.resolve({ active: worker }) }
+            });
+        }
+    });
+    await window.storage.ready;
+    // 等待启动时的提醒调度完成
+    await new Promise(resolve => setTimeout(resolve, 0));
+    window.reminder.startInAppCheck(false);
+    messages.length = 0;
+
+    const banners = [];
+    window.addEventListener('reminderDue', event => banners.push(event.detail.time));
+    return { window, messages, banners };
+}
+
+test('asks the service worker to check when notifications are allowed', async () => {
+    const { window, messages, banners } = await openReminder({ permission: 'granted' });
+
+    window.reminder.checkDue(new Date(2024, 0, 16, 21, 5));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.deepStrictEqual(messages.map(message => message.type), ['CHECK_REMINDERS']);
+    assert.deepStrictEqual(banners, []);
+});
+
+test('shows one banner per reminder within a training day', async () => {
+    const { window, banners } = await openReminder();
+
+    window.reminder.checkDue(new Date(2024, 0, 16, 21, 5));
+    window.reminder.checkDue(new Date(2024, 0, 16, 21, 30));
+    // 凌晨2点仍属于16日的训练日
+    window.reminder.checkDue(new Date(2024, 0, 17, 2, 10));
+    // 分界之后进入17日，凌晨的提醒属于前一个训练日，不再显示
+    window.reminder.checkDue(new Date(2024, 0, 17, 5, 0));
+
+    assert.deepStrictEqual(banners, ['21:00', '02:00']);
+});
+
+test('skips reminders after a session on the same training day', async () => {
+    const { window, banners } = await openReminder({
+        sessions: [{ id: 's1', date: '2024-01-16', timestamp: new Date(2024, 0, 17, 1, 0).getTime(), completed: true }]
+    });
+    window.dateUtils.today = () => '2024-01-16';
+
+    window.reminder.checkDue(new Date(2024, 0, 17, 2, 10));
+    assert.deepStrictEqual(banners, []);
+
+    // 提醒计划不包含已完成训练日的剩余提醒
+    const upcoming = window.reminder.getUpcoming(new Date(2024, 0, 17, 1, 30));
+    assert.strictEqual(upcoming[0].id, '2024-01-17T21:00');
+});
\ No newline at end of file
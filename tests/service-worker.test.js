@@ -0,0 +1,54 @@
+/**
+ * Service Worker 的版本更新握手（GET_VERSION / UPDATE_AVAILABLE）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'service-worker.js'), 'utf8');
+
+// 在最小的 Service Worker 全局环境中执行脚本，返回注册的事件处理函数
+function loadWorker(registration, serviceWorker) {
+    const listeners = {};
+    const self = {
+        registration,
+        serviceWorker,
+        addEventListener: (type, listener) => {
+            listeners[type] = listener;
+        }
+    };
+    vm.runInNewContext(source, { self, console, URL, Request: class {}, caches: {}, clients: {} });
+    return listeners;
+}
+
+function ask(listeners) {
+    const messages = [];
+    listeners.message({
+        data: { type: 'GET_VERSION' },
+        source: { postMessage: message => messages.push(message) },
+        waitUntil: () => {}
+    });
+    return messages;
+}
+
+test('a waiting worker answers GET_VERSION with UPDATE_AVAILABLE', () => {
+    const waiting = {};
+    const listeners = loadWorker({ active: {}, waiting }, waiting);
+
+    const [message] = ask(listeners);
+    assert.strictEqual(message.type, 'UPDATE_AVAILABLE');
+    assert.match(message.version, /^\d+\.\d+\.\d+$/);
+});
+
+test('the active worker does not announce an update', () => {
+    const active = {};
+    const listeners = loadWorker({ active, waiting: {} }, active);
+    assert.strictEqual(ask(listeners)[0].type, 'VERSION');
+
+    // 首次安装，没有旧版本在运行
+    const first = {};
+    assert.strictEqual(ask(loadWorker({ active: null, waiting: first }, first))[0].type, 'VERSION');
+});
\ No newline at end of file
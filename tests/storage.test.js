@@ -0,0 +1,209 @@
+/**
+ * 存储用量、写入重试和旧记录归档（Storage.getQuotaEstimate / retryQueue / exportArchive）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, storageScripts, stored, readStored } = require('./helpers/browser');
+
+function session(id, date) {
+    return { id, date, timestamp: Date.parse(`${date}T10:00:00+08:00`), plan: 'beginner', duration: 300, completed: true };
+}
+
+async function openStorage(sessions = []) {
+    const window = createBrowser({
+        scripts: storageScripts,
+        localStorage: {
+            pelvicfit_initialized: stored(true),
+            pelvicfit_version: stored('1.1.0'),
+            pelvicfit_settings: stored({ language: 'zh' }),
+            pelvicfit_sessions: stored(sessions)
+        }
+    });
+    await window.storage.ready;
+    const downloads = [];
+    window.storage.downloadFile = (content, filename) => downloads.push({ content, filename });
+    return { window, storage: window.storage, downloads };
+}
+
+test('reports the localStorage limit when it is fuller than IndexedDB', async () => {
+    const { window, storage } = await openStorage();
+    storage.isIndexedDB = () => true;
+    Object.defineProperty(window.navigator, 'storage', {
+        value: { estimate: async () => ({ usage: 1024 * 1024, quota: 1024 * 1024 * 1024 }) }
+    });
+    window.localStorage.setItem('pelvicfit_filler', 'x'.repeat(4.5 * 1024 * 1024));
+
+    const status = await storage.getQuotaStatus();
+    assert.strictEqual(status.source, 'localStorage');
+    assert.strictEqual(status.level, 'warning');
+
+    window.localStorage.removeItem('pelvicfit_filler');
+    const estimate = await storage.getQuotaEstimate();
+    assert.strictEqual(estimate.source, 'estimate');
+});
+
+test('archiving records deletion marks so sync does not bring sessions back', async () => {
+    const { window, storage, downloads } = await openStorage([
+        session('old1', '2023-01-05'),
+        session('old2', '2023-02-10'),
+        session('new1', '2024-03-01')
+    ]);
+
+    const ids = storage.exportArchive('2024-01-01');
+    assert.strictEqual(downloads.length, 1);
+    assert.deepStrictEqual(JSON.parse(downloads[0].content).sessions.map(item => item.id), ['old1', 'old2']);
+
+    // 用户确认文件已保存之前不删除
+    assert.strictEqual(storage.getSessions().length, 3);
+    assert.strictEqual(await storage.deleteArchivedSessions(ids), 2);
+
+    const marks = [...readStored(window, 'deletedSessions')].map(mark => mark.id).sort();
+    assert.deepStrictEqual(marks, ['old1', 'old2']);
+
+    // 另一台设备上仍有归档的记录
+    const result = await storage.applySyncState({
+        version: storage.version,
+        entries: {},
+        settings: {},
+        sessions: [session('old1', '2023-01-05'), session('new1', '2024-03-01')],
+        deletedSessions: [],
+        achievements: []
+    });
+    assert.strictEqual(result.added, 0);
+    assert.deepStrictEqual([...storage.getSessions()].map(item => item.id), ['new1']);
+});
+
+test('importing an archive restores the sessions and clears their marks', async () => {
+    const { window, storage, downloads } = await openStorage([
+        session('old1', '2023-01-05'),
+        session('new1', '2024-03-01')
+    ]);
+    await storage.deleteArchivedSessions(storage.exportArchive('2024-01-01'));
+
+    const archive = JSON.parse(downloads[0].content);
+    assert.strictEqual(await storage.importData(archive, 'merge'), true);
+
+    assert.deepStrictEqual([...storage.getSessions()].map(item => item.id).sort(), ['new1', 'old1']);
+    assert.deepStrictEqual([...readStored(window, 'deletedSessions')], []);
+});
+
+test('keeps the sessions when the archive file was not saved', async () => {
+    const { window, storage, downloads } = await openStorage([
+        session('old1', '2023-01-05'),
+        session('new1', '2024-03-01')
+    ]);
+
+    // 下载被拦截，用户在确认对话框中取消
+    storage.exportArchive('2024-01-01');
+    assert.strictEqual(downloads.length, 1);
+    assert.deepStrictEqual([...storage.getSessions()].map(item => item.id), ['old1', 'new1']);
+    assert.strictEqual(readStored(window, 'deletedSessions'), null);
+    assert.strictEqual(storage.exportArchive('2023-01-01').length, 0);
+});
+
+test('keeps unsaved sessions across a reload and saves them once there is space', async () => {
+    const { window, storage } = await openStorage([session('s1', '2024-03-01')]);
+    const failures = [];
+    window.addEventListener('storageWriteFailed', event => failures.push(event.detail.pending));
+
+    // 训练记录数组写不下，单独的一条记录仍能写入
+    const setItem = window.Storage.prototype.setItem;
+    window.Storage.prototype.setItem = function (key, value) {
+        if (key === 'pelvicfit_sessions') {
+            throw new window.DOMException('Quota exceeded', 'QuotaExceededError');
+        }
+        return setItem.call(this, key, value);
+    };
+    const saved = storage.saveSession({ plan: 'beginner', duration: 300, completed: true });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepStrictEqual(failures, [1]);
+    assert.deepStrictEqual([...readStored(window, 'pendingSessions')].map(item => item.id), [saved.id]);
+    clearInterval(storage.retryInterval);
+
+    // 重新打开应用（关闭前没有等到重试）
+    window.Storage.prototype.setItem = setItem;
+    const data = {};
+    Object.keys(window.localStorage).forEach(key => {
+        data[key] = window.localStorage.getItem(key);
+    });
+    const reopened = createBrowser({ scripts: storageScripts, localStorage: data });
+    await reopened.storage.ready;
+
+    assert.deepStrictEqual([...reopened.storage.getSessions()].map(item => item.id), ['s1', saved.id]);
+    assert.deepStrictEqual([...readStored(reopened, 'sessions')].map(item => item.id), ['s1', saved.id]);
+    assert.strictEqual(readStored(reopened, 'pendingSessions'), null);
+    assert.strictEqual(reopened.storage.retryQueue.length, 0);
+});
+
+test('importing a hostile backup stores only normalized values', async () => {
+    const { storage } = await openStorage();
+    const markup = '<img src=x onerror=alert(1)>';
+    const backup = {
+        version: storage.version,
+        settings: { language: 'zh' },
+        stats: {},
+        sessions: [
+            {
+                id: 'bad1', date: '2024-03-01', timestamp: markup, plan: 'beginner', duration: '300',
+                sets: markup, repetitions: 10, totalReps: { length: 1 }, completed: 'true',
+                completedSets: -2, completedReps: markup, tags: 'home, <b>, home', notes: 42, onclick: markup
+            },
+            { id: 'bad2', date: '2024-03-02', tags: [markup, null, { text: 'x' }, 7] },
+            { id: '', date: '2024-03-03' },
+            { id: 'bad3', date: markup }
+        ],
+        customPlans: [
+            { id: 'plan1', title: markup, contractTime: markup, relaxTime: '4', sets: -1, repsPerSet: null, restTime: 20 },
+            { title: 'no id' },
+            'plan'
+        ]
+    };
+
+    const preview = storage.previewImport(backup);
+    assert.strictEqual(preview.sessionCount, 2);
+    assert.strictEqual(preview.invalidCount, 2);
+
+    assert.strictEqual(await storage.importData(backup, 'replace'), true);
+
+    const [first, second] = [...storage.getSessions()].sort((a, b) => a.id.localeCompare(b.id));
+    assert.strictEqual(first.timestamp, undefined);
+    assert.strictEqual(first.duration, 300);
+    assert.strictEqual(first.sets, 1);
+    assert.strictEqual(first.totalReps, 10);
+    assert.strictEqual(first.completed, false);
+    assert.strictEqual(first.completedSets, 0);
+    assert.strictEqual(first.completedReps, 0);
+    assert.strictEqual(first.notes, '');
+    assert.strictEqual(first.onclick, undefined);
+    assert.deepStrictEqual([...first.tags], ['home', '<b>']);
+    assert.deepStrictEqual([...second.tags], [markup, '7']);
+
+    // 标题只作为文本显示（界面中会转义），数字字段恢复为默认值
+    const plans = [...storage.getCustomPlans()];
+    assert.strictEqual(plans.length, 1);
+    assert.deepStrictEqual({ ...plans[0] }, {
+        id: 'plan1', title: markup, contractTime: 3, relaxTime: 4, sets: 1, repsPerSet: 10, restTime: 20,
+        createdAt: 0, updatedAt: 0
+    });
+});
+
+test('sessions and plans from another device are normalized before they are stored', async () => {
+    const { storage } = await openStorage();
+    const result = await storage.applySyncState({
+        version: storage.version,
+        entries: {
+            customPlans: { value: [{ id: 'plan1', title: 'Synced', sets: '<b>2</b>' }], timestamp: Date.now() }
+        },
+        settings: {},
+        sessions: [{ id: 'peer1', date: '2024-03-01', timestamp: 1, completedReps: '<script>', tags: 'a' }],
+        deletedSessions: [],
+        achievements: []
+    });
+
+    assert.strictEqual(result.added, 1);
+    const synced = storage.getSession('peer1');
+    assert.strictEqual(synced.completedReps, 0);
+    assert.deepStrictEqual([...synced.tags], ['a']);
+    assert.strictEqual(storage.getCustomPlan('plan1').sets, 1);
+});
\ No newline at end of file
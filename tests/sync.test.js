@@ -0,0 +1,178 @@
+/**
+ * 设备同步（PeerSync + Storage.getSyncState / applySyncState）
+ * 两台“设备”是两个 jsdom 窗口，通过本地的 WebRTC 替身连接，offer/answer 由测试代替二维码传递。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, storageScripts, stored, readStored } = require('./helpers/browser');
+const { createNetwork } = require('./helpers/webrtc');
+
+function session(id, fields = {}) {
+    return { id, date: '2024-01-16', timestamp: 1000, plan: 'beginner', duration: 300, completed: true, ...fields };
+}
+
+async function openDevice(network, { settings = {}, settingsTimestamps = {}, sessions = [], deletedSessions = [], customPlans = null } = {}) {
+    const data = {
+        pelvicfit_initialized: stored(true),
+        pelvicfit_version: stored('1.1.0'),
+        pelvicfit_settings: stored({ language: 'zh', soundTheme: 'classic', voiceURI: '', ...settings }),
+        pelvicfit_settingsTimestamps: stored(settingsTimestamps),
+        pelvicfit_sessions: stored(sessions),
+        pelvicfit_deletedSessions: stored(deletedSessions)
+    };
+    if (customPlans) {
+        data.pelvicfit_customPlans = JSON.stringify(customPlans);
+    }
+
+    const window = createBrowser({
+        scripts: [...storageScripts, 'js/sync.js'],
+        localStorage: data,
+        beforeScripts: (window) => {
+            window.RTCPeerConnection = network.RTCPeerConnection;
+        }
+    });
+    await window.storage.ready;
+    return window;
+}
+
+// 按界面中的配对流程连接两台设备，等待双方都完成合并
+async function pair(initiator, joiner) {
+    const completed = [initiator, joiner].map(window => new Promise((resolve, reject) => {
+        window.addEventListener('syncStatus', event => {
+            if (event.detail.status === 'completed') resolve(event.detail.result);
+            if (event.detail.status === 'failed') reject(new Error(event.detail.error));
+        });
+    }));
+
+    // 二维码只能携带文本
+    const offer = JSON.parse(JSON.stringify(await initiator.peerSync.createOffer()));
+    const answer = JSON.parse(JSON.stringify(await joiner.peerSync.acceptOffer(offer)));
+    await initiator.peerSync.acceptAnswer(answer);
+    return Promise.all(completed);
+}
+
+function sessionIds(window) {
+    return [...window.storage.getSessions()].map(item => item.id).sort();
+}
+
+test('merges sessions by modification time on both devices', async () => {
+    const network = createNetwork();
+    const phone = await openDevice(network, {
+        sessions: [session('a', { duration: 100 }), session('b'), session('c', { updatedAt: 5000, duration: 500 })]
+    });
+    const tablet = await openDevice(network, {
+        sessions: [session('a', { updatedAt: 3000, duration: 200 }), session('c', { updatedAt: 4000 }), session('d')]
+    });
+
+    const [phoneResult, tabletResult] = await pair(phone, tablet);
+
+    assert.deepStrictEqual(sessionIds(phone), ['a', 'b', 'c', 'd']);
+    assert.deepStrictEqual(sessionIds(tablet), ['a', 'b', 'c', 'd']);
+    [phone, tablet].forEach(window => {
+        const byId = new Map(window.storage.getSessions().map(item => [item.id, item]));
+        assert.strictEqual(byId.get('a').duration, 200);
+        assert.strictEqual(byId.get('c').duration, 500);
+    });
+    assert.strictEqual(phoneResult.added, 1);
+    assert.strictEqual(phoneResult.updated, 1);
+    assert.strictEqual(tabletResult.added, 1);
+    assert.strictEqual(tabletResult.updated, 1);
+    assert.strictEqual(phone.storage.getStats().totalSessions, 4);
+});
+
+test('applies deletion tombstones unless the session was edited later', async () => {
+    const network = createNetwork();
+    const phone = await openDevice(network, {
+        sessions: [session('a'), session('b', { updatedAt: 9000 })],
+        deletedSessions: [{ id: 'c', deletedAt: 2000 }]
+    });
+    const tablet = await openDevice(network, {
+        sessions: [session('b', { updatedAt: 9000 }), session('c')],
+        deletedSessions: [{ id: 'a', deletedAt: 2000 }, { id: 'b', deletedAt: 3000 }]
+    });
+
+    const [phoneResult, tabletResult] = await pair(phone, tablet);
+
+    // a、c 在另一台设备上删除；b 在删除后又被修改，保留
+    assert.deepStrictEqual(sessionIds(phone), ['b']);
+    assert.deepStrictEqual(sessionIds(tablet), ['b']);
+    assert.strictEqual(phoneResult.removed, 1);
+    assert.strictEqual(tabletResult.removed, 1);
+
+    // 双方都保存合并后的删除标记，之后与第三台设备同步时继续生效
+    [phone, tablet].forEach(window => {
+        const marks = [...readStored(window, 'deletedSessions')].map(mark => mark.id).sort();
+        assert.deepStrictEqual(marks, ['a', 'b', 'c']);
+    });
+});
+
+test('merges settings per key and keeps device-only settings', async () => {
+    const network = createNetwork();
+    const phone = await openDevice(network, {
+        settings: { language: 'en', reminderTimes: ['08:00'], soundTheme: 'chime', voiceURI: 'phone-voice' },
+        settingsTimestamps: { language: 3000, reminderTimes: 1000, soundTheme: 3000, voiceURI: 3000 }
+    });
+    const tablet = await openDevice(network, {
+        settings: { language: 'zh', reminderTimes: ['20:00'], soundTheme: 'nature', voiceURI: 'tablet-voice' },
+        settingsTimestamps: { language: 1000, reminderTimes: 4000, soundTheme: 9000, voiceURI: 9000 }
+    });
+
+    const [phoneResult, tabletResult] = await pair(phone, tablet);
+
+    [phone, tablet].forEach(window => {
+        assert.strictEqual(window.storage.getSetting('language'), 'en');
+        assert.deepStrictEqual([...window.storage.getSetting('reminderTimes')], ['20:00']);
+    });
+    assert.strictEqual(phone.storage.getSetting('soundTheme'), 'chime');
+    assert.strictEqual(phone.storage.getSetting('voiceURI'), 'phone-voice');
+    assert.strictEqual(tablet.storage.getSetting('soundTheme'), 'nature');
+    assert.strictEqual(tablet.storage.getSetting('voiceURI'), 'tablet-voice');
+    assert.ok(phoneResult.keys.includes('settings'));
+    assert.ok(tabletResult.keys.includes('settings'));
+
+    // 合并的设置保留另一台设备的修改时间
+    assert.strictEqual(phone.storage.getSettingTimestamps().reminderTimes, 4000);
+});
+
+test('a setting changed later wins over the other device', async () => {
+    const network = createNetwork();
+    const phone = await openDevice(network, { settingsTimestamps: { language: 1000 } });
+    const tablet = await openDevice(network, { settingsTimestamps: { language: 1000 } });
+
+    tablet.storage.setSetting('language', 'en');
+    phone.storage.setSetting('dayBoundaryHour', 4);
+
+    await pair(phone, tablet);
+
+    [phone, tablet].forEach(window => {
+        assert.strictEqual(window.storage.getSetting('language'), 'en');
+        assert.strictEqual(window.storage.getSetting('dayBoundaryHour'), 4);
+    });
+});
+
+test('does not overwrite edited data with defaults', async () => {
+    const network = createNetwork();
+    const plan = { id: 'p1', title: 'Mine', contractTime: 5 };
+    const phone = await openDevice(network, {
+        customPlans: { value: [plan], timestamp: 2000 }
+    });
+    const tablet = await openDevice(network, {
+        customPlans: { value: [], timestamp: 0 }
+    });
+
+    await pair(phone, tablet);
+
+    assert.deepStrictEqual([...tablet.storage.getCustomPlans()].map(item => item.id), ['p1']);
+    assert.deepStrictEqual([...phone.storage.getCustomPlans()].map(item => item.id), ['p1']);
+});
+
+test('rejects a pairing code from a different protocol version', async () => {
+    const network = createNetwork();
+    const phone = await openDevice(network);
+    const tablet = await openDevice(network);
+
+    const offer = await phone.peerSync.createOffer();
+    await assert.rejects(tablet.peerSync.acceptOffer({ ...offer, protocol: 1 }), /version_mismatch/);
+    phone.peerSync.close();
+});
\ No newline at end of file
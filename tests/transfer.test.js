@@ -0,0 +1,134 @@
+/**
+ * 设备间传输（transfer.js）的分片与拼接，以及二维码编码（qr.js）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const jsQR = require('jsqr');
+const { createBrowser, closeBrowser, storageScripts, stored } = require('./helpers/browser');
+
+async function openTransfer(t) {
+    const window = createBrowser({
+        scripts: [...storageScripts, 'js/qr.js', 'js/transfer.js'],
+        localStorage: {
+            pelvicfit_initialized: stored(true),
+            pelvicfit_version: stored('1.1.0')
+        },
+        beforeScripts: (window) => {
+            // 使用 Node 的编码器和压缩流（jsdom 没有）
+            window.TextEncoder = TextEncoder;
+            window.TextDecoder = TextDecoder;
+            window.Blob = Blob;
+            window.Response = Response;
+            window.CompressionStream = CompressionStream;
+            window.DecompressionStream = DecompressionStream;
+        }
+    });
+    t.after(() => closeBrowser(window));
+    await window.storage.ready;
+    return window;
+}
+
+// 压缩后仍需要多个二维码的数据
+function sampleData(size) {
+    const notes = [];
+    for (let i = 0; i < size; i++) {
+        notes.push(Math.random().toString(36).slice(2));
+    }
+    return { sessions: [{ id: 's1', date: '2024-03-01', notes: notes.join(' ') }], title: '训练记录' };
+}
+
+function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+test('reassembles compressed frames received in any order', async (t) => {
+    const window = await openTransfer(t);
+    const transfer = window.transfer;
+    const data = sampleData(300);
+
+    const frames = [...await transfer.encodeFrames(data)];
+    assert.ok(frames.length > 2);
+    assert.strictEqual(transfer.parseFrame(frames[0]).flags, 'z');
+
+    let progress = null;
+    const shuffled = shuffle(frames);
+    shuffled.forEach(frame => {
+        progress = transfer.addFrame(frame);
+    });
+    // 重复扫描到的二维码不影响结果
+    transfer.addFrame(shuffled[0]);
+
+    assert.deepStrictEqual({ ...progress }, { received: frames.length, total: frames.length, complete: true });
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(await transfer.assemble())), data);
+});
+
+test('reassembles uncompressed frames', async (t) => {
+    const window = await openTransfer(t);
+    const transfer = window.transfer;
+    window.storage.isCompressionSupported = () => false;
+    const data = sampleData(100);
+
+    const frames = [...await transfer.encodeFrames(data)];
+    assert.strictEqual(transfer.parseFrame(frames[0]).flags, '');
+    shuffle(frames).forEach(frame => transfer.addFrame(frame));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(await transfer.assemble())), data);
+});
+
+test('drops frames of an earlier transfer when the sender restarts', async (t) => {
+    const window = await openTransfer(t);
+    const transfer = window.transfer;
+    const first = [...await transfer.encodeFrames(sampleData(300))];
+    const data = sampleData(200);
+    const second = [...await transfer.encodeFrames(data)];
+
+    first.slice(0, 2).forEach(frame => transfer.addFrame(frame));
+    let progress = transfer.addFrame(second[0]);
+    assert.strictEqual(progress.received, 1);
+    assert.strictEqual(progress.total, second.length);
+    await assert.rejects(transfer.assemble(), /incomplete/);
+
+    second.slice(1).forEach(frame => {
+        progress = transfer.addFrame(frame);
+    });
+    assert.strictEqual(progress.complete, true);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(await transfer.assemble())), data);
+
+    assert.strictEqual(transfer.addFrame('not a transfer frame'), null);
+    assert.strictEqual(transfer.addFrame('PFT1|abc|5|3|z|AAAA'), null);
+});
+
+test('encodes a full frame as a QR code that decodes back to the same text', async (t) => {
+    const window = await openTransfer(t);
+    const frames = [...await window.transfer.encodeFrames(sampleData(300))];
+    const text = frames[0];
+    assert.strictEqual(window.transfer.parseFrame(text).chunk.length, window.transfer.chunkSize);
+
+    const modules = window.qrEncoder.encode(text);
+    // 400个base64字符加帧头，版本16（81×81模块）
+    assert.strictEqual(modules.length, 81);
+
+    // 每个模块画成4×4像素，四周留4个模块的空白
+    const scale = 4;
+    const size = (modules.length + 8) * scale;
+    const pixels = new Uint8ClampedArray(size * size * 4).fill(255);
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (!dark) return;
+        for (let dy = 0; dy < scale; dy++) {
+            for (let dx = 0; dx < scale; dx++) {
+                const offset = (((y + 4) * scale + dy) * size + (x + 4) * scale + dx) * 4;
+                pixels.fill(0, offset, offset + 3);
+            }
+        }
+    }));
+
+    const decoded = jsQR(pixels, size, size);
+    assert.ok(decoded);
+    assert.strictEqual(decoded.data, text);
+    assert.strictEqual(decoded.version, 16);
+});
\ No newline at end of file